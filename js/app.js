@@ -11,20 +11,50 @@ async function initApp() {
 
     try {
         // Initialize theme
-        initTheme();
+        window.Theme.initTheme();
 
-        // Load game data first
-        const dataLoaded = await window.GameData.loadGamesData();
+        // Show games in place of the list (before search reads the URL)
+        window.Router.initRouter();
+
+        // Load game data first (once, for both the list and the game view)
+        const dataLoaded = await window.GameData.ensureGamesData();
         if (!dataLoaded) {
             showError('Failed to load game data. Please try refreshing the page.');
             return;
         }
 
+        // Load our performance history for the play stats on cards
+        await window.Performances.loadPerformances();
+        window.Performances.onPerformancesChanged(() => {
+            window.GameSearch.applyFiltersAndSearch({ updateHistory: false });
+        });
+
+        // Initialize favorites and collections (before search restores a saved view)
+        window.Collections.initCollectionsPanel();
+
         // Initialize search functionality
         window.GameSearch.initSearch();
 
-        // Initial render of all games
-        window.GameSearch.renderGames(window.GameData.allGames);
+        // Initialize the random picker
+        window.GamePicker.initPicker();
+
+        // Print the games currently listed as cheat sheets
+        document.getElementById('printResults').addEventListener('click', () => {
+            const gameIds = window.GameData.filteredGames.map(game => game.id);
+            window.location.href = window.PrintSheets.getPrintUrl(gameIds);
+        });
+
+        // Export the games currently listed
+        window.GameExport.initExportMenu();
+
+        // Initial render, honouring any search state in the URL
+        window.GameSearch.applyFiltersAndSearch({ updateHistory: false });
+
+        // Open the game in the URL, if any
+        await window.Router.handleRouteChange();
+
+        // Pick up newer game data cached by the service worker
+        window.Offline.onDataUpdated(refreshGamesData);
 
         console.log('Application initialized successfully');
     } catch (error) {
@@ -34,48 +64,13 @@ async function initApp() {
 }
 
 /**
- * Initialize theme functionality
+ * Reload game data in the background, re-apply the current search and re-render an open game
  */
-function initTheme() {
-    const themeToggle = document.getElementById('themeToggle');
-    if (!themeToggle) return;
-
-    // Load saved theme or default to light
-    const savedTheme = localStorage.getItem('theme') || 'light';
-    setTheme(savedTheme);
-
-    // Theme toggle event listener
-    themeToggle.addEventListener('click', () => {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        setTheme(newTheme);
-    });
-}
-
-/**
- * Set theme and save preference
- */
-function setTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
-    localStorage.setItem('theme', theme);
-
-    // Update toggle icon
-    const themeToggle = document.getElementById('themeToggle');
-    if (themeToggle) {
-        const icon = themeToggle.querySelector('svg');
-        if (icon) {
-            if (theme === 'dark') {
-                // Sun icon for light mode
-                icon.innerHTML = `
-                    <path fill-rule="evenodd" d="M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.464 4.95l.707.707a1 1 0 001.414-1.414l-.707-.707a1 1 0 00-1.414 1.414zm2.12-10.607a1 1 0 010 1.414l-.706.707a1 1 0 11-1.414-1.414l.707-.707a1 1 0 011.414 0zM17 11a1 1 0 100-2h-1a1 1 0 100 2h1zm-7 4a1 1 0 011 1v1a1 1 0 11-2 0v-1a1 1 0 011-1zM5.05 6.464A1 1 0 106.465 5.05l-.708-.707a1 1 0 00-1.414 1.414l.707.707zm1.414 8.486l-.707.707a1 1 0 01-1.414-1.414l.707-.707a1 1 0 011.414 1.414zM4 11a1 1 0 100-2H3a1 1 0 000 2h1z" clip-rule="evenodd"/>
-                `;
-            } else {
-                // Moon icon for dark mode
-                icon.innerHTML = `
-                    <path d="M17.293 13.293A8 8 0 016.707 2.707a8.001 8.001 0 1010.586 10.586z"/>
-                `;
-            }
-        }
+async function refreshGamesData() {
+    const dataLoaded = await window.GameData.loadGamesData();
+    if (dataLoaded) {
+        window.GameSearch.applyFiltersAndSearch({ updateHistory: false });
+        window.Router.refresh();
     }
 }
 
@@ -102,6 +97,11 @@ function showError(message) {
     if (loadingSpinner) {
         loadingSpinner.style.display = 'none';
     }
+
+    // The page may have opened on a game
+    if (window.GameDetails) {
+        window.GameDetails.showGameError(message);
+    }
 }
 
 /**
@@ -116,16 +116,11 @@ document.addEventListener('visibilitychange', () => {
 });
 
 /**
- * Handle online/offline status
+ * Handle online status (the offline banner is handled by offline.js)
  */
 window.addEventListener('online', () => {
-    console.log('Connection restored - reloading data...');
-    initApp();
-});
-
-window.addEventListener('offline', () => {
-    console.log('Connection lost');
-    showError('You appear to be offline. Some features may not work properly.');
+    console.log('Connection restored - refreshing data...');
+    refreshGamesData();
 });
 
 // Initialize app when DOM is loaded
@@ -134,5 +129,6 @@ document.addEventListener('DOMContentLoaded', initApp);
 // Export for debugging
 window.MUTGamesApp = {
     initApp,
+    refreshGamesData,
     showError
 };
@@ -0,0 +1,343 @@
+/**
+ * MUT Improv Games Cast Manager
+ * The team roster with each player's skills, and how well games suit tonight's cast
+ */
+
+const CAST_ROSTER_KEY = 'castRoster';
+const MUSICAL_CATEGORY = 'Musical Games';
+
+// Skills a player can have, and the game tag that calls for each.
+// Required skills rule a game out when nobody tonight has them; the rest only weigh the score.
+const CAST_SKILLS = [
+    { tag: 'singing', field: 'sings', label: 'Sings', required: true, need: 'someone who sings', plural: 'singers' },
+    { tag: 'accents', field: 'accents', label: 'Accents', required: true, need: 'someone who does accents', plural: 'players who do accents' },
+    { tag: 'physical', field: 'physical', label: 'Likes physical games', required: false, need: '', plural: 'players who like physical games' }
+];
+
+// Cached roster, read from localStorage on first use
+let castRoster = null;
+
+// DOM elements (cast page)
+let rosterList;
+let castSuggestions;
+let castCategoryFilter;
+
+/**
+ * Get the roster ([{ id, name, sings, accents, physical, present }])
+ */
+function getRoster() {
+    if (!castRoster) {
+        try {
+            const value = JSON.parse(localStorage.getItem(CAST_ROSTER_KEY));
+            castRoster = Array.isArray(value) ? value : [];
+        } catch (error) {
+            console.error('Error reading cast roster:', error);
+            castRoster = [];
+        }
+    }
+    return castRoster;
+}
+
+/**
+ * Store the roster
+ */
+function saveRoster(roster) {
+    castRoster = roster;
+    localStorage.setItem(CAST_ROSTER_KEY, JSON.stringify(roster));
+}
+
+/**
+ * Add a player to the roster. Returns the new player.
+ */
+function addPlayer(name, skills = {}) {
+    const player = {
+        id: `m${Date.now().toString(36)}${getRoster().length}`,
+        name: name.trim(),
+        present: true
+    };
+    CAST_SKILLS.forEach(skill => { player[skill.field] = Boolean(skills[skill.field]); });
+    saveRoster([...getRoster(), player]);
+    return player;
+}
+
+/**
+ * Change a player's name, skills or attendance
+ */
+function updatePlayer(playerId, changes) {
+    saveRoster(getRoster().map(player => player.id === playerId ? { ...player, ...changes } : player));
+}
+
+/**
+ * Remove a player from the roster
+ */
+function removePlayer(playerId) {
+    saveRoster(getRoster().filter(player => player.id !== playerId));
+}
+
+/**
+ * Get the players here tonight
+ */
+function getTonightCast() {
+    return getRoster().filter(player => player.present);
+}
+
+/**
+ * Get the skills a game calls for. Musical Games always need a singer.
+ */
+function getGameSkills(game) {
+    return CAST_SKILLS.filter(skill =>
+        (game.tags && game.tags.includes(skill.tag)) ||
+        (skill.tag === 'singing' && game.category === MUSICAL_CATEGORY)
+    );
+}
+
+/**
+ * Score how well a game suits a cast, from 0 (can't be played) to 100.
+ * Returns { score, reasons } or null for an empty cast.
+ */
+function scoreGameForCast(game, cast) {
+    if (cast.length === 0) return null;
+
+    const { min, max, optimal } = game.playerCount;
+    if (!window.GameData.fitsPlayerCount(game.playerCount, cast.length)) {
+        return { score: 0, reasons: [`Needs ${min === max ? min : `${min}-${max}`} players`] };
+    }
+
+    const skills = getGameSkills(game);
+    const missing = skills.filter(skill => skill.required && !cast.some(player => player[skill.field]));
+    if (missing.length > 0) {
+        return { score: 0, reasons: missing.map(skill => `Needs ${skill.need}`) };
+    }
+
+    // Closer to the optimal cast size scores higher
+    const reasons = [];
+    let score = 1 - Math.abs(cast.length - optimal) / (max - min + 1);
+    if (cast.length === optimal) reasons.push('Optimal cast size');
+
+    skills.forEach(skill => {
+        const count = cast.filter(player => player[skill.field]).length;
+        if (skill.required) {
+            // One singer can carry it; two or more is safer
+            score *= count >= 2 ? 1 : 0.75;
+        } else {
+            // Physical games suit a cast that enjoys them
+            score *= 0.5 + 0.5 * (count / cast.length);
+        }
+        if (count > 0) reasons.push(`${count} of ${cast.length} ${skill.plural}`);
+    });
+
+    return { score: Math.max(1, Math.round(score * 100)), reasons };
+}
+
+/**
+ * Games that suit a cast, best match first: [{ game, match }]
+ */
+function suggestGamesForCast(cast, games = window.GameData.allGames) {
+    if (cast.length === 0) return [];
+
+    return window.GameData.filterGames(games, { players: cast.length })
+        .map(game => ({ game, match: scoreGameForCast(game, cast) }))
+        .filter(({ match }) => match.score > 0)
+        .sort((a, b) => b.match.score - a.match.score);
+}
+
+/**
+ * Sort games by how well they suit tonight's cast (ties keep their order)
+ */
+function sortGamesByCastMatch(games) {
+    const cast = getTonightCast();
+    if (cast.length === 0) return games;
+
+    return games
+        .map(game => ({ game, score: scoreGameForCast(game, cast).score }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ game }) => game);
+}
+
+/**
+ * Create the cast match line for a game card, or null when no cast is set for tonight
+ */
+function createCastMatchBadge(game) {
+    const match = scoreGameForCast(game, getTonightCast());
+    if (!match) return null;
+
+    const badge = document.createElement('p');
+    badge.className = `card-text game-match ${match.score > 0 ? '' : 'game-match-none'}`.trim();
+    badge.textContent = match.score > 0 ?
+        `Cast match: ${match.score}%` :
+        `Not for tonight's cast: ${match.reasons.join(', ')}`;
+    if (match.score > 0 && match.reasons.length > 0) {
+        badge.title = match.reasons.join(' · ');
+    }
+    return badge;
+}
+
+/**
+ * Initialize the cast page
+ */
+async function initCastPage() {
+    // Only run on the cast page
+    if (!document.getElementById('castContent')) return;
+
+    console.log('Initializing cast manager...');
+
+    try {
+        // Initialize theme
+        window.Theme.initTheme();
+
+        // Load game data first
+        const dataLoaded = await window.GameData.loadGamesData();
+        if (!dataLoaded) {
+            showCastError('Failed to load game data. Please try refreshing the page.');
+            return;
+        }
+
+        // Get DOM elements
+        rosterList = document.getElementById('rosterList');
+        castSuggestions = document.getElementById('castSuggestions');
+        castCategoryFilter = document.getElementById('castCategoryFilter');
+
+        window.GameData.getCategories().forEach(category => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category;
+            castCategoryFilter.appendChild(option);
+        });
+
+        // Set up event listeners
+        document.getElementById('addPlayerForm').addEventListener('submit', handleAddPlayer);
+        rosterList.addEventListener('change', handleRosterChange);
+        rosterList.addEventListener('click', handleRosterClick);
+        castCategoryFilter.addEventListener('change', renderCastSuggestions);
+
+        renderRoster();
+    } catch (error) {
+        console.error('Error initializing cast manager:', error);
+        showCastError('An error occurred while loading the cast manager.');
+    }
+}
+
+/**
+ * Add the player in the add form
+ */
+function handleAddPlayer(event) {
+    event.preventDefault();
+    const form = event.target;
+    const name = form.querySelector('#playerName').value.trim();
+    if (!name) return;
+
+    const skills = {};
+    CAST_SKILLS.forEach(skill => {
+        skills[skill.field] = form.querySelector(`#newPlayer-${skill.field}`).checked;
+    });
+    addPlayer(name, skills);
+
+    form.reset();
+    renderRoster();
+}
+
+/**
+ * Save attendance and skill checkboxes as they change
+ */
+function handleRosterChange(event) {
+    const input = event.target;
+    const row = input.closest('[data-player-id]');
+    if (!row || !input.dataset.field) return;
+
+    updatePlayer(row.dataset.playerId, { [input.dataset.field]: input.checked });
+    renderRoster();
+}
+
+/**
+ * Handle remove buttons
+ */
+function handleRosterClick(event) {
+    const button = event.target.closest('[data-roster-action="remove"]');
+    if (!button) return;
+
+    const row = button.closest('[data-player-id]');
+    const player = getRoster().find(candidate => candidate.id === row.dataset.playerId);
+    if (player && confirm(`Remove ${player.name} from the roster?`)) {
+        removePlayer(player.id);
+        renderRoster();
+    }
+}
+
+/**
+ * Render the roster table and tonight's summary
+ */
+function renderRoster() {
+    const { html, setHtml } = window.Render;
+    const roster = getRoster();
+
+    setHtml(rosterList, roster.length === 0 ? html`
+        <tr><td colspan="${CAST_SKILLS.length + 3}" class="text-muted">No players yet. Add the team above.</td></tr>
+    ` : html`${roster.map(player => html`
+        <tr data-player-id="${player.id}">
+            <td><input type="checkbox" class="form-check-input" data-field="present" aria-label="${player.name} is here tonight" ${player.present ? html`checked` : ''}></td>
+            <td>${player.name}</td>
+            ${CAST_SKILLS.map(skill => html`
+            <td><input type="checkbox" class="form-check-input" data-field="${skill.field}" aria-label="${player.name}: ${skill.label}" ${player[skill.field] ? html`checked` : ''}></td>
+            `)}
+            <td><button type="button" class="btn btn-sm btn-outline-secondary" data-roster-action="remove" aria-label="Remove ${player.name}">✕</button></td>
+        </tr>
+    `)}`);
+
+    const cast = getTonightCast();
+    document.getElementById('castSummary').textContent = cast.length === 0 ?
+        'Tick who is here tonight to see games that suit the cast.' :
+        `${cast.length} player${cast.length === 1 ? '' : 's'} tonight: ${CAST_SKILLS.map(skill =>
+            `${cast.filter(player => player[skill.field]).length} ${skill.label.toLowerCase()}`
+        ).join(', ')}`;
+
+    renderCastSuggestions();
+}
+
+/**
+ * Render the games that suit tonight's cast
+ */
+function renderCastSuggestions() {
+    if (getTonightCast().length === 0) {
+        castSuggestions.innerHTML = '';
+        return;
+    }
+
+    const category = castCategoryFilter.value;
+    const games = category ? window.GameData.getGamesByCategory(category) : window.GameData.allGames;
+    const suggestions = suggestGamesForCast(getTonightCast(), games);
+
+    window.GameSearch.renderGames(suggestions.map(({ game }) => game), castSuggestions);
+}
+
+/**
+ * Show error on cast page
+ */
+function showCastError(message) {
+    const content = document.getElementById('castContent');
+    if (!content) return;
+
+    window.Render.setHtml(content, window.Render.html`
+        <div class="alert alert-danger text-center" role="alert">
+            <h4 class="alert-heading">Error Loading Cast Manager</h4>
+            <p>${message}</p>
+        </div>
+    `);
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', initCastPage);
+
+// Export functions for use in other modules
+window.Cast = {
+    CAST_SKILLS,
+    getRoster,
+    addPlayer,
+    updatePlayer,
+    removePlayer,
+    getTonightCast,
+    getGameSkills,
+    scoreGameForCast,
+    suggestGamesForCast,
+    sortGamesByCastMatch,
+    createCastMatchBadge
+};
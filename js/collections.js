@@ -0,0 +1,409 @@
+/**
+ * MUT Improv Games Favorites and Collections
+ * Personal game lists stored in localStorage, exportable as JSON
+ */
+
+const FAVORITES_KEY = 'favorites';
+const COLLECTIONS_KEY = 'collections';
+const COLLECTIONS_EXPORT_VERSION = 1;
+
+// Callbacks to run whenever favorites or collections change
+const collectionChangeCallbacks = [];
+
+/**
+ * Read a JSON value from local storage
+ */
+function readStoredList(key) {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(value) ? value : [];
+    } catch (error) {
+        console.error(`Error reading ${key}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Write a value to local storage and notify listeners
+ */
+function writeStoredList(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+    collectionChangeCallbacks.forEach(callback => callback());
+}
+
+/**
+ * Register a callback for changes to favorites or collections
+ */
+function onCollectionsChanged(callback) {
+    collectionChangeCallbacks.push(callback);
+}
+
+/**
+ * Get favorite game IDs
+ */
+function getFavorites() {
+    return readStoredList(FAVORITES_KEY);
+}
+
+/**
+ * Check whether a game is a favorite
+ */
+function isFavorite(gameId) {
+    return getFavorites().includes(gameId);
+}
+
+/**
+ * Add or remove a game from favorites. Returns the new state.
+ */
+function toggleFavorite(gameId) {
+    const favorites = getFavorites();
+    const favorite = !favorites.includes(gameId);
+    writeStoredList(FAVORITES_KEY, favorite ?
+        [...favorites, gameId] :
+        favorites.filter(id => id !== gameId));
+    return favorite;
+}
+
+/**
+ * Get all collections, in display order
+ */
+function getCollections() {
+    return readStoredList(COLLECTIONS_KEY);
+}
+
+/**
+ * Get a collection by ID
+ */
+function getCollection(collectionId) {
+    return getCollections().find(collection => collection.id === collectionId);
+}
+
+/**
+ * Update one collection and save
+ */
+function updateCollection(collectionId, update) {
+    writeStoredList(COLLECTIONS_KEY, getCollections().map(collection =>
+        collection.id === collectionId ? { ...collection, ...update(collection) } : collection
+    ));
+}
+
+/**
+ * Create a new, empty collection
+ */
+function createCollection(name) {
+    const collection = {
+        id: `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: name.trim(),
+        gameIds: []
+    };
+    writeStoredList(COLLECTIONS_KEY, [...getCollections(), collection]);
+    return collection;
+}
+
+/**
+ * Rename a collection
+ */
+function renameCollection(collectionId, name) {
+    updateCollection(collectionId, () => ({ name: name.trim() }));
+}
+
+/**
+ * Delete a collection
+ */
+function deleteCollection(collectionId) {
+    writeStoredList(COLLECTIONS_KEY, getCollections().filter(collection => collection.id !== collectionId));
+}
+
+/**
+ * Move a collection earlier or later in the list
+ */
+function moveCollection(collectionId, offset) {
+    const collections = getCollections();
+    const index = collections.findIndex(collection => collection.id === collectionId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= collections.length) return;
+
+    [collections[index], collections[target]] = [collections[target], collections[index]];
+    writeStoredList(COLLECTIONS_KEY, collections);
+}
+
+/**
+ * Add a game to a collection, or remove it if already there. Returns the new state.
+ */
+function toggleInCollection(collectionId, gameId) {
+    const collection = getCollection(collectionId);
+    if (!collection) return false;
+
+    const included = !collection.gameIds.includes(gameId);
+    updateCollection(collectionId, current => ({
+        gameIds: included ?
+            [...current.gameIds, gameId] :
+            current.gameIds.filter(id => id !== gameId)
+    }));
+    return included;
+}
+
+/**
+ * Get the game IDs in a view: "favorites" or a collection ID
+ */
+function getViewGameIds(view) {
+    if (view === 'favorites') return getFavorites();
+    const collection = getCollection(view);
+    return collection ? collection.gameIds : [];
+}
+
+/**
+ * Serialize favorites and collections for sharing
+ */
+function exportCollections() {
+    return JSON.stringify({
+        version: COLLECTIONS_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        favorites: getFavorites(),
+        collections: getCollections()
+    }, null, 2);
+}
+
+/**
+ * Import favorites and collections from exported JSON.
+ * Collections with the same name are merged; new ones are added.
+ */
+function importCollections(json) {
+    const data = JSON.parse(json);
+    if (!data || !Array.isArray(data.collections)) {
+        throw new Error('This file does not contain any collections.');
+    }
+
+    const favorites = getFavorites();
+    (data.favorites || []).forEach(gameId => {
+        if (!favorites.includes(gameId)) favorites.push(gameId);
+    });
+
+    const collections = getCollections();
+    let imported = 0;
+    data.collections.forEach(incoming => {
+        if (!incoming || typeof incoming.name !== 'string' || !Array.isArray(incoming.gameIds)) return;
+
+        const existing = collections.find(collection => collection.name === incoming.name);
+        if (existing) {
+            existing.gameIds = [...new Set([...existing.gameIds, ...incoming.gameIds])];
+        } else {
+            collections.push({
+                id: `c${Date.now().toString(36)}${imported}`,
+                name: incoming.name,
+                gameIds: [...new Set(incoming.gameIds)]
+            });
+        }
+        imported++;
+    });
+
+    localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+    writeStoredList(COLLECTIONS_KEY, collections);
+    return imported;
+}
+
+/**
+ * Create a star button that toggles a game's favorite state
+ */
+function createFavoriteButton(game, className = '') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `favorite-toggle ${className}`.trim();
+
+    const update = (favorite) => {
+        button.textContent = favorite ? '★' : '☆';
+        button.setAttribute('aria-pressed', favorite ? 'true' : 'false');
+        button.setAttribute('aria-label', favorite ?
+            `Remove ${game.name} from favorites` :
+            `Add ${game.name} to favorites`);
+    };
+    update(isFavorite(game.id));
+
+    button.addEventListener('click', (event) => {
+        // Don't open the game when starring a card
+        event.stopPropagation();
+        update(toggleFavorite(game.id));
+    });
+
+    return button;
+}
+
+/**
+ * Create the favorite and "add to collection" controls for the game details header
+ */
+function createCollectionControls(game) {
+    const container = document.createElement('div');
+    container.className = 'collection-controls';
+    container.appendChild(createFavoriteButton(game, 'favorite-toggle-large'));
+
+    const dropdown = document.createElement('div');
+    dropdown.className = 'dropdown d-inline-block';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'btn btn-outline-light dropdown-toggle';
+    toggle.setAttribute('data-bs-toggle', 'dropdown');
+    toggle.setAttribute('data-bs-auto-close', 'outside');
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.textContent = 'Collections';
+    dropdown.appendChild(toggle);
+
+    const menu = document.createElement('ul');
+    menu.className = 'dropdown-menu';
+    dropdown.appendChild(menu);
+
+    const renderMenu = () => {
+        menu.innerHTML = '';
+        getCollections().forEach(collection => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'dropdown-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-check-input me-2';
+            checkbox.checked = collection.gameIds.includes(game.id);
+            checkbox.addEventListener('change', () => toggleInCollection(collection.id, game.id));
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(collection.name));
+            item.appendChild(label);
+            menu.appendChild(item);
+        });
+
+        const newItem = document.createElement('li');
+        const newButton = document.createElement('button');
+        newButton.type = 'button';
+        newButton.className = 'dropdown-item';
+        newButton.textContent = 'New collection...';
+        newButton.addEventListener('click', () => {
+            const name = prompt('Name for the new collection:');
+            if (!name || !name.trim()) return;
+            toggleInCollection(createCollection(name).id, game.id);
+            renderMenu();
+        });
+        newItem.appendChild(newButton);
+        menu.appendChild(newItem);
+    };
+    renderMenu();
+
+    container.appendChild(dropdown);
+    return container;
+}
+
+/**
+ * Initialize the "My collections" panel on the index page
+ */
+function initCollectionsPanel() {
+    const viewSelect = document.getElementById('collectionView');
+    if (!viewSelect) return;
+
+    const importInput = document.getElementById('importCollectionsFile');
+
+    renderCollectionOptions();
+    onCollectionsChanged(renderCollectionOptions);
+
+    const selectedCollection = () => getCollection(viewSelect.value);
+    const refresh = () => window.GameSearch.applyFiltersAndSearch();
+
+    document.getElementById('newCollection').addEventListener('click', () => {
+        const name = prompt('Name for the new collection:');
+        if (!name || !name.trim()) return;
+        const collection = createCollection(name);
+        viewSelect.value = collection.id;
+        refresh();
+    });
+
+    document.getElementById('renameCollection').addEventListener('click', () => {
+        const collection = selectedCollection();
+        if (!collection) return;
+        const name = prompt('Rename collection:', collection.name);
+        if (name && name.trim()) renameCollection(collection.id, name);
+    });
+
+    document.getElementById('deleteCollection').addEventListener('click', () => {
+        const collection = selectedCollection();
+        if (!collection || !confirm(`Delete the collection "${collection.name}"?`)) return;
+        deleteCollection(collection.id);
+        viewSelect.value = '';
+        refresh();
+    });
+
+    document.getElementById('moveCollectionUp').addEventListener('click', () => {
+        const collection = selectedCollection();
+        if (collection) moveCollection(collection.id, -1);
+    });
+
+    document.getElementById('moveCollectionDown').addEventListener('click', () => {
+        const collection = selectedCollection();
+        if (collection) moveCollection(collection.id, 1);
+    });
+
+    document.getElementById('exportCollections').addEventListener('click', () => {
+        window.Files.downloadFile('mut-collections.json', exportCollections(), 'application/json');
+    });
+
+    document.getElementById('importCollections').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        try {
+            const count = importCollections(await window.Files.readFileAsText(file));
+            alert(`Imported ${count} collection${count === 1 ? '' : 's'}.`);
+        } catch (error) {
+            console.error('Error importing collections:', error);
+            alert(`Could not import collections: ${error.message}`);
+        }
+        importInput.value = '';
+    });
+}
+
+/**
+ * Fill the collection view dropdown, keeping the current selection
+ */
+function renderCollectionOptions() {
+    const viewSelect = document.getElementById('collectionView');
+    if (!viewSelect) return;
+
+    const selected = viewSelect.value;
+    viewSelect.innerHTML = '';
+
+    const options = [
+        { value: '', label: 'All games' },
+        { value: 'favorites', label: `★ Favorites (${getFavorites().length})` },
+        ...getCollections().map(collection => ({
+            value: collection.id,
+            label: `${collection.name} (${collection.gameIds.length})`
+        }))
+    ];
+    options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        viewSelect.appendChild(option);
+    });
+
+    viewSelect.value = options.some(option => option.value === selected) ? selected : '';
+}
+
+// Export functions for use in other modules
+window.Collections = {
+    getFavorites,
+    isFavorite,
+    toggleFavorite,
+    getCollections,
+    getCollection,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    moveCollection,
+    toggleInCollection,
+    getViewGameIds,
+    exportCollections,
+    importCollections,
+    onCollectionsChanged,
+    createFavoriteButton,
+    createCollectionControls,
+    initCollectionsPanel,
+    renderCollectionOptions
+};
@@ -7,21 +7,81 @@
 let allGames = [];
 let filteredGames = [];
 let categories = new Set();
+let tagDefinitions = {};
+let gamesIndex = null;
+let metadata = {};
+
+// The first load of the database, shared by everything on the page that needs it
+let gamesDataLoad = null;
+
+// The database version this code reads; older files are upgraded by migrateDatabase
+const CURRENT_DATA_VERSION = '2.0';
+
+/**
+ * Fetch the raw games database (metadata plus categories[].games[])
+ */
+async function fetchGamesDatabase() {
+    const response = await fetch('data/mutgames.json');
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Upgrade a version 1 game: the duration string becomes durationMinutes and the
+ * audienceCount prose becomes audienceVolunteers, keeping the field order.
+ * A duration that does not parse is left as it is for validation to report.
+ */
+function migrateGameToV2(game) {
+    const migrated = {};
+    Object.keys(game).forEach(key => {
+        if (key === 'duration') {
+            const range = parseDuration(game.duration);
+            if (range) {
+                migrated.durationMinutes = range;
+            } else {
+                migrated.duration = game.duration;
+            }
+        } else if (key === 'audienceCount') {
+            migrated.audienceVolunteers = parseAudienceCount(game.audienceCount);
+        } else {
+            migrated[key] = game[key];
+        }
+    });
+    return migrated;
+}
+
+/**
+ * Upgrade a games database to CURRENT_DATA_VERSION, keyed off metadata.version.
+ * Returns the database unchanged when it is already current.
+ */
+function migrateDatabase(data) {
+    const version = parseInt(String((data.metadata && data.metadata.version) || '1'), 10) || 1;
+    if (version >= 2) return data;
+
+    return {
+        ...data,
+        metadata: { ...data.metadata, version: CURRENT_DATA_VERSION },
+        categories: data.categories.map(category => ({
+            ...category,
+            games: (category.games || []).map(migrateGameToV2)
+        }))
+    };
+}
 
 /**
  * Load games data from JSON file
  */
 async function loadGamesData() {
     try {
-        const response = await fetch('data/mutgames.json');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
+        const data = migrateDatabase(await fetchGamesDatabase());
 
         // Process the data
         allGames = [];
         categories.clear();
+        metadata = data.metadata || {};
+        tagDefinitions = metadata.tags || {};
 
         // Extract games from categories
         data.categories.forEach(category => {
@@ -37,6 +97,9 @@ async function loadGamesData() {
         // Sort games alphabetically
         allGames.sort((a, b) => a.name.localeCompare(b.name));
 
+        // Build the search index once per load
+        gamesIndex = window.SearchIndex.buildSearchIndex(allGames);
+
         // Initialize filtered games
         filteredGames = [...allGames];
 
@@ -48,6 +111,27 @@ async function loadGamesData() {
     }
 }
 
+/**
+ * Load the database once and share it: later calls wait for the same load
+ * instead of fetching it again. A failed load is retried on the next call.
+ */
+function ensureGamesData() {
+    if (!gamesDataLoad) {
+        gamesDataLoad = loadGamesData().then(loaded => {
+            if (!loaded) gamesDataLoad = null;
+            return loaded;
+        });
+    }
+    return gamesDataLoad;
+}
+
+/**
+ * Get the URL of a game's page (the game route of the list page)
+ */
+function getGameUrl(gameId) {
+    return `index.html#/game/${encodeURIComponent(gameId)}`;
+}
+
 /**
  * Get all unique categories
  */
@@ -55,6 +139,23 @@ function getCategories() {
     return Array.from(categories).sort();
 }
 
+/**
+ * Get the database metadata (version, lastUpdated, tags...)
+ */
+function getMetadata() {
+    return metadata;
+}
+
+/**
+ * Get tag definitions declared in the database metadata
+ */
+function getTags() {
+    return Object.keys(tagDefinitions).sort().map(tag => ({
+        id: tag,
+        ...tagDefinitions[tag]
+    }));
+}
+
 /**
  * Get game by ID
  */
@@ -70,72 +171,72 @@ function getGamesByCategory(categoryName) {
 }
 
 /**
- * Search games by text
+ * Search games by text, ranked by relevance
  */
 function searchGames(query) {
     if (!query || query.trim() === '') {
         return allGames;
     }
 
-    const searchTerm = query.toLowerCase().trim();
-    return allGames.filter(game => {
-        // Search in name
-        if (game.name.toLowerCase().includes(searchTerm)) return true;
-
-        // Search in description/setup
-        if (game.setup && game.setup.description &&
-            game.setup.description.toLowerCase().includes(searchTerm)) return true;
-
-        // Search in rules
-        if (game.rules && game.rules.some(rule =>
-            rule.toLowerCase().includes(searchTerm))) return true;
-
-        // Search in tips
-        if (game.tips && game.tips.some(tip => {
-            if (typeof tip === 'string') {
-                return tip.toLowerCase().includes(searchTerm);
-            } else if (tip.role && tip.tips) {
-                return tip.tips.some(t =>
-                    t.toLowerCase().includes(searchTerm));
-            }
-            return false;
-        })) return true;
-
-        // Search in examples
-        if (game.examples && game.examples.some(example =>
-            example.toLowerCase().includes(searchTerm))) return true;
-
-        // Search in tags
-        if (game.tags && game.tags.some(tag =>
-            tag.toLowerCase().includes(searchTerm))) return true;
-
-        // Search in category
-        if (game.category && game.category.toLowerCase().includes(searchTerm)) return true;
+    return window.SearchIndex.queryIndex(gamesIndex, query).map(result => result.game);
+}
 
-        return false;
-    });
+/**
+ * Get the indexed terms matched by a query, for highlighting results
+ */
+function getMatchingTerms(query) {
+    if (!query || query.trim() === '' || !gamesIndex) {
+        return new Set();
+    }
+    return window.SearchIndex.findMatchingTerms(gamesIndex, query);
 }
 
 /**
  * Filter games by criteria
  */
 function filterGames(games, filters) {
+    const excludedGames = getGamesMentioning(filters.exclude);
+
     return games.filter(game => {
         // Category filter
         if (filters.category && filters.category !== '' && game.category !== filters.category) {
             return false;
         }
+        if (filters.excludeCategories && filters.excludeCategories.includes(game.category)) {
+            return false;
+        }
 
         // Difficulty filter
         if (filters.difficulty && filters.difficulty !== '' && game.difficulty !== filters.difficulty) {
             return false;
         }
+        if (filters.excludeDifficulties && filters.excludeDifficulties.includes(game.difficulty)) {
+            return false;
+        }
+
+        // Cast size filter - the cast must fall within the game's player range
+        if (filters.players) {
+            if (!fitsPlayerCount(game.playerCount, filters.players)) {
+                return false;
+            }
+            if (filters.optimalOnly && game.playerCount.optimal !== filters.players) {
+                return false;
+            }
+        }
+
+        // Player range filter - keep games whose player range overlaps the requested range
+        if (filters.minPlayers && game.playerCount.max < filters.minPlayers) {
+            return false;
+        }
+        if (filters.maxPlayers && game.playerCount.min > filters.maxPlayers) {
+            return false;
+        }
 
-        // Player count filter (simplified - could be enhanced)
-        if (filters.minPlayers && game.playerCount.min < filters.minPlayers) {
+        // Duration filter - keep games whose minute range overlaps the requested range
+        if (filters.minMinutes && (!game.durationMinutes || game.durationMinutes.max < filters.minMinutes)) {
             return false;
         }
-        if (filters.maxPlayers && game.playerCount.max > filters.maxPlayers) {
+        if (filters.maxMinutes && (!game.durationMinutes || game.durationMinutes.min > filters.maxMinutes)) {
             return false;
         }
 
@@ -146,10 +247,46 @@ function filterGames(games, filters) {
             return false;
         }
 
+        // Tag filter - games must carry every selected tag
+        if (filters.tags && filters.tags.length > 0 &&
+            !filters.tags.every(tag => game.tags && game.tags.includes(tag))) {
+            return false;
+        }
+
+        // Excluded tags (e.g. "-tag:musical")
+        if (filters.excludeTags && filters.excludeTags.some(tag => game.tags && game.tags.includes(tag))) {
+            return false;
+        }
+
+        // Excluded terms (e.g. "-musical")
+        if (excludedGames.has(game)) {
+            return false;
+        }
+
         return true;
     });
 }
 
+/**
+ * Get the set of games mentioning any of the given terms
+ */
+function getGamesMentioning(terms) {
+    const games = new Set();
+    if (!terms || terms.length === 0 || !gamesIndex) return games;
+
+    terms.forEach(term => {
+        window.SearchIndex.findGamesContaining(gamesIndex, term).forEach(game => games.add(game));
+    });
+    return games;
+}
+
+/**
+ * Check whether a number of players falls within a game's player count
+ */
+function fitsPlayerCount(playerCount, players) {
+    return playerCount.min <= players && players <= playerCount.max;
+}
+
 /**
  * Format player count for display
  */
@@ -162,10 +299,61 @@ function formatPlayerCount(playerCount) {
 }
 
 /**
- * Format duration for display
+ * Format a duration range ({ min: 5, max: 10 }) for display
+ */
+function formatDuration(durationMinutes) {
+    if (!durationMinutes) return 'Not specified';
+
+    const { min, max } = durationMinutes;
+    if (min === max) {
+        return `${min} minute${min === 1 ? '' : 's'}`;
+    }
+    return `${min}-${max} minutes`;
+}
+
+/**
+ * Sort games by duration: 'shortest' (by the bottom of the range) or 'longest' (by the top).
+ * Games without a duration go last; ties keep their order.
+ */
+function sortGamesByDuration(games, order) {
+    if (order !== 'shortest' && order !== 'longest') return games;
+
+    const timed = games.filter(game => game.durationMinutes);
+    const untimed = games.filter(game => !game.durationMinutes);
+    timed.sort((a, b) => {
+        const left = a.durationMinutes;
+        const right = b.durationMinutes;
+        return order === 'shortest' ?
+            (left.min - right.min) || (left.max - right.max) :
+            (right.max - left.max) || (right.min - left.min);
+    });
+    return [...timed, ...untimed];
+}
+
+/**
+ * Parse a duration string ("5-10 minutes", "10 minutes") into a minute range
+ */
+function parseDuration(duration) {
+    if (!duration) return null;
+
+    const match = String(duration).match(/(\d+)(?:\s*(?:-|–|to)\s*(\d+))?\s*min/i);
+    if (!match) return null;
+
+    const min = parseInt(match[1], 10);
+    const max = match[2] ? parseInt(match[2], 10) : min;
+    return { min: Math.min(min, max), max: Math.max(min, max) };
+}
+
+/**
+ * Parse audience prose ("1-2 guessers", "1 audience member with microphone") into
+ * { min, max, description }, assuming one volunteer when no number is given
  */
-function formatDuration(duration) {
-    return duration || 'Not specified';
+function parseAudienceCount(text) {
+    const description = String(text).trim();
+    const match = description.match(/(\d+)(?:\s*(?:-|–|to)\s*(\d+))?/);
+    const min = match ? parseInt(match[1], 10) : 1;
+    const max = match && match[2] ? parseInt(match[2], 10) : min;
+    return { min: Math.min(min, max), max: Math.max(min, max), description };
 }
 
 /**
@@ -188,6 +376,9 @@ function getTagClass(tag) {
         case 'family_friendly': return 'tag-family-friendly';
         case 'jam_friendly': return 'tag-jam-friendly';
         case 'seasonal': return 'tag-seasonal';
+        case 'singing':
+        case 'accents':
+        case 'physical': return 'tag-skill';
         default: return 'badge bg-secondary';
     }
 }
@@ -219,14 +410,26 @@ function getYouTubeEmbedUrl(videoId) {
 
 // Export functions for use in other modules
 window.GameData = {
+    CURRENT_DATA_VERSION,
+    fetchGamesDatabase,
+    migrateDatabase,
     loadGamesData,
+    ensureGamesData,
+    getGameUrl,
     getCategories,
+    getMetadata,
+    getTags,
     getGameById,
     getGamesByCategory,
     searchGames,
+    getMatchingTerms,
     filterGames,
+    fitsPlayerCount,
     formatPlayerCount,
     formatDuration,
+    sortGamesByDuration,
+    parseDuration,
+    parseAudienceCount,
     getDifficultyClass,
     getTagClass,
     extractYouTubeId,
@@ -0,0 +1,638 @@
+/**
+ * MUT Improv Games Editor
+ * In-browser form for adding and fixing games, producing a validated mutgames.json
+ */
+
+const SCHEMA_URL = 'data/mutgames.schema.json';
+
+// The database being edited and the game currently in the form
+let editorData = null;
+let editorSchema = null;
+let editorSelection = null;
+
+// The merge preview of an imported file, until it is merged or cancelled
+let importPreview = null;
+
+/**
+ * Initialize editor page
+ */
+async function initEditor() {
+    // Only run on the editor page
+    if (!document.getElementById('editorContent')) return;
+
+    console.log('Initializing game editor...');
+
+    try {
+        // Initialize theme
+        window.Theme.initTheme();
+
+        const [data, schema] = await Promise.all([
+            window.GameData.fetchGamesDatabase(),
+            fetchSchema()
+        ]);
+        editorSchema = schema;
+
+        // Set up event listeners
+        document.getElementById('editorCategory').addEventListener('change', renderGameList);
+        document.getElementById('editorGameList').addEventListener('change', handleGameSelected);
+        document.getElementById('newGame').addEventListener('click', startNewGame);
+        document.getElementById('deleteGame').addEventListener('click', deleteSelectedGame);
+        document.getElementById('addRoleTips').addEventListener('click', () => addRoleTipsRow());
+        document.getElementById('gameForm').addEventListener('submit', handleSaveGame);
+        document.getElementById('gameName').addEventListener('input', suggestGameId);
+        document.getElementById('gameId').addEventListener('input', (event) => {
+            event.target.dataset.edited = 'true';
+        });
+        document.getElementById('downloadDatabase').addEventListener('click', downloadDatabase);
+
+        const openInput = document.getElementById('openDatabaseFile');
+        document.getElementById('openDatabase').addEventListener('click', () => openInput.click());
+        openInput.addEventListener('change', handleOpenDatabase);
+
+        const importInput = document.getElementById('importGamesFile');
+        document.getElementById('importGames').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', handleImportGames);
+        document.getElementById('applyImport').addEventListener('click', applyImport);
+        document.getElementById('cancelImport').addEventListener('click', closeImportPreview);
+
+        loadEditorData(data);
+    } catch (error) {
+        console.error('Error initializing editor:', error);
+        showEditorError('An error occurred while loading the editor.');
+    }
+}
+
+/**
+ * Fetch the JSON schema for the games database
+ */
+async function fetchSchema() {
+    const response = await fetch(SCHEMA_URL);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Start editing a database
+ */
+function loadEditorData(data) {
+    editorData = window.GameData.migrateDatabase(data);
+    editorSelection = null;
+
+    renderCategoryOptions();
+    renderTagOptions();
+    renderGameList();
+    clearGameForm();
+    validateEditorData();
+}
+
+/**
+ * Split a textarea into a list, one entry per non-empty line
+ */
+function linesToList(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Join a list into textarea lines
+ */
+function listToLines(list) {
+    return (list || []).join('\n');
+}
+
+/**
+ * Turn "relation: game_id" lines into related games (a bare id is a variant)
+ */
+function linesToRelated(text) {
+    return linesToList(text).map(line => {
+        const [relation, id] = line.includes(':') ? line.split(':').map(part => part.trim()) : ['variant', line];
+        return { id, relation };
+    });
+}
+
+/**
+ * Write related games as "relation: game_id" lines
+ */
+function relatedToLines(related) {
+    return listToLines((related || []).map(({ id, relation }) => `${relation}: ${id}`));
+}
+
+/**
+ * Make a game id from its name ("Top That!" -> "top_that")
+ */
+function slugifyGameId(name) {
+    return name.toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Get the game currently selected for editing
+ */
+function getSelectedGame() {
+    if (!editorSelection) return null;
+    return editorData.categories[editorSelection.categoryIndex].games[editorSelection.gameIndex];
+}
+
+/**
+ * Fill both category dropdowns
+ */
+function renderCategoryOptions() {
+    ['editorCategory', 'gameCategory'].forEach(id => {
+        const select = document.getElementById(id);
+        select.innerHTML = '';
+        editorData.categories.forEach((category, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${category.name} (${category.games.length})`;
+            select.appendChild(option);
+        });
+    });
+}
+
+/**
+ * Render tag checkboxes from the tags declared in metadata
+ */
+function renderTagOptions() {
+    const container = document.getElementById('gameTags');
+    container.innerHTML = '';
+
+    Object.keys(editorData.metadata.tags || {}).forEach(tag => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-check form-check-inline';
+
+        const checkbox = document.createElement('input');
+        checkbox.className = 'form-check-input';
+        checkbox.type = 'checkbox';
+        checkbox.id = `gameTag-${tag}`;
+        checkbox.value = tag;
+
+        const label = document.createElement('label');
+        label.className = 'form-check-label';
+        label.htmlFor = checkbox.id;
+        label.textContent = tag;
+
+        wrapper.appendChild(checkbox);
+        wrapper.appendChild(label);
+        container.appendChild(wrapper);
+    });
+}
+
+/**
+ * List the games of the chosen category
+ */
+function renderGameList() {
+    const categoryIndex = parseInt(document.getElementById('editorCategory').value, 10) || 0;
+    const list = document.getElementById('editorGameList');
+    list.innerHTML = '';
+
+    editorData.categories[categoryIndex].games.forEach((game, gameIndex) => {
+        const option = document.createElement('option');
+        option.value = gameIndex;
+        option.textContent = game.name || '(unnamed game)';
+        if (editorSelection &&
+            editorSelection.categoryIndex === categoryIndex &&
+            editorSelection.gameIndex === gameIndex) {
+            option.selected = true;
+        }
+        list.appendChild(option);
+    });
+}
+
+/**
+ * Handle picking a game from the list
+ */
+function handleGameSelected() {
+    const categoryIndex = parseInt(document.getElementById('editorCategory').value, 10);
+    const gameIndex = parseInt(document.getElementById('editorGameList').value, 10);
+    if (Number.isNaN(gameIndex)) return;
+
+    editorSelection = { categoryIndex, gameIndex };
+    fillGameForm(getSelectedGame(), categoryIndex);
+}
+
+/**
+ * Clear the form for a new game
+ */
+function startNewGame() {
+    editorSelection = null;
+    document.getElementById('editorGameList').value = '';
+    clearGameForm();
+    document.getElementById('gameCategory').value = document.getElementById('editorCategory').value;
+    document.getElementById('gameName').focus();
+}
+
+/**
+ * Reset the form to an empty game
+ */
+function clearGameForm() {
+    fillGameForm({
+        id: '',
+        name: '',
+        aliases: [],
+        tags: [],
+        playerCount: { min: 2, max: 8, optimal: 4 },
+        audienceParticipation: false,
+        durationMinutes: { min: 5, max: 10 },
+        difficulty: 'beginner',
+        setup: { description: '', suggestions: [] },
+        rules: [],
+        tips: [],
+        examples: [],
+        videoLinks: []
+    }, parseInt(document.getElementById('editorCategory').value, 10) || 0);
+    document.getElementById('editorFormTitle').textContent = 'New Game';
+}
+
+/**
+ * Fill the form from a game
+ */
+function fillGameForm(game, categoryIndex) {
+    const setValue = (id, value) => { document.getElementById(id).value = value; };
+
+    document.getElementById('editorFormTitle').textContent = game.name ? `Editing ${game.name}` : 'New Game';
+    setValue('gameId', game.id);
+    document.getElementById('gameId').dataset.edited = game.id ? 'true' : '';
+    setValue('gameName', game.name);
+    setValue('gameCategory', categoryIndex);
+    setValue('gameAliases', listToLines(game.aliases));
+    document.querySelectorAll('#gameTags input').forEach(checkbox => {
+        checkbox.checked = (game.tags || []).includes(checkbox.value);
+    });
+    const playerCount = game.playerCount || {};
+    setValue('playerMin', playerCount.min || '');
+    setValue('playerMax', playerCount.max || '');
+    setValue('playerOptimal', playerCount.optimal || '');
+    document.getElementById('gameAudienceParticipation').checked = Boolean(game.audienceParticipation);
+    setValue('gameAudienceVolunteers', game.audienceVolunteers ? game.audienceVolunteers.description : '');
+    const durationMinutes = game.durationMinutes || {};
+    setValue('durationMin', durationMinutes.min || '');
+    setValue('durationMax', durationMinutes.max || '');
+    setValue('gameDifficulty', game.difficulty || 'beginner');
+    setValue('setupDescription', (game.setup && game.setup.description) || '');
+    setValue('setupSuggestions', listToLines(game.setup && game.setup.suggestions));
+    setValue('gameRules', listToLines(game.rules));
+    setValue('gameTips', listToLines((game.tips || []).filter(tip => typeof tip === 'string')));
+    setValue('gameExamples', listToLines(game.examples));
+    setValue('gameVideoLinks', listToLines(game.videoLinks));
+    setValue('gameRelated', relatedToLines(game.related));
+    setValue('gameNotes', listToLines(game.notes));
+
+    document.getElementById('roleTips').innerHTML = '';
+    (game.tips || [])
+        .filter(tip => typeof tip === 'object' && tip !== null)
+        .forEach(tip => addRoleTipsRow(tip.role, tip.tips));
+}
+
+/**
+ * Add a row for tips aimed at one role (e.g. "Guessers")
+ */
+function addRoleTipsRow(role = '', tips = []) {
+    const row = document.createElement('div');
+    row.className = 'role-tips-row row g-2 mb-2';
+
+    const roleColumn = document.createElement('div');
+    roleColumn.className = 'col-md-3';
+    const roleInput = document.createElement('input');
+    roleInput.type = 'text';
+    roleInput.className = 'form-control role-tips-role';
+    roleInput.placeholder = 'Role';
+    roleInput.setAttribute('aria-label', 'Role');
+    roleInput.value = role;
+    roleColumn.appendChild(roleInput);
+
+    const tipsColumn = document.createElement('div');
+    tipsColumn.className = 'col-md-8';
+    const tipsInput = document.createElement('textarea');
+    tipsInput.className = 'form-control role-tips-tips';
+    tipsInput.rows = 3;
+    tipsInput.placeholder = 'One tip per line';
+    tipsInput.setAttribute('aria-label', 'Tips for this role');
+    tipsInput.value = listToLines(tips);
+    tipsColumn.appendChild(tipsInput);
+
+    const removeColumn = document.createElement('div');
+    removeColumn.className = 'col-md-1';
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-outline-secondary w-100';
+    removeButton.textContent = '✕';
+    removeButton.setAttribute('aria-label', 'Remove role tips');
+    removeButton.addEventListener('click', () => row.remove());
+    removeColumn.appendChild(removeButton);
+
+    row.appendChild(roleColumn);
+    row.appendChild(tipsColumn);
+    row.appendChild(removeColumn);
+    document.getElementById('roleTips').appendChild(row);
+}
+
+/**
+ * Suggest an id from the name until the id is edited by hand
+ */
+function suggestGameId() {
+    const idInput = document.getElementById('gameId');
+    if (idInput.dataset.edited) return;
+    idInput.value = slugifyGameId(document.getElementById('gameName').value);
+}
+
+/**
+ * Read a game from the form, keeping the field order used in mutgames.json
+ */
+function readGameForm() {
+    const value = (id) => document.getElementById(id).value;
+    const integer = (id) => {
+        const number = parseInt(value(id), 10);
+        return Number.isNaN(number) ? null : number;
+    };
+    const original = getSelectedGame() || {};
+
+    const roleTips = Array.from(document.querySelectorAll('#roleTips .role-tips-row'))
+        .map(row => ({
+            role: row.querySelector('.role-tips-role').value.trim(),
+            tips: linesToList(row.querySelector('.role-tips-tips').value)
+        }))
+        .filter(tip => tip.role || tip.tips.length > 0);
+
+    const game = {
+        id: value('gameId').trim(),
+        name: value('gameName').trim(),
+        aliases: linesToList(value('gameAliases')),
+        tags: Array.from(document.querySelectorAll('#gameTags input:checked')).map(input => input.value),
+        playerCount: {
+            min: integer('playerMin'),
+            max: integer('playerMax'),
+            optimal: integer('playerOptimal')
+        },
+        audienceParticipation: document.getElementById('gameAudienceParticipation').checked,
+        durationMinutes: {
+            min: integer('durationMin'),
+            max: integer('durationMax')
+        },
+        difficulty: value('gameDifficulty'),
+        setup: { description: value('setupDescription').trim() },
+        rules: linesToList(value('gameRules')),
+        tips: [...linesToList(value('gameTips')), ...roleTips],
+        examples: linesToList(value('gameExamples')),
+        videoLinks: linesToList(value('gameVideoLinks'))
+    };
+
+    // Keep an empty suggestions list where the game already had one (and on new games)
+    const suggestions = linesToList(value('setupSuggestions'));
+    if (suggestions.length > 0 || !original.setup || 'suggestions' in original.setup) {
+        game.setup.suggestions = suggestions;
+    }
+
+    // Volunteers are described in words ("1-2 guessers"); the numbers are read from the text
+    const audienceVolunteers = value('gameAudienceVolunteers').trim();
+    if (audienceVolunteers) game.audienceVolunteers = window.GameData.parseAudienceCount(audienceVolunteers);
+
+    const related = linesToRelated(value('gameRelated'));
+    if (related.length > 0) game.related = related;
+
+    const notes = linesToList(value('gameNotes'));
+    if (notes.length > 0) game.notes = notes;
+
+    return game;
+}
+
+/**
+ * Save the form into the database being edited
+ */
+function handleSaveGame(event) {
+    event.preventDefault();
+
+    const game = readGameForm();
+    const categoryIndex = parseInt(document.getElementById('gameCategory').value, 10);
+    const targetGames = editorData.categories[categoryIndex].games;
+
+    if (editorSelection && editorSelection.categoryIndex === categoryIndex) {
+        targetGames[editorSelection.gameIndex] = game;
+    } else {
+        if (editorSelection) {
+            editorData.categories[editorSelection.categoryIndex].games.splice(editorSelection.gameIndex, 1);
+        }
+        targetGames.push(game);
+        editorSelection = { categoryIndex, gameIndex: targetGames.length - 1 };
+    }
+
+    renderCategoryOptions();
+    document.getElementById('editorCategory').value = categoryIndex;
+    document.getElementById('gameCategory').value = categoryIndex;
+    renderGameList();
+    document.getElementById('editorFormTitle').textContent = `Editing ${game.name}`;
+
+    const errors = validateEditorData();
+    setEditorStatus(errors.length === 0 ?
+        `Saved "${game.name}". Download mutgames.json to keep your changes.` :
+        `Saved "${game.name}", but the database has ${errors.length} problem(s) to fix.`);
+}
+
+/**
+ * Delete the selected game
+ */
+function deleteSelectedGame() {
+    const game = getSelectedGame();
+    if (!game || !confirm(`Delete "${game.name}"?`)) return;
+
+    editorData.categories[editorSelection.categoryIndex].games.splice(editorSelection.gameIndex, 1);
+    editorSelection = null;
+
+    const categoryIndex = document.getElementById('editorCategory').value;
+    renderCategoryOptions();
+    document.getElementById('editorCategory').value = categoryIndex;
+    renderGameList();
+    clearGameForm();
+    validateEditorData();
+    setEditorStatus(`Deleted "${game.name}".`);
+}
+
+/**
+ * Get today's date as YYYY-MM-DD
+ */
+function getTodayDate() {
+    const today = new Date();
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+}
+
+/**
+ * Build the database for export, with totalGames and lastUpdated brought up to date
+ */
+function buildDatabaseForExport(data, date = getTodayDate()) {
+    const totalGames = data.categories.reduce((total, category) => total + category.games.length, 0);
+    return {
+        ...data,
+        metadata: {
+            ...data.metadata,
+            totalGames,
+            lastUpdated: date
+        }
+    };
+}
+
+/**
+ * Format the database the same way mutgames.json is formatted
+ */
+function formatDatabaseJson(data) {
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Validate the database being edited and show the results
+ */
+function validateEditorData() {
+    const errors = window.Validation.validateDatabase(buildDatabaseForExport(editorData), editorSchema);
+    renderValidationResults(errors);
+    return errors;
+}
+
+/**
+ * Show validation results
+ */
+function renderValidationResults(errors) {
+    const container = document.getElementById('validationResults');
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = errors.length === 0 ? 'text-success mb-2' : 'text-danger mb-2';
+    summary.textContent = errors.length === 0 ?
+        'The database is valid.' :
+        `${errors.length} problem(s) found:`;
+    container.appendChild(summary);
+
+    if (errors.length === 0) return;
+
+    const list = document.createElement('ul');
+    list.className = 'list-group validation-list';
+    errors.forEach(error => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item';
+        const path = document.createElement('code');
+        path.textContent = error.path;
+        item.appendChild(path);
+        item.appendChild(document.createTextNode(` ${error.message}`));
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+}
+
+/**
+ * Download the edited database as mutgames.json
+ */
+function downloadDatabase() {
+    const errors = validateEditorData();
+    if (errors.length > 0) {
+        setEditorStatus(`Fix the ${errors.length} problem(s) below before downloading.`);
+        return;
+    }
+
+    const data = buildDatabaseForExport(editorData);
+    window.Files.downloadFile('mutgames.json', formatDatabaseJson(data), 'application/json');
+    setEditorStatus(`Downloaded mutgames.json with ${data.metadata.totalGames} games.`);
+}
+
+/**
+ * Open a local mutgames.json file for editing
+ */
+async function handleOpenDatabase(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        const data = JSON.parse(await window.Files.readFileAsText(file));
+        if (!data || !Array.isArray(data.categories)) {
+            throw new Error('The file has no categories list.');
+        }
+        loadEditorData(data);
+        setEditorStatus(`Opened ${file.name}.`);
+    } catch (error) {
+        console.error('Error opening database:', error);
+        setEditorStatus(`Could not open ${file.name}: ${error.message}`);
+    }
+    event.target.value = '';
+}
+
+/**
+ * Read games from another troupe's CSV, Markdown or JSON file and preview the merge
+ */
+async function handleImportGames(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        const text = await window.Files.readFileAsText(file);
+        const records = window.GameImport.parseImportFile(text, window.GameImport.detectImportFormat(file.name, text));
+        importPreview = window.GameImport.buildMergePreview(editorData, records);
+
+        document.getElementById('importFileName').textContent = file.name;
+        window.GameImport.renderMergePreview(document.getElementById('importPreviewList'), importPreview);
+        document.getElementById('importPreview').hidden = false;
+        setEditorStatus(`Read ${records.length} game(s) from ${file.name}. Check the preview before merging.`);
+    } catch (error) {
+        console.error('Error importing games:', error);
+        setEditorStatus(`Could not import ${file.name}: ${error.message}`);
+    }
+    event.target.value = '';
+}
+
+/**
+ * Merge the previewed import into the database being edited
+ */
+function applyImport() {
+    if (!importPreview) return;
+
+    const actions = window.GameImport.readMergeActions(document.getElementById('importPreviewList'));
+    const merged = window.GameImport.mergeImport(editorData, importPreview, actions);
+    const before = editorData.categories.reduce((total, category) => total + category.games.length, 0);
+    const after = merged.categories.reduce((total, category) => total + category.games.length, 0);
+
+    closeImportPreview();
+    loadEditorData(merged);
+    setEditorStatus(`Merged the import: ${after - before} game(s) added. Download mutgames.json to keep the result.`);
+}
+
+/**
+ * Hide the import preview without merging
+ */
+function closeImportPreview() {
+    importPreview = null;
+    document.getElementById('importPreview').hidden = true;
+    document.getElementById('importPreviewList').innerHTML = '';
+}
+
+/**
+ * Show a status message
+ */
+function setEditorStatus(message) {
+    const status = document.getElementById('editorStatus');
+    if (status) status.textContent = message;
+}
+
+/**
+ * Show error on editor page
+ */
+function showEditorError(message) {
+    const content = document.getElementById('editorContent');
+    if (!content) return;
+
+    content.innerHTML = `
+        <div class="alert alert-danger text-center" role="alert">
+            <h4 class="alert-heading">Error Loading Editor</h4>
+            <p>${message}</p>
+        </div>
+    `;
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', initEditor);
+
+// Export functions for use in other modules
+window.GameEditor = {
+    slugifyGameId,
+    buildDatabaseForExport,
+    formatDatabaseJson
+};
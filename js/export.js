@@ -0,0 +1,226 @@
+/**
+ * MUT Improv Games Export
+ * Saves the games currently listed as CSV, Markdown or a plain-text cue sheet
+ */
+
+const EXPORT_FORMATS = {
+    csv: { label: 'CSV (spreadsheet)', extension: 'csv', type: 'text/csv' },
+    markdown: { label: 'Markdown (wiki)', extension: 'md', type: 'text/markdown' },
+    text: { label: 'Plain-text cue sheet', extension: 'txt', type: 'text/plain' }
+};
+
+// Text a spreadsheet would run as a formula
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+// Stands in for a line break inside one rule or tip, since a new line starts the next
+// one (see joinCsvLines); the importer turns it back into a line break
+const CSV_LINE_BREAK = '\u2028';
+
+// One CSV column per entry, in order
+const CSV_COLUMNS = [
+    { header: 'id', value: game => game.id },
+    { header: 'name', value: game => game.name },
+    { header: 'category', value: game => game.category },
+    { header: 'difficulty', value: game => game.difficulty },
+    { header: 'minPlayers', value: game => game.playerCount.min },
+    { header: 'maxPlayers', value: game => game.playerCount.max },
+    { header: 'optimalPlayers', value: game => game.playerCount.optimal },
+    { header: 'minMinutes', value: game => game.durationMinutes && game.durationMinutes.min },
+    { header: 'maxMinutes', value: game => game.durationMinutes && game.durationMinutes.max },
+    { header: 'audienceParticipation', value: game => (game.audienceParticipation ? 'yes' : 'no') },
+    { header: 'audienceVolunteers', value: game => game.audienceVolunteers && game.audienceVolunteers.description },
+    { header: 'tags', value: game => (game.tags || []).join('; ') },
+    { header: 'aliases', value: game => (game.aliases || []).join('; ') },
+    { header: 'setup', value: game => (game.setup && game.setup.description) || '' },
+    { header: 'suggestions', value: game => ((game.setup && game.setup.suggestions) || []).join('; ') },
+    { header: 'rules', value: game => joinCsvLines(game.rules) },
+    { header: 'tips', value: game => joinCsvLines(flattenTips(game.tips)) },
+    { header: 'videoLinks', value: game => joinCsvLines(game.videoLinks) }
+];
+
+/**
+ * Flatten tips into lines, with role tips as "Role: tip"
+ */
+function flattenTips(tips) {
+    const lines = [];
+    (tips || []).forEach(tip => {
+        if (typeof tip === 'string') {
+            lines.push(tip);
+        } else if (tip && tip.role && tip.tips) {
+            tip.tips.forEach(roleTip => lines.push(`${tip.role}: ${roleTip}`));
+        }
+    });
+    return lines;
+}
+
+/**
+ * Join items into a cell, one per line. Line breaks within an item become
+ * CSV_LINE_BREAK, so they can't be mistaken for the start of the next item.
+ */
+function joinCsvLines(items) {
+    return (items || []).map(item => String(item).replace(/\r?\n/g, CSV_LINE_BREAK)).join('\n');
+}
+
+/**
+ * Quote a CSV field when it needs it, and keep spreadsheets from running it as a
+ * formula: text starting with =, +, -, @, a tab or a carriage return gets a
+ * leading quote, which the importer removes again
+ */
+function toCsvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (CSV_FORMULA_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize games as CSV, one row per game
+ */
+function toCsv(games) {
+    const rows = [
+        CSV_COLUMNS.map(column => column.header),
+        ...games.map(game => CSV_COLUMNS.map(column => column.value(game)))
+    ];
+    return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape characters Markdown would treat as formatting
+ */
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]<>|#])/g, '\\$1');
+}
+
+/**
+ * Escape text for a Markdown paragraph or list item, keeping its line breaks as <br>
+ * so a multi-line rule stays one item
+ */
+function toMarkdownText(text) {
+    return escapeMarkdown(text).replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Serialize games as Markdown: a heading per game, rules and tips as lists
+ */
+function toMarkdown(games, title = 'MUT Improv Games') {
+    const lines = [`# ${escapeMarkdown(title)}`, ''];
+
+    games.forEach(game => {
+        lines.push(`## ${escapeMarkdown(game.name)}`, '');
+        lines.push(`**${escapeMarkdown(game.category)}** · ${game.difficulty} · ${window.GameData.formatPlayerCount(game.playerCount)} · ${window.GameData.formatDuration(game.durationMinutes)}`);
+        if (game.tags && game.tags.length > 0) {
+            lines.push('', `Tags: ${game.tags.map(tag => `\`${tag}\``).join(', ')}`);
+        }
+
+        if (game.setup && game.setup.description) {
+            lines.push('', '### Setup', '', toMarkdownText(game.setup.description));
+        }
+        if (game.setup && game.setup.suggestions && game.setup.suggestions.length > 0) {
+            lines.push('', `Ask the audience for: ${game.setup.suggestions.map(escapeMarkdown).join(', ')}`);
+        }
+
+        if (game.rules && game.rules.length > 0) {
+            lines.push('', '### Rules', '');
+            game.rules.forEach((rule, index) => lines.push(`${index + 1}. ${toMarkdownText(rule)}`));
+        }
+
+        // Role tips become a bold role with its tips nested underneath
+        if (game.tips && game.tips.length > 0) {
+            lines.push('', '### Tips', '');
+            game.tips.forEach(tip => {
+                if (typeof tip === 'string') {
+                    lines.push(`- ${toMarkdownText(tip)}`);
+                } else if (tip && tip.role && tip.tips) {
+                    lines.push(`- **${escapeMarkdown(tip.role)}**`);
+                    tip.tips.forEach(roleTip => lines.push(`  - ${toMarkdownText(roleTip)}`));
+                }
+            });
+        }
+
+        if (game.videoLinks && game.videoLinks.length > 0) {
+            lines.push('', '### Videos', '');
+            game.videoLinks.forEach(link => lines.push(`- <${link}>`));
+        }
+
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Serialize games as a plain-text cue sheet to read from on the night
+ */
+function toCueSheet(games, title = 'MUT Improv Games') {
+    const heading = `${title.toUpperCase()} - CUE SHEET (${games.length} game${games.length === 1 ? '' : 's'})`;
+    const lines = [heading, '='.repeat(heading.length), ''];
+
+    games.forEach((game, index) => {
+        lines.push(`${index + 1}. ${game.name.toUpperCase()}`);
+        lines.push(`   ${game.category} | ${window.GameData.formatPlayerCount(game.playerCount)} | ${window.GameData.formatDuration(game.durationMinutes)}`);
+        if (game.setup && game.setup.description) {
+            lines.push(`   Setup: ${game.setup.description}`);
+        }
+        if (game.setup && game.setup.suggestions && game.setup.suggestions.length > 0) {
+            lines.push(`   Ask for: ${game.setup.suggestions.join(', ')}`);
+        }
+        if (game.rules && game.rules.length > 0) {
+            lines.push('   Rules:');
+            game.rules.forEach(rule => lines.push(`     - ${rule}`));
+        }
+        const tips = flattenTips(game.tips);
+        if (tips.length > 0) {
+            lines.push('   Tips:');
+            tips.forEach(tip => lines.push(`     - ${tip}`));
+        }
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Serialize games in one of EXPORT_FORMATS
+ */
+function serializeGames(games, format) {
+    switch (format) {
+        case 'csv': return '\uFEFF' + toCsv(games); // The byte order mark lets Excel read UTF-8
+        case 'markdown': return toMarkdown(games);
+        case 'text': return toCueSheet(games);
+        default: throw new Error(`Unknown export format "${format}"`);
+    }
+}
+
+/**
+ * Download games in one of EXPORT_FORMATS
+ */
+function exportGames(games, format) {
+    const { extension, type } = EXPORT_FORMATS[format];
+    window.Files.downloadFile(`mut-improv-games.${extension}`, serializeGames(games, format), type);
+}
+
+/**
+ * Wire up the export menu next to the results count
+ */
+function initExportMenu() {
+    const menu = document.getElementById('exportMenu');
+    if (!menu) return;
+
+    menu.addEventListener('click', (event) => {
+        const item = event.target.closest('[data-export-format]');
+        if (item) {
+            exportGames(window.GameData.filteredGames, item.dataset.exportFormat);
+        }
+    });
+}
+
+// Export functions for use in other modules
+window.GameExport = {
+    EXPORT_FORMATS,
+    flattenTips,
+    toCsv,
+    toMarkdown,
+    toCueSheet,
+    serializeGames,
+    exportGames,
+    initExportMenu
+};
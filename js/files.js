@@ -0,0 +1,45 @@
+/**
+ * MUT Improv Games File Helpers
+ * Downloading and reading files without a server
+ */
+
+/**
+ * Trigger a file download in the browser
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a file chosen in an <input type="file"> as text
+ */
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Turn a name into a safe file name ("Family Matinee set" -> "family-matinee-set")
+ */
+function toFileName(name, fallback = 'export') {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || fallback;
+}
+
+// Export functions for use in other modules
+window.Files = {
+    downloadFile,
+    readFileAsText,
+    toFileName
+};
@@ -1,107 +1,50 @@
 /**
- * MUT Improv Games Game Details Page
- * Handles displaying detailed information for individual games
+ * MUT Improv Games Game Details
+ * Handles displaying detailed information for individual games in the game view
+ * of the list page (index.html#/game/<id>), and brings the pre-rendered game
+ * pages (games/<id>.html) to life
  */
 
 /**
- * Initialize game details page
+ * Show a game in the game view, or an error if there is no such game.
+ * A view prepared ahead of time (see prepareGameDetails) is used when given.
  */
-async function initGameDetails() {
-    console.log('Initializing game details page...');
-
-    try {
-        // Initialize theme
-        initGameTheme();
-
-        // Load game data first
-        const dataLoaded = await window.GameData.loadGamesData();
-        if (!dataLoaded) {
-            showGameError('Failed to load game data. Please try refreshing the page.');
-            return;
-        }
-
-        // Get game ID from URL
-        const urlParams = new URLSearchParams(window.location.search);
-        const gameId = urlParams.get('id');
-
-        if (!gameId) {
-            showGameError('No game ID provided. Please go back to the main page and select a game.');
-            return;
-        }
-
-        // Load and display game details
-        const game = window.GameData.getGameById(gameId);
-        if (!game) {
-            showGameError('Game not found. Please check the game ID and try again.');
-            return;
-        }
-
-        displayGameDetails(game);
+function showGameDetails(gameId, prepared = null) {
+    if (!gameId) {
+        showGameError('No game ID provided. Please go back to the main page and select a game.');
+        return false;
+    }
 
-    } catch (error) {
-        console.error('Error initializing game details:', error);
-        showGameError('An error occurred while loading the game details.');
+    const game = window.GameData.getGameById(gameId);
+    if (!game) {
+        showGameError('Game not found. Please check the game ID and try again.');
+        return false;
     }
-}
 
-/**
- * Initialize theme for game details page
- */
-function initGameTheme() {
-    const themeToggle = document.getElementById('themeToggle');
-    if (!themeToggle) return;
-
-    // Load saved theme or default to light
-    const savedTheme = localStorage.getItem('theme') || 'light';
-    setGameTheme(savedTheme);
-
-    // Theme toggle event listener
-    themeToggle.addEventListener('click', () => {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        setGameTheme(newTheme);
-    });
+    displayGameDetails(game, prepared);
+    return true;
 }
 
 /**
- * Set theme for game details page
+ * Render a game's details into a detached element, ready to be shown later.
+ * The suggestion prompts are left out: drawing them uses them up for the night,
+ * so they are only drawn when the game is shown.
  */
-function setGameTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
-    localStorage.setItem('theme', theme);
-
-    // Update toggle icon
-    const themeToggle = document.getElementById('themeToggle');
-    if (themeToggle) {
-        const icon = themeToggle.querySelector('svg');
-        if (icon) {
-            if (theme === 'dark') {
-                // Sun icon for light mode
-                icon.innerHTML = `
-                    <path fill-rule="evenodd" d="M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.464 4.95l.707.707a1 1 0 001.414-1.414l-.707-.707a1 1 0 00-1.414 1.414zm2.12-10.607a1 1 0 010 1.414l-.706.707a1 1 0 11-1.414-1.414l.707-.707a1 1 0 011.414 0zM17 11a1 1 0 100-2h-1a1 1 0 100 2h1zm-7 4a1 1 0 011 1v1a1 1 0 11-2 0v-1a1 1 0 011-1zM5.05 6.464A1 1 0 106.465 5.05l-.708-.707a1 1 0 00-1.414 1.414l.707.707zm1.414 8.486l-.707.707a1 1 0 01-1.414-1.414l.707-.707a1 1 0 011.414 1.414zM4 11a1 1 0 100-2H3a1 1 0 000 2h1z" clip-rule="evenodd"/>
-                `;
-            } else {
-                // Moon icon for dark mode
-                icon.innerHTML = `
-                    <path d="M17.293 13.293A8 8 0 016.707 2.707a8.001 8.001 0 1010.586 10.586z"/>
-                `;
-            }
-        }
-    }
+function prepareGameDetails(game) {
+    const content = document.createElement('div');
+    renderGameDetails(game, content, { suggestions: false });
+    return content;
 }
 
 /**
  * Display game details
  */
-function displayGameDetails(game) {
+function displayGameDetails(game, prepared = null) {
     const content = document.getElementById('gameContent');
     if (!content) return;
 
     // Update page title
-    const titleElement = document.getElementById('gameTitle');
-    if (titleElement) {
-        titleElement.textContent = `${game.name} - MUT Improv Games`;
-    }
+    document.title = `${game.name} - MUT Improv Games`;
 
     // Update breadcrumb
     const breadcrumbElement = document.getElementById('breadcrumbGame');
@@ -109,11 +52,38 @@ function displayGameDetails(game) {
         breadcrumbElement.textContent = game.name;
     }
 
-    // Create game details HTML
-    const gameHtml = `
+    if (prepared) {
+        content.textContent = '';
+        [...prepared.childNodes].forEach(node => content.appendChild(node));
+        addSuggestionPanel(game, content);
+    } else {
+        renderGameDetails(game, content);
+    }
+}
+
+/**
+ * Render the details of a game into an element
+ */
+function renderGameDetails(game, content, options = {}) {
+    window.Render.setHtml(content, getGameDetailsHtml(game));
+    enhanceGameDetails(game, content, options);
+}
+
+/**
+ * Build the markup of a game's details. This is also the content of the
+ * pre-rendered game pages (scripts/build-pages.js), so it must not depend on
+ * the page or on anything stored in the browser.
+ */
+function getGameDetailsHtml(game) {
+    // Every value is escaped by Render.html
+    const { html, externalLink, isYouTubeId } = window.Render;
+    const difficulty = capitalizeFirst(game.difficulty);
+    const players = window.GameData.formatPlayerCount(game.playerCount);
+
+    return html`
         <div class="game-header text-center">
             <h1 class="game-title-large">${game.name}</h1>
-            <p class="game-subtitle">${game.category} • ${capitalizeFirst(game.difficulty)} • ${window.GameData.formatPlayerCount(game.playerCount)}</p>
+            <p class="game-subtitle">${game.category} • ${difficulty} • ${players}</p>
         </div>
 
         <div class="container">
@@ -122,114 +92,199 @@ function displayGameDetails(game) {
                 <h3>Game Information</h3>
                 <div class="row">
                     <div class="col-md-6">
-                        <p><span class="attribute-label">Duration:</span> ${window.GameData.formatDuration(game.duration)}</p>
-                        <p><span class="attribute-label">Difficulty:</span> <span class="${window.GameData.getDifficultyClass(game.difficulty)}">${capitalizeFirst(game.difficulty)}</span></p>
+                        <p><span class="attribute-label">Duration:</span> ${window.GameData.formatDuration(game.durationMinutes)}</p>
+                        <p><span class="attribute-label">Difficulty:</span> <span class="${window.GameData.getDifficultyClass(game.difficulty)}">${difficulty}</span></p>
                         <p><span class="attribute-label">Audience Participation:</span> ${game.audienceParticipation ? 'Yes' : 'No'}</p>
-                        ${game.audienceCount ? `<p><span class="attribute-label">Audience Count:</span> ${game.audienceCount}</p>` : ''}
+                        ${game.audienceVolunteers ? html`<p><span class="attribute-label">Audience Volunteers:</span> ${game.audienceVolunteers.description}</p>` : ''}
                     </div>
                     <div class="col-md-6">
-                        <p><span class="attribute-label">Players:</span> ${window.GameData.formatPlayerCount(game.playerCount)}</p>
+                        <p><span class="attribute-label">Players:</span> ${players}</p>
                         <p><span class="attribute-label">Category:</span> ${game.category}</p>
-                        ${game.id ? `<p><span class="attribute-label">Game ID:</span> ${game.id}</p>` : ''}
-                        ${game.aliases && game.aliases.length > 0 ? `<p><span class="attribute-label">Also Known As:</span> ${game.aliases.join(', ')}</p>` : ''}
+                        ${game.id ? html`<p><span class="attribute-label">Game ID:</span> ${game.id}</p>` : ''}
+                        ${game.aliases && game.aliases.length > 0 ? html`<p><span class="attribute-label">Also Known As:</span> ${game.aliases.join(', ')}</p>` : ''}
                     </div>
                 </div>
 
-                ${game.tags && game.tags.length > 0 ? `
+                ${game.tags && game.tags.length > 0 ? html`
                 <div class="mt-3">
                     <span class="attribute-label">Tags:</span>
-                    ${game.tags.map(tag => `<span class="game-attribute ${window.GameData.getTagClass(tag)}">${formatTagName(tag)}</span>`).join('')}
+                    ${game.tags.map(tag => html`<span class="game-attribute ${window.GameData.getTagClass(tag)}">${formatTagName(tag)}</span>`)}
                 </div>
                 ` : ''}
             </div>
 
             <!-- Setup -->
-            ${game.setup && game.setup.description ? `
+            ${game.setup && game.setup.description ? html`
             <div class="game-section">
                 <h3>How to Set Up</h3>
                 <p>${game.setup.description}</p>
             </div>
             ` : ''}
 
+            <!-- Audience Suggestions -->
+            <div class="suggestion-panel-slot"></div>
+
             <!-- Rules -->
-            ${game.rules && game.rules.length > 0 ? `
+            ${game.rules && game.rules.length > 0 ? html`
             <div class="game-section">
                 <h3>Rules</h3>
                 <ul class="list-unstyled">
-                    ${game.rules.map(rule => `<li>${rule}</li>`).join('')}
+                    ${game.rules.map(rule => html`<li>${rule}</li>`)}
                 </ul>
             </div>
             ` : ''}
 
             <!-- Tips -->
-            ${game.tips && game.tips.length > 0 ? `
+            ${game.tips && game.tips.length > 0 ? html`
             <div class="game-section">
                 <h3>Tips</h3>
                 ${game.tips.map(tip => {
                     if (typeof tip === 'string') {
-                        return `<p>${tip}</p>`;
+                        return html`<p>${tip}</p>`;
                     } else if (tip.role && tip.tips) {
-                        return `
+                        return html`
                         <div class="mb-3">
                             <h5>${tip.role}</h5>
                             <ul>
-                                ${tip.tips.map(t => `<li>${t}</li>`).join('')}
+                                ${tip.tips.map(t => html`<li>${t}</li>`)}
                             </ul>
                         </div>
                         `;
                     }
                     return '';
-                }).join('')}
+                })}
             </div>
             ` : ''}
 
             <!-- Examples -->
-            ${game.examples && game.examples.length > 0 ? `
+            ${game.examples && game.examples.length > 0 ? html`
             <div class="game-section">
                 <h3>Examples</h3>
                 <ul class="list-unstyled">
-                    ${game.examples.map(example => `<li>${example}</li>`).join('')}
+                    ${game.examples.map(example => html`<li>${example}</li>`)}
                 </ul>
             </div>
             ` : ''}
 
             <!-- Video Links -->
-            ${game.videoLinks && game.videoLinks.length > 0 ? `
+            ${game.videoLinks && game.videoLinks.length > 0 ? html`
             <div class="game-section">
                 <h3>Video Examples</h3>
                 <div class="row">
-                    ${game.videoLinks.map(link => {
+                    ${game.videoLinks.map((link, index) => {
+                        // Only embed ids that look like real YouTube ids
                         const videoId = window.GameData.extractYouTubeId(link);
-                        if (videoId) {
+                        if (isYouTubeId(videoId)) {
                             const embedUrl = window.GameData.getYouTubeEmbedUrl(videoId);
-                            return `
+                            return html`
                             <div class="col-md-6 mb-3">
                                 <div class="video-container">
-                                    <iframe src="${embedUrl}" frameborder="0" allowfullscreen></iframe>
+                                    <iframe src="${embedUrl}" title="${getVideoTitle(game, index)}" frameborder="0" allowfullscreen></iframe>
                                 </div>
                             </div>
                             `;
                         }
                         return '';
-                    }).join('')}
+                    })}
                 </div>
-                <p class="text-muted mt-2">Direct links: ${game.videoLinks.map(link => `<a href="${link}" target="_blank">${link}</a>`).join(', ')}</p>
+                <p class="text-muted mt-2">Direct links: ${game.videoLinks.map((link, index) => html`${index > 0 ? ', ' : ''}${externalLink(link)}`)}</p>
+                ${window.PrintSheets ? html`<div class="print-only video-qr-codes">${game.videoLinks.map(link => window.PrintSheets.createLinkQr(link))}</div>` : ''}
             </div>
             ` : ''}
 
+            <!-- Our History -->
+            <div class="performance-history-slot"></div>
+
             <!-- Notes -->
-            ${game.notes && game.notes.length > 0 ? `
+            ${game.notes && game.notes.length > 0 ? html`
             <div class="game-section">
                 <h3>Additional Notes</h3>
                 <ul class="list-unstyled">
-                    ${game.notes.map(note => `<li>${note}</li>`).join('')}
+                    ${game.notes.map(note => html`<li>${note}</li>`)}
                 </ul>
             </div>
             ` : ''}
+
+            <!-- Related Games -->
+            <div class="related-games-slot"></div>
         </div>
     `;
+}
+
+/**
+ * Title a game's embedded video for screen readers, numbering them when there are several
+ */
+function getVideoTitle(game, index) {
+    return game.videoLinks.length > 1 ? `${game.name} video ${index + 1}` : `${game.name} video`;
+}
+
+/**
+ * Add the parts of a game's details that need the browser to rendered markup:
+ * the controls in the header and the sections built from local data
+ */
+function enhanceGameDetails(game, content, { suggestions = true } = {}) {
+    // Favorite, collection, host mode and print controls
+    const header = content.querySelector('.game-header');
+    if (window.Collections) {
+        header.appendChild(window.Collections.createCollectionControls(game));
+    }
+    if (window.HostMode) {
+        header.appendChild(window.HostMode.createHostModeButton(game));
+    }
+    if (window.PrintSheets) {
+        header.appendChild(window.PrintSheets.createPrintLink([game.id], { layout: 'page' }, 'btn btn-light print-sheet-button no-print'));
+    }
+
+    // Audience suggestion prompts
+    if (suggestions) {
+        addSuggestionPanel(game, content);
+    }
+
+    // How the game went for us
+    if (window.Performances) {
+        content.querySelector('.performance-history-slot').appendChild(window.Performances.createGameHistorySection(game));
+    }
+
+    // Where to go next
+    if (window.RelatedGames) {
+        content.querySelector('.related-games-slot').appendChild(window.RelatedGames.createRelatedGamesSection(game));
+    }
+}
 
-    content.innerHTML = gameHtml;
+/**
+ * Add the audience suggestion prompts to a game's details
+ */
+function addSuggestionPanel(game, content) {
+    const slot = content.querySelector('.suggestion-panel-slot');
+    if (!window.Suggestions || !slot) return;
+    slot.appendChild(window.Suggestions.createSuggestionPanel(game));
+}
+
+/**
+ * Enhance a pre-rendered game page (games/<id>.html, built by scripts/build-pages.js).
+ * Its markup is kept as it is; only the controls and sections that need the
+ * browser are added, so the page still reads fine if the data fails to load.
+ */
+async function initPrerenderedGame() {
+    const content = document.querySelector('[data-prerendered-game]');
+    if (!content) return;
+
+    try {
+        window.Theme.initTheme();
+
+        if (!(await window.GameData.ensureGamesData())) return;
+        const game = window.GameData.getGameById(content.getAttribute('data-prerendered-game'));
+        if (!game) return;
+
+        // Load our performance history for the "Our History" section
+        if (window.Performances) {
+            await window.Performances.loadPerformances();
+        }
+
+        enhanceGameDetails(game, content);
+    } catch (error) {
+        console.error('Error enhancing game page:', error);
+    }
 }
 
 /**
@@ -239,7 +294,7 @@ function showGameError(message) {
     const content = document.getElementById('gameContent');
     if (!content) return;
 
-    content.innerHTML = `
+    window.Render.setHtml(content, window.Render.html`
         <div class="container">
             <div class="row justify-content-center">
                 <div class="col-md-8">
@@ -247,12 +302,12 @@ function showGameError(message) {
                         <h4 class="alert-heading">Error Loading Game</h4>
                         <p>${message}</p>
                         <hr>
-                        <a href="index.html" class="btn btn-primary">Back to Games</a>
+                        <a href="#/" class="btn btn-primary" data-back-to-games>Back to Games</a>
                     </div>
                 </div>
             </div>
         </div>
-    `;
+    `);
 }
 
 /**
@@ -271,12 +326,16 @@ function formatTagName(tag) {
     ).join(' ');
 }
 
-// Initialize when DOM is loaded
-document.addEventListener('DOMContentLoaded', initGameDetails);
+// Enhance pre-rendered game pages when the DOM is loaded
+document.addEventListener('DOMContentLoaded', initPrerenderedGame);
 
-// Export for debugging
+// Export functions for use in other modules
 window.GameDetails = {
-    initGameDetails,
+    showGameDetails,
+    prepareGameDetails,
     displayGameDetails,
+    getGameDetailsHtml,
+    enhanceGameDetails,
+    initPrerenderedGame,
     showGameError
 };
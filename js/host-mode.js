@@ -0,0 +1,425 @@
+/**
+ * MUT Improv Games Host Mode
+ * Full-screen, one-screen-at-a-time view for running a game live on stage
+ */
+
+const HOST_WARNING_SECONDS = 60;
+const HOST_SWIPE_DISTANCE = 50;
+const HOST_DEFAULT_MINUTES = 5;
+
+// The game currently being hosted
+let hostSession = null;
+
+/**
+ * Split a game into host screens: setup, suggestions to ask for, rules, then tips by role
+ */
+function buildHostSlides(game) {
+    const slides = [];
+
+    slides.push({
+        title: 'Setup',
+        text: game.setup && game.setup.description ? game.setup.description : 'No setup notes for this game.',
+        items: []
+    });
+
+    // With the suggestion generator loaded there is always something to ask for
+    const suggestions = (game.setup && game.setup.suggestions) || [];
+    if (suggestions.length > 0 || window.Suggestions) {
+        slides.push({ title: 'Ask the audience for', text: '', items: suggestions, kind: 'suggestions' });
+    }
+
+    if (game.rules && game.rules.length > 0) {
+        slides.push({ title: 'Rules', text: '', items: game.rules });
+    }
+
+    const tips = game.tips || [];
+    const generalTips = tips.filter(tip => typeof tip === 'string');
+    if (generalTips.length > 0) {
+        slides.push({ title: 'Tips', text: '', items: generalTips });
+    }
+    tips.filter(tip => tip && tip.role && Array.isArray(tip.tips)).forEach(tip => {
+        slides.push({ title: `Tips for ${tip.role}`, text: '', items: tip.tips });
+    });
+
+    return slides;
+}
+
+/**
+ * Seconds on the host timer: the top of the game's duration range
+ */
+function getHostTimerSeconds(game) {
+    return (game.durationMinutes ? game.durationMinutes.max : HOST_DEFAULT_MINUTES) * 60;
+}
+
+/**
+ * Format seconds as m:ss
+ */
+function formatTimer(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Countdown that survives throttled timers by measuring against the clock
+ */
+function createCountdown(seconds, { onTick = () => {}, onWarning = () => {}, onEnd = () => {}, now = Date.now } = {}) {
+    let remaining = seconds;
+    let endsAt = null;
+    let interval = null;
+    let warned = false;
+
+    const stop = () => {
+        clearInterval(interval);
+        interval = null;
+    };
+
+    const tick = () => {
+        remaining = Math.max(0, Math.ceil((endsAt - now()) / 1000));
+        onTick(remaining);
+
+        if (!warned && remaining > 0 && remaining <= HOST_WARNING_SECONDS) {
+            warned = true;
+            onWarning(remaining);
+        }
+        if (remaining === 0) {
+            stop();
+            onEnd();
+        }
+    };
+
+    return {
+        start() {
+            if (interval || remaining === 0) return;
+            endsAt = now() + remaining * 1000;
+            interval = setInterval(tick, 250);
+        },
+        pause() {
+            if (!interval) return;
+            tick();
+            stop();
+        },
+        reset(newSeconds = seconds) {
+            stop();
+            seconds = newSeconds;
+            remaining = newSeconds;
+            warned = newSeconds <= HOST_WARNING_SECONDS;
+            onTick(remaining);
+        },
+        tick,
+        get running() {
+            return interval !== null;
+        },
+        get remaining() {
+            return remaining;
+        }
+    };
+}
+
+/**
+ * Play a short beep (or several) to warn the host
+ */
+function playHostTone(audioContext, beeps = 1) {
+    if (!audioContext) return;
+
+    for (let i = 0; i < beeps; i++) {
+        const start = audioContext.currentTime + i * 0.35;
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.frequency.value = 880;
+        gain.gain.setValueAtTime(0.3, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.25);
+        oscillator.connect(gain);
+        gain.connect(audioContext.destination);
+        oscillator.start(start);
+        oscillator.stop(start + 0.25);
+    }
+}
+
+/**
+ * Keep the screen awake while hosting (where supported)
+ */
+async function requestHostWakeLock() {
+    if (!hostSession || !('wakeLock' in navigator) || document.visibilityState !== 'visible') return;
+
+    try {
+        hostSession.wakeLock = await navigator.wakeLock.request('screen');
+    } catch (error) {
+        console.warn('Screen wake lock unavailable:', error);
+    }
+}
+
+/**
+ * Wake locks are dropped when the tab is hidden; take it again on return
+ */
+function handleHostVisibilityChange() {
+    if (hostSession && document.visibilityState === 'visible') {
+        requestHostWakeLock();
+    }
+}
+
+/**
+ * Create the "Host mode" button for the game details header
+ */
+function createHostModeButton(game) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-light host-mode-button';
+    button.textContent = '▶ Host mode';
+    button.addEventListener('click', () => openHostMode(game));
+    return button;
+}
+
+/**
+ * Open host mode for a game
+ */
+function openHostMode(game) {
+    if (hostSession) closeHostMode();
+
+    const { html, setHtml } = window.Render;
+    const overlay = document.createElement('div');
+    overlay.className = 'host-mode';
+    overlay.id = 'hostMode';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', `Host mode: ${game.name}`);
+    overlay.tabIndex = -1;
+
+    setHtml(overlay, html`
+        <div class="host-mode-bar">
+            <span class="host-mode-game">${game.name}</span>
+            <div class="host-timer">
+                <span class="host-timer-display" role="timer" aria-label="Time remaining"></span>
+                <button type="button" class="btn btn-outline-light" data-host-action="toggle-timer">Start</button>
+                <button type="button" class="btn btn-outline-light" data-host-action="reset-timer">Reset</button>
+            </div>
+            <button type="button" class="btn btn-outline-light" data-host-action="close" aria-label="Exit host mode">✕</button>
+        </div>
+        <div class="host-slide" aria-live="polite"></div>
+        <div class="host-mode-nav">
+            <button type="button" class="btn btn-outline-light btn-lg" data-host-action="previous" aria-label="Previous screen">‹</button>
+            <span class="host-progress"></span>
+            <button type="button" class="btn btn-outline-light btn-lg" data-host-action="next" aria-label="Next screen">›</button>
+        </div>
+    `);
+
+    const timerDisplay = overlay.querySelector('.host-timer-display');
+    const timerButton = overlay.querySelector('[data-host-action="toggle-timer"]');
+    const totalSeconds = getHostTimerSeconds(game);
+
+    hostSession = {
+        game,
+        overlay,
+        slides: buildHostSlides(game),
+        index: 0,
+        wakeLock: null,
+        audioContext: null,
+        returnFocus: document.activeElement,
+        timer: createCountdown(totalSeconds, {
+            onTick: (remaining) => {
+                timerDisplay.textContent = formatTimer(remaining);
+                timerDisplay.classList.toggle('host-timer-warning', remaining > 0 && remaining <= HOST_WARNING_SECONDS);
+                timerDisplay.classList.toggle('host-timer-done', remaining === 0);
+            },
+            onWarning: () => playHostTone(hostSession && hostSession.audioContext, 2),
+            onEnd: () => {
+                playHostTone(hostSession && hostSession.audioContext, 3);
+                timerButton.textContent = 'Start';
+            }
+        })
+    };
+    timerDisplay.textContent = formatTimer(totalSeconds);
+
+    overlay.addEventListener('click', handleHostAction);
+    overlay.addEventListener('touchstart', handleHostTouchStart, { passive: true });
+    overlay.addEventListener('touchend', handleHostTouchEnd);
+    document.addEventListener('keydown', handleHostKeydown);
+    document.addEventListener('visibilitychange', handleHostVisibilityChange);
+
+    document.body.appendChild(overlay);
+    document.body.classList.add('host-mode-open');
+    if (overlay.requestFullscreen) {
+        overlay.requestFullscreen().catch(() => {});
+    }
+    overlay.focus();
+
+    renderHostSlide();
+    requestHostWakeLock();
+}
+
+/**
+ * Leave host mode
+ */
+function closeHostMode() {
+    if (!hostSession) return;
+
+    const session = hostSession;
+    hostSession = null;
+
+    session.timer.pause();
+    if (session.wakeLock) session.wakeLock.release().catch(() => {});
+    if (session.audioContext) session.audioContext.close();
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+
+    document.removeEventListener('keydown', handleHostKeydown);
+    document.removeEventListener('visibilitychange', handleHostVisibilityChange);
+    document.body.classList.remove('host-mode-open');
+    session.overlay.remove();
+
+    if (session.returnFocus && session.returnFocus.focus) {
+        session.returnFocus.focus();
+    }
+}
+
+/**
+ * Show the current screen
+ */
+function renderHostSlide() {
+    const { html, setHtml } = window.Render;
+    const { overlay, slides, index } = hostSession;
+    const slide = slides[index];
+
+    setHtml(overlay.querySelector('.host-slide'), html`
+        <h2 class="host-slide-title">${slide.title}</h2>
+        ${slide.text ? html`<p class="host-slide-text">${slide.text}</p>` : ''}
+        ${slide.items.length > 0 ? html`
+        <ul class="host-slide-list">
+            ${slide.items.map(item => html`<li>${item}</li>`)}
+        </ul>
+        ` : ''}
+    `);
+
+    if (slide.kind === 'suggestions' && window.Suggestions) {
+        overlay.querySelector('.host-slide').appendChild(window.Suggestions.createSuggestionPanel(hostSession.game, { host: true }));
+    }
+
+    overlay.querySelector('.host-progress').textContent = `${index + 1} / ${slides.length}`;
+    overlay.querySelector('[data-host-action="previous"]').disabled = index === 0;
+    overlay.querySelector('[data-host-action="next"]').disabled = index === slides.length - 1;
+}
+
+/**
+ * Move to another screen
+ */
+function showHostSlide(offset) {
+    if (!hostSession) return;
+
+    const index = hostSession.index + offset;
+    if (index < 0 || index >= hostSession.slides.length) return;
+
+    hostSession.index = index;
+    renderHostSlide();
+}
+
+/**
+ * Start or pause the countdown
+ */
+function toggleHostTimer() {
+    const { timer, overlay } = hostSession;
+
+    // Audio can only start after a user gesture, so create it on the first press
+    if (!hostSession.audioContext && (window.AudioContext || window.webkitAudioContext)) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        hostSession.audioContext = new AudioContextClass();
+    }
+
+    if (timer.running) {
+        timer.pause();
+    } else {
+        timer.start();
+    }
+    overlay.querySelector('[data-host-action="toggle-timer"]').textContent = timer.running ? 'Pause' : 'Start';
+}
+
+/**
+ * Handle clicks on host mode buttons
+ */
+function handleHostAction(event) {
+    const button = event.target.closest('[data-host-action]');
+    if (!button || !hostSession) return;
+
+    switch (button.dataset.hostAction) {
+        case 'previous':
+            showHostSlide(-1);
+            break;
+        case 'next':
+            showHostSlide(1);
+            break;
+        case 'toggle-timer':
+            toggleHostTimer();
+            break;
+        case 'reset-timer':
+            hostSession.timer.reset();
+            hostSession.overlay.querySelector('[data-host-action="toggle-timer"]').textContent = 'Start';
+            break;
+        case 'close':
+            closeHostMode();
+            break;
+    }
+}
+
+/**
+ * Check whether a key pressed on an element belongs to it: space presses a
+ * focused button, while space and arrows type or move within a field
+ */
+function isKeyForControl(element, key) {
+    const tagName = element && element.tagName;
+    if (tagName === 'BUTTON') return key === ' ';
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(tagName)) return key === ' ' || key.startsWith('Arrow');
+    return false;
+}
+
+/**
+ * Keyboard navigation: arrows/space/page keys move between screens, Escape exits.
+ * Space is left to a focused button, and space and arrows to a focused field.
+ */
+function handleHostKeydown(event) {
+    if (!hostSession) return;
+    if (isKeyForControl(event.target, event.key)) return;
+
+    switch (event.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+        case 'PageDown':
+        case ' ':
+            event.preventDefault();
+            showHostSlide(1);
+            break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+        case 'PageUp':
+            event.preventDefault();
+            showHostSlide(-1);
+            break;
+        case 'Escape':
+            closeHostMode();
+            break;
+    }
+}
+
+/**
+ * Swipe navigation
+ */
+function handleHostTouchStart(event) {
+    hostSession.touchStartX = event.changedTouches[0].clientX;
+}
+
+function handleHostTouchEnd(event) {
+    if (!hostSession || hostSession.touchStartX === undefined) return;
+
+    const distance = event.changedTouches[0].clientX - hostSession.touchStartX;
+    if (Math.abs(distance) >= HOST_SWIPE_DISTANCE) {
+        showHostSlide(distance < 0 ? 1 : -1);
+    }
+    hostSession.touchStartX = undefined;
+}
+
+// Export functions for use in other modules
+window.HostMode = {
+    buildHostSlides,
+    getHostTimerSeconds,
+    formatTimer,
+    createCountdown,
+    createHostModeButton,
+    openHostMode,
+    closeHostMode
+};
@@ -0,0 +1,984 @@
+/**
+ * MUT Improv Games Import
+ * Reads game lists shared as CSV, Markdown or mutgames.json, matches them against
+ * the database and merges them in after a preview
+ */
+
+// Names at least this similar (0-1) are flagged as a possible duplicate
+const FUZZY_NAME_THRESHOLD = 0.8;
+
+// Where new games go when their category is not one of ours
+const IMPORTED_CATEGORY = {
+    id: 'imported_games',
+    name: 'Imported Games',
+    description: 'Games merged in from other troupes\' lists'
+};
+
+// Used for required fields a new game arrives without (the editor's new game defaults)
+const NEW_GAME_DEFAULTS = {
+    playerCount: { min: 2, max: 8, optimal: 4 },
+    durationMinutes: { min: 5, max: 10 },
+    difficulty: 'beginner'
+};
+
+// Column headings (CSV), "Label:" lines and section headings (Markdown) accepted for
+// each field, compared in lowercase without spaces or punctuation
+const IMPORT_FIELDS = {
+    id: ['id', 'gameid'],
+    name: ['name', 'game', 'gamename', 'title'],
+    category: ['category', 'type', 'section'],
+    aliases: ['aliases', 'aka', 'alsoknownas', 'othernames'],
+    tags: ['tags', 'labels'],
+    players: ['players', 'playercount', 'numberofplayers'],
+    minPlayers: ['minplayers', 'min', 'minimumplayers'],
+    maxPlayers: ['maxplayers', 'max', 'maximumplayers'],
+    optimalPlayers: ['optimalplayers', 'optimal', 'idealplayers'],
+    duration: ['duration', 'length', 'time'],
+    minMinutes: ['minminutes', 'minimumminutes'],
+    maxMinutes: ['maxminutes', 'maximumminutes'],
+    difficulty: ['difficulty', 'level'],
+    audienceParticipation: ['audienceparticipation', 'audience'],
+    audienceVolunteers: ['audiencevolunteers', 'audiencecount', 'volunteers'],
+    setup: ['setup', 'description', 'howtoplay', 'summary'],
+    suggestions: ['suggestions', 'asktheaudiencefor', 'askfor'],
+    rules: ['rules'],
+    tips: ['tips', 'coaching'],
+    examples: ['examples'],
+    videoLinks: ['videolinks', 'videos', 'video', 'links'],
+    notes: ['notes']
+};
+
+// Difficulty words other lists use
+const DIFFICULTY_WORDS = {
+    beginner: 'beginner',
+    easy: 'beginner',
+    intermediate: 'intermediate',
+    medium: 'intermediate',
+    advanced: 'advanced',
+    hard: 'advanced'
+};
+
+// How each field merges into a game we already have: 'list' fields gain the entries
+// they are missing, 'value' fields are filled when empty and conflict when they differ
+const MERGE_FIELDS = {
+    aliases: 'list',
+    tags: 'list',
+    playerCount: 'value',
+    audienceParticipation: 'value',
+    audienceVolunteers: 'value',
+    durationMinutes: 'value',
+    difficulty: 'value',
+    'setup.description': 'value',
+    'setup.suggestions': 'list',
+    rules: 'value',
+    tips: 'list',
+    examples: 'list',
+    videoLinks: 'list',
+    notes: 'list'
+};
+
+const IMPORT_STATUSES = {
+    new: 'New',
+    changed: 'Changed',
+    conflict: 'Conflicting',
+    unchanged: 'Unchanged',
+    duplicate: 'Repeated in file'
+};
+
+const MERGE_ACTIONS = {
+    add: 'Add as a new game',
+    merge: 'Merge, keeping ours where they differ',
+    incoming: 'Merge, taking theirs where they differ',
+    skip: 'Skip'
+};
+
+/**
+ * Find the game field a column heading or label stands for
+ */
+function findImportField(label) {
+    const key = window.SearchIndex.normalizeText(label).replace(/[^a-z0-9]/g, '');
+    return Object.keys(IMPORT_FIELDS).find(field => IMPORT_FIELDS[field].includes(key)) || null;
+}
+
+/**
+ * Guess the format of an imported file from its name, then its content
+ */
+function detectImportFormat(fileName, text) {
+    const extension = String(fileName || '').toLowerCase().split('.').pop();
+    if (extension === 'json') return 'json';
+    if (extension === 'csv') return 'csv';
+    if (extension === 'md' || extension === 'markdown') return 'markdown';
+
+    const content = text.replace(/^\uFEFF/, '').trim();
+    if (content.startsWith('{') || content.startsWith('[')) return 'json';
+    if (/^#{1,3}\s/m.test(content)) return 'markdown';
+    return 'csv';
+}
+
+/**
+ * Split CSV text (RFC 4180 quoting, any line endings) into rows of fields
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Read games from CSV: one row per game, columns mapped through IMPORT_FIELDS
+ */
+function parseCsvGames(text) {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    const fields = header.map(findImportField);
+    if (!fields.includes('name')) {
+        throw new Error('The spreadsheet needs a "name" column.');
+    }
+
+    return rows.map(cells => {
+        const record = {};
+        fields.forEach((field, index) => {
+            // Undo the quote our CSV export puts in front of formula-like text
+            const value = (cells[index] || '').replace(/^'(?=[=+\-@\t\r])/, '').trim();
+            if (field && value) record[field] = value;
+        });
+        return record;
+    }).filter(record => record.name);
+}
+
+/**
+ * Strip Markdown formatting from a line of text
+ */
+function unescapeMarkdown(text) {
+    return text
+        .replace(/(?<!\\)<br\s*\/?>/gi, '\n')
+        .replace(/\[([^\]]*)\]\(([^)]*)\)/g, '$2')
+        .replace(/^<(.*)>$/, '$1')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/\*\*([^*]*)\*\*/g, '$1')
+        .replace(/\\([\\`*_[\]<>|#])/g, '$1')
+        .trim();
+}
+
+/**
+ * Pick the heading level games are written at: the shallowest level that is not a
+ * section name, skipping a single document title above the games
+ */
+function findGameHeadingLevel(headings) {
+    const levels = [1, 2, 3, 4].filter(level =>
+        headings.some(heading => heading.level === level && !findImportField(heading.text)));
+    if (levels.length > 1 && headings.filter(heading => heading.level === levels[0]).length === 1) {
+        return levels[1];
+    }
+    return levels[0] || 0;
+}
+
+/**
+ * Read the "Category · difficulty · 4-10 players · 5 minutes" line our Markdown export writes
+ */
+function parseMarkdownMetaLine(line, record) {
+    line.split(/\s+·\s+/).forEach(part => {
+        const text = unescapeMarkdown(part);
+        if (/^\*\*.*\*\*$/.test(part.trim())) {
+            record.category = text;
+        } else if (/\bplayers?\b/i.test(text)) {
+            record.players = text;
+        } else if (/min(ute)?s?$/i.test(text)) {
+            record.duration = text;
+        } else if (DIFFICULTY_WORDS[text.toLowerCase()]) {
+            record.difficulty = text;
+        }
+    });
+}
+
+/**
+ * Read games from Markdown: a heading per game, "Label: value" lines and
+ * sections (Setup, Rules, Tips...) with lists
+ */
+function parseMarkdownGames(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headings = lines
+        .map(line => line.match(/^(#{1,4})\s+(.*?)\s*#*$/))
+        .filter(Boolean)
+        .map(match => ({ level: match[1].length, text: unescapeMarkdown(match[2]) }));
+    const gameLevel = findGameHeadingLevel(headings);
+    const games = [];
+    let record = null;
+    let section = null;
+    let roleTips = null;
+
+    const addToList = (field, value) => {
+        record[field] = Array.isArray(record[field]) ? record[field] : [];
+        record[field].push(value);
+    };
+
+    lines.forEach(line => {
+        const heading = line.match(/^(#{1,4})\s+(.*?)\s*#*$/);
+        if (heading) {
+            const level = heading[1].length;
+            if (level === gameLevel) {
+                record = { name: unescapeMarkdown(heading[2]) };
+                games.push(record);
+                section = null;
+            } else if (record && level > gameLevel) {
+                // Sections we do not know are skipped rather than mixed into the setup
+                section = findImportField(unescapeMarkdown(heading[2])) || 'ignored';
+            }
+            roleTips = null;
+            return;
+        }
+        if (!record || section === 'ignored' || line.trim() === '') return;
+
+        const item = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/);
+        if (item && section) {
+            const nested = item[1].length > 0;
+            const content = unescapeMarkdown(item[2]);
+            if (section === 'tips' && nested && roleTips) {
+                roleTips.tips.push(content);
+            } else if (section === 'tips' && /^\*\*[^*]+\*\*:?$/.test(item[2].trim())) {
+                roleTips = { role: content.replace(/:$/, ''), tips: [] };
+                addToList('tips', roleTips);
+            } else if (section === 'setup') {
+                record.setup = record.setup ? `${record.setup} ${content}` : content;
+            } else {
+                roleTips = null;
+                addToList(section, content);
+            }
+            return;
+        }
+
+        const label = line.match(/^\s*\**([A-Za-z][A-Za-z ]{0,30}?)\**:\**\s+(.+)$/);
+        const labelField = label && findImportField(label[1]);
+        if (labelField) {
+            record[labelField] = ['aliases', 'tags', 'suggestions'].includes(labelField) ?
+                label[2].split(/\s*[;,]\s*/).map(unescapeMarkdown).filter(Boolean) :
+                unescapeMarkdown(label[2]);
+        } else if (line.includes(' · ')) {
+            parseMarkdownMetaLine(line, record);
+        } else if (!section || section === 'setup') {
+            const paragraph = unescapeMarkdown(line);
+            record.setup = record.setup ? `${record.setup} ${paragraph}` : paragraph;
+        } else {
+            addToList(section, unescapeMarkdown(line));
+        }
+    });
+
+    return games.filter(game => game.name);
+}
+
+/**
+ * Read games from a mutgames.json-shaped file, a { games: [...] } object or a plain array
+ */
+function parseJsonGames(text) {
+    const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.categories)) {
+        return data.categories.flatMap(category => (category.games || []).map(game => ({
+            ...game,
+            category: category.name
+        })));
+    }
+    if (data && Array.isArray(data.games)) return data.games;
+    throw new Error('The file has no categories or games list.');
+}
+
+/**
+ * Read the games in an imported file
+ */
+function parseImportFile(text, format) {
+    const parsers = { csv: parseCsvGames, markdown: parseMarkdownGames, json: parseJsonGames };
+    if (!parsers[format]) {
+        throw new Error(`Unknown import format "${format}"`);
+    }
+
+    const games = parsers[format](text).filter(game => game && typeof game.name === 'string' && game.name.trim());
+    if (games.length === 0) {
+        throw new Error('No games found in the file.');
+    }
+    return games;
+}
+
+/**
+ * Split a cell into lines, dropping list bullets and numbers. A line separator
+ * (U+2028, how our CSV export writes a line break within one rule) becomes a line break.
+ */
+function splitImportLines(value) {
+    if (Array.isArray(value)) return value;
+    return String(value).split(/\r?\n/)
+        .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim().replace(/\u2028/g, '\n'))
+        .filter(Boolean);
+}
+
+/**
+ * Split a cell into items separated by semicolons or new lines (or any of `separator`)
+ */
+function splitImportItems(value, separator = /[;\n]/) {
+    if (Array.isArray(value)) return value;
+    return String(value).split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Turn "Role: tip" lines back into role tips, the way our exports flatten them.
+ * Only short labels count as roles, so "Remember this: ..." and "NOTE: ..." stay whole.
+ */
+function parseTipLines(lines) {
+    const tips = [];
+    lines.forEach(line => {
+        if (typeof line !== 'string') {
+            if (line && line.role && Array.isArray(line.tips)) tips.push(line);
+            return;
+        }
+
+        const match = line.match(/^([A-Z][A-Za-z' ]{0,30}):\s+(.+)$/);
+        if (!match || match[1].trim().split(/\s+/).length > 4 || match[1] === match[1].toUpperCase()) {
+            tips.push(line);
+            return;
+        }
+        const role = match[1].trim();
+        const roleTips = tips.find(tip => typeof tip === 'object' && tip.role === role);
+        if (roleTips) {
+            roleTips.tips.push(match[2].trim());
+        } else {
+            tips.push({ role, tips: [match[2].trim()] });
+        }
+    });
+    return tips;
+}
+
+/**
+ * Read a player count: "4-8", "4 to 8 players", "4-10 players (optimal: 6)", "6", "4+"
+ * or min/max/optimal columns
+ */
+function parseImportedPlayers(record, warnings) {
+    if (record.playerCount && typeof record.playerCount === 'object') {
+        return { ...record.playerCount };
+    }
+
+    const number = value => {
+        const parsed = parseInt(value, 10);
+        return Number.isNaN(parsed) ? null : parsed;
+    };
+    let min = number(record.minPlayers);
+    let max = number(record.maxPlayers);
+    let optimal = number(record.optimalPlayers);
+
+    if (record.players !== undefined) {
+        const match = String(record.players).match(/(\d+)\s*(?:(?:-|–|to)\s*(\d+)|(\+))?/);
+        if (!match) {
+            warnings.push(`Could not read "${record.players}" as a player count.`);
+        } else {
+            min = parseInt(match[1], 10);
+            max = match[2] ? parseInt(match[2], 10) : min;
+            const optimalMatch = String(record.players).match(/optimal:?\s*(\d+)/i);
+            if (optimalMatch) optimal = parseInt(optimalMatch[1], 10);
+            if (match[3]) {
+                max = Math.max(min, NEW_GAME_DEFAULTS.playerCount.max);
+                warnings.push(`"${record.players}" players has no maximum; using ${min}-${max}.`);
+            }
+        }
+    }
+
+    if (min === null && max === null) return undefined;
+    min = min === null ? max : min;
+    max = max === null ? min : max;
+    [min, max] = [Math.min(min, max), Math.max(min, max)];
+    if (optimal === null || optimal < min || optimal > max) {
+        optimal = Math.floor((min + max) / 2);
+    }
+    return { min, max, optimal };
+}
+
+/**
+ * Read a duration in minutes: "5-10 minutes", "5 mins", "8", min/max minute columns
+ * or a durationMinutes object
+ */
+function parseImportedMinutes(record, warnings) {
+    if (record.durationMinutes && typeof record.durationMinutes === 'object') {
+        return { min: record.durationMinutes.min, max: record.durationMinutes.max };
+    }
+
+    const min = parseInt(record.minMinutes, 10);
+    const max = parseInt(record.maxMinutes, 10);
+    if (!Number.isNaN(min) || !Number.isNaN(max)) {
+        const low = Number.isNaN(min) ? max : min;
+        const high = Number.isNaN(max) ? min : max;
+        return { min: Math.min(low, high), max: Math.max(low, high) };
+    }
+
+    if (!record.duration) return undefined;
+    const text = String(record.duration);
+    const range = window.GameData.parseDuration(/min/i.test(text) ? text : `${text} minutes`);
+    if (!range) {
+        warnings.push(`Could not read "${text}" as a duration.`);
+        return undefined;
+    }
+    return range;
+}
+
+/**
+ * Read audience volunteers from an audienceVolunteers object or the old audienceCount text
+ */
+function parseImportedVolunteers(record) {
+    const volunteers = record.audienceVolunteers;
+    if (volunteers && typeof volunteers === 'object') {
+        return { min: volunteers.min, max: volunteers.max, description: volunteers.description };
+    }
+    const text = String(volunteers || record.audienceCount || '').trim();
+    return text ? window.GameData.parseAudienceCount(text) : undefined;
+}
+
+/**
+ * Map an imported tag onto a declared one ("Family Friendly" -> family_friendly, "jam" -> jam_friendly)
+ */
+function matchDeclaredTag(tag, declaredTags) {
+    const slug = window.SearchIndex.normalizeText(tag).replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (declaredTags[slug]) return slug;
+    if (declaredTags[`${slug}_friendly`]) return `${slug}_friendly`;
+    return null;
+}
+
+/**
+ * Turn an imported record (CSV row, Markdown section or JSON game) into game fields,
+ * keeping only the fields it actually provided. Returns { game, warnings }.
+ */
+function normalizeImportedGame(record, declaredTags = {}) {
+    const warnings = [];
+    const game = { name: String(record.name).trim() };
+
+    if (typeof record.id === 'string' && /^[a-z0-9_]+$/.test(record.id)) game.id = record.id;
+    if (record.category) game.category = String(record.category).trim();
+    if (record.aliases) game.aliases = splitImportItems(record.aliases);
+
+    if (record.tags) {
+        game.tags = [];
+        splitImportItems(record.tags, /[;,\n]/).forEach(tag => {
+            const declared = matchDeclaredTag(tag, declaredTags);
+            if (!declared) {
+                warnings.push(`Skipped the tag "${tag}", which is not declared in metadata.tags.`);
+            } else if (!game.tags.includes(declared)) {
+                game.tags.push(declared);
+            }
+        });
+    }
+
+    const playerCount = parseImportedPlayers(record, warnings);
+    if (playerCount) game.playerCount = playerCount;
+
+    if (typeof record.audienceParticipation === 'boolean') {
+        game.audienceParticipation = record.audienceParticipation;
+    } else if (record.audienceParticipation !== undefined) {
+        game.audienceParticipation = /^(yes|y|true|1)$/i.test(String(record.audienceParticipation).trim());
+    }
+    const audienceVolunteers = parseImportedVolunteers(record);
+    if (audienceVolunteers) game.audienceVolunteers = audienceVolunteers;
+
+    const durationMinutes = parseImportedMinutes(record, warnings);
+    if (durationMinutes) game.durationMinutes = durationMinutes;
+
+    if (record.difficulty) {
+        const difficulty = DIFFICULTY_WORDS[String(record.difficulty).trim().toLowerCase()];
+        if (difficulty) {
+            game.difficulty = difficulty;
+        } else {
+            warnings.push(`Could not read "${record.difficulty}" as a difficulty.`);
+        }
+    }
+
+    const setup = record.setup && typeof record.setup === 'object' ? record.setup : { description: record.setup };
+    const suggestions = record.suggestions || setup.suggestions;
+    if (setup.description || suggestions) {
+        game.setup = {};
+        if (setup.description) game.setup.description = String(setup.description).trim();
+        if (suggestions) game.setup.suggestions = splitImportItems(suggestions);
+    }
+
+    if (record.rules) game.rules = splitImportLines(record.rules);
+    if (record.tips) {
+        game.tips = typeof record.tips === 'string' ?
+            parseTipLines(splitImportLines(record.tips)) :
+            record.tips.filter(tip => typeof tip === 'string' || (tip && tip.role && Array.isArray(tip.tips)));
+    }
+    if (record.examples) game.examples = splitImportLines(record.examples);
+    if (record.notes) game.notes = splitImportLines(record.notes);
+
+    if (record.videoLinks) {
+        game.videoLinks = splitImportItems(record.videoLinks, /[\s;]+/).filter(link => {
+            if (window.GameData.extractYouTubeId(link)) return true;
+            warnings.push(`Skipped the video link "${link}", which is not a YouTube video.`);
+            return false;
+        });
+    }
+
+    return { game, warnings };
+}
+
+/**
+ * Normalize a game name for matching ("The Party Quirks!" -> "party quirks")
+ */
+function normalizeGameName(name) {
+    return window.SearchIndex.tokenize(name).filter(term => term !== 'the').join(' ');
+}
+
+/**
+ * How alike two game names are, from 0 to 1 (by edit distance)
+ */
+function getNameSimilarity(a, b) {
+    const left = normalizeGameName(a);
+    const right = normalizeGameName(b);
+    if (!left || !right) return 0;
+    return 1 - window.SearchIndex.levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+/**
+ * Find the game an imported game duplicates: by name, then by aliases in either
+ * direction, then by a close name. Returns { game, categoryIndex, gameIndex, by, score } or null.
+ */
+function findMatchingGame(incoming, existing) {
+    const incomingName = normalizeGameName(incoming.name);
+    const incomingNames = [incoming.name, ...(incoming.aliases || [])].map(normalizeGameName).filter(Boolean);
+    const namesOf = entry => [entry.game.name, ...(entry.game.aliases || [])].map(normalizeGameName);
+
+    const byName = existing.find(entry => normalizeGameName(entry.game.name) === incomingName);
+    if (byName) return { ...byName, by: 'name', score: 1 };
+
+    const byAlias = existing.find(entry => namesOf(entry).some(name => incomingNames.includes(name)));
+    if (byAlias) return { ...byAlias, by: 'alias', score: 1 };
+
+    let best = null;
+    existing.forEach(entry => {
+        const score = Math.max(...[entry.game.name, ...(entry.game.aliases || [])]
+            .map(name => getNameSimilarity(name, incoming.name)));
+        if (!best || score > best.score) best = { ...entry, by: 'fuzzy', score };
+    });
+    return best && best.score >= FUZZY_NAME_THRESHOLD ? best : null;
+}
+
+/**
+ * Read a possibly nested field ("setup.description")
+ */
+function getMergeField(game, field) {
+    return field.split('.').reduce((value, key) => (value ? value[key] : undefined), game);
+}
+
+/**
+ * Write a possibly nested field, creating the parent object when needed
+ */
+function setMergeField(game, field, value) {
+    const keys = field.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => {
+        if (!object[key] || typeof object[key] !== 'object') object[key] = {};
+        return object[key];
+    }, game);
+    parent[last] = value;
+}
+
+const isEmptyValue = value => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Add the entries a list is missing, ignoring case and accents
+ */
+function mergeLists(current, incoming) {
+    const seen = new Set(current.map(item => window.SearchIndex.normalizeText(item)));
+    const merged = [...current];
+    incoming.forEach(item => {
+        const key = window.SearchIndex.normalizeText(item);
+        if (!seen.has(key)) {
+            seen.add(key);
+            merged.push(item);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Add the tips a list is missing, folding role tips into the same role. Tips are
+ * compared flattened, so "Host: tip" and a Host role tip count as the same tip.
+ */
+function mergeTips(current, incoming) {
+    const merged = current.map(tip => (typeof tip === 'string' ? tip : { role: tip.role, tips: [...tip.tips] }));
+    const known = new Set(window.GameExport.flattenTips(current).map(tip => window.SearchIndex.normalizeText(tip)));
+    const isKnown = line => known.has(window.SearchIndex.normalizeText(line));
+
+    incoming.forEach(tip => {
+        if (typeof tip === 'string') {
+            if (!isKnown(tip)) merged.push(tip);
+            return;
+        }
+        const tips = tip.tips.filter(roleTip => !isKnown(`${tip.role}: ${roleTip}`));
+        if (tips.length === 0) return;
+        const role = merged.find(item => typeof item === 'object' &&
+            window.SearchIndex.normalizeText(item.role) === window.SearchIndex.normalizeText(tip.role));
+        if (role) {
+            role.tips = mergeLists(role.tips, tips);
+        } else {
+            merged.push({ role: tip.role, tips });
+        }
+    });
+    return merged;
+}
+
+/**
+ * Compare an imported game with ours. Returns { changes, conflicts }, each a list of
+ * { field, current, value }: changes can be applied safely, conflicts need a decision.
+ */
+function compareImportedGame(current, incoming) {
+    const changes = [];
+    const conflicts = [];
+
+    // Another troupe's name for one of our games becomes an alias
+    const aliases = [...(incoming.aliases || [])];
+    if (normalizeGameName(incoming.name) !== normalizeGameName(current.name)) {
+        aliases.unshift(incoming.name);
+    }
+    const compared = { ...incoming, aliases };
+
+    Object.keys(MERGE_FIELDS).forEach(field => {
+        const value = getMergeField(compared, field);
+        if (isEmptyValue(value)) return;
+        const currentValue = getMergeField(current, field);
+
+        if (MERGE_FIELDS[field] === 'list') {
+            const merged = field === 'tips' ? mergeTips(currentValue || [], value) : mergeLists(currentValue || [], value);
+            if (!sameValue(merged, currentValue || [])) {
+                changes.push({ field, current: currentValue, value: merged });
+            }
+        } else if (isEmptyValue(currentValue)) {
+            changes.push({ field, current: currentValue, value });
+        } else if (!sameValue(currentValue, value)) {
+            conflicts.push({ field, current: currentValue, value });
+        }
+    });
+
+    return { changes, conflicts };
+}
+
+/**
+ * List every game in a database with its position
+ */
+function listDatabaseGames(database) {
+    return database.categories.flatMap((category, categoryIndex) =>
+        category.games.map((game, gameIndex) => ({ game, categoryIndex, gameIndex })));
+}
+
+/**
+ * Build the merge preview for imported records against a database. Each entry is
+ * { index, status, incoming, match, changes, conflicts, warnings }, where status is
+ * one of IMPORT_STATUSES.
+ */
+function buildMergePreview(database, records) {
+    const declaredTags = (database.metadata && database.metadata.tags) || {};
+    const existing = listDatabaseGames(database);
+    const seenNames = new Map();
+
+    return records.map((record, index) => {
+        const { game, warnings } = normalizeImportedGame(record, declaredTags);
+        const entry = { index, status: 'new', incoming: game, match: null, changes: [], conflicts: [], warnings };
+
+        const key = normalizeGameName(game.name);
+        if (seenNames.has(key)) {
+            return { ...entry, status: 'duplicate', duplicateOf: seenNames.get(key) };
+        }
+        seenNames.set(key, index);
+
+        const match = findMatchingGame(game, existing);
+        if (!match) {
+            if (!game.playerCount) warnings.push('No player count given; using 2-8 players.');
+            if (!game.durationMinutes) {
+                warnings.push(`No duration given; using ${window.GameData.formatDuration(NEW_GAME_DEFAULTS.durationMinutes)}.`);
+            }
+            return entry;
+        }
+
+        const { changes, conflicts } = compareImportedGame(match.game, game);
+        let status = 'unchanged';
+        if (conflicts.length > 0 || match.by === 'fuzzy') {
+            status = 'conflict';
+        } else if (changes.length > 0) {
+            status = 'changed';
+        }
+        return { ...entry, status, match, changes, conflicts };
+    });
+}
+
+/**
+ * Count preview entries by status
+ */
+function summarizeMergePreview(entries) {
+    const counts = Object.fromEntries(Object.keys(IMPORT_STATUSES).map(status => [status, 0]));
+    entries.forEach(entry => counts[entry.status]++);
+    return counts;
+}
+
+/**
+ * The merge actions offered for a preview entry, the default first
+ */
+function getMergeActions(entry) {
+    switch (entry.status) {
+        case 'new': return ['add', 'skip'];
+        case 'changed': return ['merge', 'add', 'skip'];
+        case 'conflict': return ['merge', 'incoming', 'add', 'skip'];
+        case 'duplicate': return ['skip', 'add'];
+        default: return ['skip'];
+    }
+}
+
+/**
+ * Pick a game id that is not taken yet
+ */
+function getUnusedGameId(game, usedIds) {
+    const base = (game.id && !usedIds.has(game.id) && game.id) ||
+        window.GameEditor.slugifyGameId(game.name) || 'imported_game';
+    let id = base;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${base}_${suffix}`;
+    }
+    usedIds.add(id);
+    return id;
+}
+
+/**
+ * Build a complete game from imported fields, in the field order used in mutgames.json
+ */
+function toNewGame(incoming, id) {
+    const setup = incoming.setup || {};
+    const game = {
+        id,
+        name: incoming.name,
+        aliases: incoming.aliases || [],
+        tags: incoming.tags || [],
+        playerCount: incoming.playerCount || { ...NEW_GAME_DEFAULTS.playerCount },
+        audienceParticipation: Boolean(incoming.audienceParticipation)
+    };
+    if (incoming.audienceVolunteers) game.audienceVolunteers = incoming.audienceVolunteers;
+
+    Object.assign(game, {
+        durationMinutes: incoming.durationMinutes || { ...NEW_GAME_DEFAULTS.durationMinutes },
+        difficulty: incoming.difficulty || NEW_GAME_DEFAULTS.difficulty,
+        setup: { description: setup.description || '', suggestions: setup.suggestions || [] },
+        rules: incoming.rules || [],
+        tips: incoming.tips || [],
+        examples: incoming.examples || [],
+        videoLinks: incoming.videoLinks || []
+    });
+    if (incoming.notes && incoming.notes.length > 0) game.notes = incoming.notes;
+
+    return game;
+}
+
+/**
+ * Add an imported game to the category of the same name, or to IMPORTED_CATEGORY
+ */
+function addImportedGame(database, incoming, usedIds) {
+    const wanted = window.SearchIndex.normalizeText(incoming.category || '');
+    let category = wanted && database.categories.find(existing =>
+        window.SearchIndex.normalizeText(existing.name) === wanted || existing.id === wanted);
+
+    if (!category) {
+        category = database.categories.find(existing => existing.id === IMPORTED_CATEGORY.id);
+    }
+    if (!category) {
+        category = { ...IMPORTED_CATEGORY, games: [] };
+        database.categories.push(category);
+    }
+
+    const game = toNewGame(incoming, getUnusedGameId(incoming, usedIds));
+    category.games.push(game);
+    return game;
+}
+
+/**
+ * Produce the merged database from a preview. `actions` maps entry index to one of
+ * MERGE_ACTIONS; entries without one get their default. The original is left untouched.
+ */
+function mergeImport(database, entries, actions = {}) {
+    const merged = JSON.parse(JSON.stringify(database));
+    const usedIds = new Set(listDatabaseGames(merged).map(entry => entry.game.id));
+
+    entries.forEach(entry => {
+        const action = actions[entry.index] || getMergeActions(entry)[0];
+        if (action === 'skip') return;
+        if (action === 'add' || !entry.match) {
+            addImportedGame(merged, entry.incoming, usedIds);
+            return;
+        }
+
+        // Compare again, so two imported games matching one of ours both count
+        const target = merged.categories[entry.match.categoryIndex].games[entry.match.gameIndex];
+        const { changes, conflicts } = compareImportedGame(target, entry.incoming);
+        changes.forEach(change => setMergeField(target, change.field, change.value));
+        if (action === 'incoming') {
+            conflicts.forEach(conflict => setMergeField(target, conflict.field, conflict.value));
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Describe a field value for the preview
+ */
+function describeImportValue(field, value) {
+    if (isEmptyValue(value)) return '(none)';
+    if (field === 'playerCount') return window.GameData.formatPlayerCount(value);
+    if (field === 'durationMinutes') return window.GameData.formatDuration(value);
+    if (field === 'audienceVolunteers') return value.description;
+    if (field === 'tips') return window.GameExport.flattenTips(value).join(' / ');
+    if (Array.isArray(value)) return value.join(' / ');
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    return String(value);
+}
+
+/**
+ * Describe what a change adds: the new entries for lists, the value otherwise
+ */
+function describeImportChange(change) {
+    if (MERGE_FIELDS[change.field] !== 'list') {
+        return `sets ${describeImportValue(change.field, change.value)}`;
+    }
+    const before = change.field === 'tips' ?
+        window.GameExport.flattenTips(change.current) :
+        (change.current || []);
+    const after = change.field === 'tips' ? window.GameExport.flattenTips(change.value) : change.value;
+    return `adds ${after.filter(item => !before.includes(item)).join(' / ')}`;
+}
+
+/**
+ * Create the markup for one preview entry
+ */
+function createImportEntry(entry, entries) {
+    const { html } = window.Render;
+    const actions = getMergeActions(entry);
+    let matchText = '';
+    if (entry.match) {
+        matchText = entry.match.by === 'fuzzy' ?
+            `Possibly our "${entry.match.game.name}" (names ${Math.round(entry.match.score * 100)}% alike)` :
+            `Matches our "${entry.match.game.name}" by ${entry.match.by}`;
+    } else if (entry.status === 'duplicate') {
+        matchText = `Same game as "${entries[entry.duplicateOf].incoming.name}" earlier in the file`;
+    }
+
+    return html`
+        <li class="list-group-item import-entry import-entry-${entry.status}" data-import-index="${entry.index}">
+            <div class="import-entry-header">
+                <div>
+                    <strong>${entry.incoming.name}</strong>
+                    <span class="badge import-status import-status-${entry.status}">${IMPORT_STATUSES[entry.status]}</span>
+                    ${matchText ? html`<div class="small text-secondary">${matchText}</div>` : ''}
+                </div>
+                ${actions.length > 1 ? html`
+                <select class="form-select form-select-sm import-action" aria-label="What to do with ${entry.incoming.name}">
+                    ${actions.map(action => html`<option value="${action}">${MERGE_ACTIONS[action]}</option>`)}
+                </select>
+                ` : ''}
+            </div>
+            ${entry.changes.length > 0 || entry.conflicts.length > 0 ? html`
+            <ul class="import-entry-details small">
+                ${entry.changes.map(change => html`<li><code>${change.field}</code> ${describeImportChange(change)}</li>`)}
+                ${entry.conflicts.map(conflict => html`
+                <li class="import-conflict">
+                    <code>${conflict.field}</code> ours: ${describeImportValue(conflict.field, conflict.current)}
+                    · theirs: ${describeImportValue(conflict.field, conflict.value)}
+                </li>`)}
+            </ul>
+            ` : ''}
+            ${entry.warnings.length > 0 ? html`
+            <ul class="import-entry-warnings small">
+                ${entry.warnings.map(warning => html`<li>${warning}</li>`)}
+            </ul>
+            ` : ''}
+        </li>
+    `;
+}
+
+/**
+ * Render the merge preview: a summary line and an entry per imported game
+ */
+function renderMergePreview(container, entries) {
+    const { html, setHtml } = window.Render;
+    const counts = summarizeMergePreview(entries);
+    const summary = Object.keys(IMPORT_STATUSES)
+        .filter(status => counts[status] > 0)
+        .map(status => `${counts[status]} ${IMPORT_STATUSES[status].toLowerCase()}`)
+        .join(', ');
+
+    setHtml(container, html`
+        <p class="import-summary mb-2">${entries.length} game${entries.length === 1 ? '' : 's'} in the file: ${summary}</p>
+        <ul class="list-group import-entries">
+            ${entries.map(entry => createImportEntry(entry, entries))}
+        </ul>
+    `);
+}
+
+/**
+ * Read the action chosen for each preview entry
+ */
+function readMergeActions(container) {
+    const actions = {};
+    container.querySelectorAll('.import-entry').forEach(item => {
+        const select = item.querySelector('.import-action');
+        if (select) actions[item.dataset.importIndex] = select.value;
+    });
+    return actions;
+}
+
+// Export functions for use in other modules
+window.GameImport = {
+    IMPORTED_CATEGORY,
+    IMPORT_STATUSES,
+    MERGE_ACTIONS,
+    detectImportFormat,
+    parseCsvGames,
+    parseMarkdownGames,
+    parseJsonGames,
+    parseImportFile,
+    normalizeImportedGame,
+    getNameSimilarity,
+    findMatchingGame,
+    compareImportedGame,
+    buildMergePreview,
+    summarizeMergePreview,
+    getMergeActions,
+    mergeImport,
+    renderMergePreview,
+    readMergeActions
+};
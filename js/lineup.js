@@ -0,0 +1,533 @@
+/**
+ * MUT Improv Games Lineup Builder
+ * Assembles an ordered show running order from the games database
+ */
+
+const OPENING_CATEGORY = 'Opening Games';
+const LINEUP_STORAGE_KEY = 'lineups';
+const DEFAULT_GAME_MINUTES = { min: 5, max: 10 };
+
+// Current lineup
+let lineupSlots = [];
+let lineupOptions = { castSize: 6, showLength: 45 };
+
+// DOM elements
+let castSizeInput;
+let showLengthInput;
+let lineupList;
+let lineupSummary;
+let lineupNameInput;
+let savedLineupsList;
+
+/**
+ * Initialize lineup builder page
+ */
+async function initLineupBuilder() {
+    // Only run on the lineup page
+    if (!document.getElementById('lineupContent')) return;
+
+    console.log('Initializing lineup builder...');
+
+    try {
+        // Initialize theme
+        window.Theme.initTheme();
+
+        // Load game data first
+        const dataLoaded = await window.GameData.loadGamesData();
+        if (!dataLoaded) {
+            showLineupError('Failed to load game data. Please try refreshing the page.');
+            return;
+        }
+
+        // Get DOM elements
+        castSizeInput = document.getElementById('castSize');
+        showLengthInput = document.getElementById('showLength');
+        lineupList = document.getElementById('lineupList');
+        lineupSummary = document.getElementById('lineupSummary');
+        lineupNameInput = document.getElementById('lineupName');
+        savedLineupsList = document.getElementById('savedLineups');
+
+        // Set up event listeners
+        document.getElementById('generateLineup').addEventListener('click', handleGenerate);
+        document.getElementById('saveLineup').addEventListener('click', handleSave);
+        document.getElementById('exportLineupText').addEventListener('click', () => exportLineup('text'));
+        document.getElementById('exportLineupJson').addEventListener('click', () => exportLineup('json'));
+        document.getElementById('printLineup').addEventListener('click', printLineup);
+
+        renderSavedLineups();
+        renderLineup();
+    } catch (error) {
+        console.error('Error initializing lineup builder:', error);
+        showLineupError('An error occurred while loading the lineup builder.');
+    }
+}
+
+/**
+ * Get a game's duration range in minutes, falling back to a typical game length
+ */
+function getGameMinutes(game) {
+    return game.durationMinutes || DEFAULT_GAME_MINUTES;
+}
+
+/**
+ * Estimate how long a game will run (midpoint of its duration range)
+ */
+function estimateGameMinutes(game) {
+    const { min, max } = getGameMinutes(game);
+    return (min + max) / 2;
+}
+
+/**
+ * Add up the duration ranges of every game in a lineup
+ */
+function getLineupDuration(slots) {
+    return slots.reduce((total, slot) => {
+        const game = window.GameData.getGameById(slot.gameId);
+        if (!game) return total;
+        const { min, max } = getGameMinutes(game);
+        return {
+            min: total.min + min,
+            max: total.max + max,
+            estimate: total.estimate + (min + max) / 2
+        };
+    }, { min: 0, max: 0, estimate: 0 });
+}
+
+/**
+ * Pick a random element from a list
+ */
+function pickRandom(list, random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Choose the next game for a position, mixing categories and fitting the remaining time
+ */
+function pickLineupGame(candidates, context, random) {
+    const { position, previousCategory, remainingMinutes, usedIds, categoryCounts } = context;
+
+    const available = candidates.filter(game =>
+        !usedIds.has(game.id) && estimateGameMinutes(game) <= remainingMinutes
+    );
+
+    // The show opens with an opening game whenever one fits
+    if (position === 0) {
+        const openers = available.filter(game => game.category === OPENING_CATEGORY);
+        if (openers.length > 0) return pickRandom(openers, random);
+    }
+
+    let pool = available.filter(game =>
+        game.category !== OPENING_CATEGORY && game.category !== previousCategory
+    );
+    if (pool.length === 0) {
+        pool = available.filter(game => game.category !== previousCategory);
+    }
+    if (pool.length === 0) return null;
+
+    // Favour the categories we have used least so far
+    const fewestUses = Math.min(...pool.map(game => categoryCounts.get(game.category) || 0));
+    const categoryNames = [...new Set(pool
+        .filter(game => (categoryCounts.get(game.category) || 0) === fewestUses)
+        .map(game => game.category))];
+    const category = pickRandom(categoryNames, random);
+
+    return pickRandom(pool.filter(game => game.category === category), random);
+}
+
+/**
+ * Generate a lineup, keeping pinned games from the previous lineup in place
+ */
+function generateLineup(options, previousSlots = [], random = Math.random) {
+    const { castSize, showLength } = options;
+    const candidates = window.GameData.filterGames(window.GameData.allGames, { players: castSize });
+
+    let lineup = previousSlots.map(slot => slot.pinned ? { ...slot } : null);
+    const usedIds = new Set();
+    const categoryCounts = new Map();
+    let totalMinutes = 0;
+
+    const useGame = (game) => {
+        usedIds.add(game.id);
+        categoryCounts.set(game.category, (categoryCounts.get(game.category) || 0) + 1);
+        totalMinutes += estimateGameMinutes(game);
+    };
+
+    lineup.forEach(slot => {
+        const game = slot && window.GameData.getGameById(slot.gameId);
+        if (game) useGame(game);
+    });
+
+    const categoryAt = (index) => {
+        const slot = lineup[index];
+        const game = slot && window.GameData.getGameById(slot.gameId);
+        return game ? game.category : null;
+    };
+
+    const fillSlot = (position) => {
+        const game = pickLineupGame(candidates, {
+            position,
+            previousCategory: position > 0 ? categoryAt(position - 1) : null,
+            remainingMinutes: showLength - totalMinutes,
+            usedIds,
+            categoryCounts
+        }, random);
+        if (!game) return null;
+        useGame(game);
+        return { gameId: game.id, pinned: false };
+    };
+
+    // Refill the unpinned positions of the previous lineup
+    for (let i = 0; i < lineup.length; i++) {
+        if (!lineup[i]) lineup[i] = fillSlot(i);
+    }
+    lineup = lineup.filter(Boolean);
+
+    // Keep adding games until nothing else fits the show length
+    let next = fillSlot(lineup.length);
+    while (next) {
+        lineup.push(next);
+        next = fillSlot(lineup.length);
+    }
+
+    return lineup;
+}
+
+/**
+ * Swap the game in a slot for another fitting game, preferring the same category
+ */
+function swapLineupGame(slots, index, options, random = Math.random) {
+    const current = window.GameData.getGameById(slots[index].gameId);
+    const usedIds = new Set(slots.map(slot => slot.gameId));
+    const remainingMinutes = options.showLength - getLineupDuration(slots).estimate +
+        (current ? estimateGameMinutes(current) : 0);
+
+    const available = window.GameData.filterGames(window.GameData.allGames, { players: options.castSize })
+        .filter(game => !usedIds.has(game.id) && estimateGameMinutes(game) <= remainingMinutes);
+    const sameCategory = current ?
+        window.GameData.filterGames(available, { category: current.category }) : [];
+    const pool = sameCategory.length > 0 ? sameCategory : available;
+    if (pool.length === 0) return slots;
+
+    const updated = [...slots];
+    updated[index] = { gameId: pickRandom(pool, random).id, pinned: false };
+    return updated;
+}
+
+/**
+ * Move a slot up or down the running order
+ */
+function moveLineupSlot(slots, index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= slots.length) return slots;
+
+    const updated = [...slots];
+    [updated[index], updated[target]] = [updated[target], updated[index]];
+    return updated;
+}
+
+/**
+ * Read lineup options from the form
+ */
+function readLineupOptions() {
+    return {
+        castSize: Math.max(1, parseInt(castSizeInput.value, 10) || lineupOptions.castSize),
+        showLength: Math.max(5, parseInt(showLengthInput.value, 10) || lineupOptions.showLength)
+    };
+}
+
+/**
+ * Handle generate button
+ */
+function handleGenerate() {
+    lineupOptions = readLineupOptions();
+    lineupSlots = generateLineup(lineupOptions, lineupSlots);
+    renderLineup();
+}
+
+/**
+ * Handle a slot action button (pin, swap, move, remove)
+ */
+function handleSlotAction(action, index) {
+    switch (action) {
+        case 'pin':
+            lineupSlots = lineupSlots.map((slot, i) =>
+                i === index ? { ...slot, pinned: !slot.pinned } : slot
+            );
+            break;
+        case 'swap':
+            lineupSlots = swapLineupGame(lineupSlots, index, lineupOptions);
+            break;
+        case 'up':
+            lineupSlots = moveLineupSlot(lineupSlots, index, -1);
+            break;
+        case 'down':
+            lineupSlots = moveLineupSlot(lineupSlots, index, 1);
+            break;
+        case 'remove':
+            lineupSlots = lineupSlots.filter((slot, i) => i !== index);
+            break;
+    }
+    renderLineup();
+}
+
+/**
+ * Render the current lineup
+ */
+function renderLineup() {
+    if (!lineupList) return;
+
+    lineupList.innerHTML = '';
+
+    if (lineupSlots.length === 0) {
+        lineupSummary.textContent = 'Choose a cast size and show length, then generate a lineup.';
+        return;
+    }
+
+    lineupSlots.forEach((slot, index) => {
+        const game = window.GameData.getGameById(slot.gameId);
+        if (game) {
+            lineupList.appendChild(createLineupItem(game, slot, index));
+        }
+    });
+
+    const duration = getLineupDuration(lineupSlots);
+    lineupSummary.textContent = `${lineupSlots.length} games • about ${Math.round(duration.estimate)} of ${lineupOptions.showLength} minutes (${duration.min}-${duration.max} minutes)`;
+}
+
+/**
+ * Create a lineup list item
+ */
+function createLineupItem(game, slot, index) {
+    const item = document.createElement('li');
+    item.className = `list-group-item lineup-item${slot.pinned ? ' lineup-item-pinned' : ''}`;
+
+    const info = document.createElement('div');
+    info.className = 'lineup-item-info';
+
+    const title = document.createElement('a');
+    title.className = 'lineup-item-title';
+    title.href = window.GameData.getGameUrl(game.id);
+    title.textContent = `${index + 1}. ${game.name}`;
+    info.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'game-meta';
+    meta.textContent = `${game.category} • ${window.GameData.formatPlayerCount(game.playerCount)} • ${window.GameData.formatDuration(game.durationMinutes)}`;
+    info.appendChild(meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'lineup-item-actions';
+    [
+        { action: 'pin', label: slot.pinned ? 'Unpin' : 'Pin', ariaLabel: `${slot.pinned ? 'Unpin' : 'Pin'} ${game.name}` },
+        { action: 'swap', label: 'Swap', ariaLabel: `Swap ${game.name} for another game` },
+        { action: 'up', label: '↑', ariaLabel: `Move ${game.name} up` },
+        { action: 'down', label: '↓', ariaLabel: `Move ${game.name} down` },
+        { action: 'remove', label: '✕', ariaLabel: `Remove ${game.name}` }
+    ].forEach(({ action, label, ariaLabel }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-secondary';
+        button.textContent = label;
+        button.setAttribute('aria-label', ariaLabel);
+        if (action === 'pin') {
+            button.setAttribute('aria-pressed', slot.pinned ? 'true' : 'false');
+        }
+        button.addEventListener('click', () => handleSlotAction(action, index));
+        actions.appendChild(button);
+    });
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    return item;
+}
+
+/**
+ * Get saved lineups from local storage
+ */
+function getSavedLineups() {
+    try {
+        return JSON.parse(localStorage.getItem(LINEUP_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Error reading saved lineups:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the current lineup to local storage
+ */
+function saveLineup(name) {
+    const lineups = getSavedLineups();
+    const lineup = {
+        id: Date.now().toString(36),
+        name,
+        castSize: lineupOptions.castSize,
+        showLength: lineupOptions.showLength,
+        slots: lineupSlots,
+        savedAt: new Date().toISOString()
+    };
+    lineups.push(lineup);
+    localStorage.setItem(LINEUP_STORAGE_KEY, JSON.stringify(lineups));
+    return lineup;
+}
+
+/**
+ * Delete a saved lineup
+ */
+function deleteSavedLineup(lineupId) {
+    const lineups = getSavedLineups().filter(lineup => lineup.id !== lineupId);
+    localStorage.setItem(LINEUP_STORAGE_KEY, JSON.stringify(lineups));
+}
+
+/**
+ * Load a saved lineup into the builder
+ */
+function loadSavedLineup(lineupId) {
+    const lineup = getSavedLineups().find(saved => saved.id === lineupId);
+    if (!lineup) return;
+
+    lineupOptions = { castSize: lineup.castSize, showLength: lineup.showLength };
+    lineupSlots = lineup.slots.filter(slot => window.GameData.getGameById(slot.gameId));
+    castSizeInput.value = lineup.castSize;
+    showLengthInput.value = lineup.showLength;
+    lineupNameInput.value = lineup.name;
+    renderLineup();
+}
+
+/**
+ * Handle save button
+ */
+function handleSave() {
+    if (lineupSlots.length === 0) return;
+
+    const name = lineupNameInput.value.trim() || `Lineup ${new Date().toLocaleDateString()}`;
+    saveLineup(name);
+    renderSavedLineups();
+}
+
+/**
+ * Render the list of saved lineups
+ */
+function renderSavedLineups() {
+    if (!savedLineupsList) return;
+
+    savedLineupsList.innerHTML = '';
+    const lineups = getSavedLineups();
+
+    if (lineups.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'list-group-item text-muted';
+        empty.textContent = 'No saved lineups yet';
+        savedLineupsList.appendChild(empty);
+        return;
+    }
+
+    lineups.forEach(lineup => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item lineup-item';
+
+        const label = document.createElement('span');
+        label.textContent = `${lineup.name} (${lineup.slots.length} games, ${lineup.castSize} players)`;
+        item.appendChild(label);
+
+        const actions = document.createElement('div');
+        actions.className = 'lineup-item-actions';
+
+        const loadButton = document.createElement('button');
+        loadButton.type = 'button';
+        loadButton.className = 'btn btn-sm btn-outline-secondary';
+        loadButton.textContent = 'Load';
+        loadButton.addEventListener('click', () => loadSavedLineup(lineup.id));
+        actions.appendChild(loadButton);
+
+        const deleteButton = document.createElement('button');
+        deleteButton.type = 'button';
+        deleteButton.className = 'btn btn-sm btn-outline-secondary';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => {
+            deleteSavedLineup(lineup.id);
+            renderSavedLineups();
+        });
+        actions.appendChild(deleteButton);
+
+        item.appendChild(actions);
+        savedLineupsList.appendChild(item);
+    });
+}
+
+/**
+ * Format a lineup as a plain-text running order
+ */
+function formatLineupText(slots, options) {
+    const duration = getLineupDuration(slots);
+    const lines = [
+        `Running order (${options.castSize} players, ${options.showLength} minute show)`,
+        ''
+    ];
+    slots.forEach((slot, index) => {
+        const game = window.GameData.getGameById(slot.gameId);
+        if (game) {
+            lines.push(`${index + 1}. ${game.name} - ${game.category} (${window.GameData.formatDuration(game.durationMinutes)})`);
+        }
+    });
+    lines.push('', `Estimated running time: ${Math.round(duration.estimate)} minutes (${duration.min}-${duration.max})`);
+    return lines.join('\n');
+}
+
+/**
+ * Export the current lineup as a text or JSON download
+ */
+function exportLineup(format) {
+    if (lineupSlots.length === 0) return;
+
+    const baseName = window.Files.toFileName(lineupNameInput.value, 'lineup');
+    if (format === 'json') {
+        const content = JSON.stringify({
+            name: lineupNameInput.value.trim(),
+            ...lineupOptions,
+            games: lineupSlots.map(slot => slot.gameId)
+        }, null, 2);
+        window.Files.downloadFile(`${baseName}.json`, content, 'application/json');
+    } else {
+        window.Files.downloadFile(`${baseName}.txt`, formatLineupText(lineupSlots, lineupOptions), 'text/plain');
+    }
+}
+
+/**
+ * Open the current lineup as cheat sheets, in running order
+ */
+function printLineup() {
+    if (lineupSlots.length === 0) return;
+
+    window.location.href = window.PrintSheets.getPrintUrl(lineupSlots.map(slot => slot.gameId), {
+        title: lineupNameInput.value.trim() || 'Lineup'
+    });
+}
+
+/**
+ * Show error on lineup page
+ */
+function showLineupError(message) {
+    const content = document.getElementById('lineupContent');
+    if (!content) return;
+
+    content.innerHTML = `
+        <div class="alert alert-danger text-center" role="alert">
+            <h4 class="alert-heading">Error Loading Lineup Builder</h4>
+            <p>${message}</p>
+        </div>
+    `;
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', initLineupBuilder);
+
+// Export functions for use in other modules
+window.LineupBuilder = {
+    generateLineup,
+    swapLineupGame,
+    moveLineupSlot,
+    getLineupDuration,
+    formatLineupText,
+    getSavedLineups
+};
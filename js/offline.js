@@ -0,0 +1,126 @@
+/**
+ * MUT Improv Games Offline Support
+ * Registers the service worker, shows the offline banner and relays data updates
+ */
+
+// Callbacks to run when the service worker reports newer game data
+const dataUpdateCallbacks = [];
+
+/**
+ * Initialize offline support
+ */
+function initOffline() {
+    registerServiceWorker();
+
+    window.addEventListener('offline', showOfflineBanner);
+    window.addEventListener('online', hideOfflineBanner);
+
+    if (!navigator.onLine) {
+        showOfflineBanner();
+    }
+}
+
+/**
+ * Register the service worker when the page is served over http(s)
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+
+    navigator.serviceWorker.register('sw.js')
+        .then(() => console.log('Service worker registered'))
+        .catch(error => console.error('Service worker registration failed:', error));
+
+    navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.type === 'data-updated') {
+            console.log(`Newer game data available (version ${event.data.metadata.version}) - refreshing...`);
+            dataUpdateCallbacks.forEach(callback => callback(event.data.metadata));
+        }
+    });
+}
+
+/**
+ * Register a callback for when newer game data has been cached
+ */
+function onDataUpdated(callback) {
+    dataUpdateCallbacks.push(callback);
+}
+
+/**
+ * Format a metadata date ("2026-01-10") for display
+ */
+function formatDataDate(date) {
+    if (!date) return null;
+    const parsed = new Date(`${date}T00:00:00`);
+    if (isNaN(parsed)) return date;
+    return parsed.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Find the date of the game data the page is showing
+ */
+async function getCachedDataDate() {
+    const metadata = window.GameData && window.GameData.getMetadata();
+    if (metadata && metadata.lastUpdated) {
+        return metadata.lastUpdated;
+    }
+
+    if (!('caches' in window)) return null;
+    try {
+        const response = await caches.match('data/mutgames.json', { ignoreSearch: true });
+        if (!response) return null;
+        const data = await response.json();
+        return data.metadata && data.metadata.lastUpdated;
+    } catch (error) {
+        console.error('Error reading cached game data:', error);
+        return null;
+    }
+}
+
+/**
+ * Show the offline banner below the navigation bar
+ */
+async function showOfflineBanner() {
+    console.log('Connection lost');
+
+    let banner = document.getElementById('offlineBanner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'offlineBanner';
+        banner.className = 'alert alert-warning offline-banner mb-0 text-center';
+        banner.setAttribute('role', 'status');
+
+        const nav = document.querySelector('nav.navbar');
+        if (nav) {
+            nav.after(banner);
+        } else {
+            document.body.prepend(banner);
+        }
+    }
+
+    const date = formatDataDate(await getCachedDataDate());
+    banner.textContent = date ?
+        `You're offline - showing cached data from ${date}.` :
+        `You're offline - showing cached data.`;
+}
+
+/**
+ * Remove the offline banner
+ */
+function hideOfflineBanner() {
+    console.log('Connection restored');
+
+    const banner = document.getElementById('offlineBanner');
+    if (banner) {
+        banner.remove();
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', initOffline);
+
+// Export functions for use in other modules
+window.Offline = {
+    onDataUpdated,
+    showOfflineBanner,
+    hideOfflineBanner
+};
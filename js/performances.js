@@ -0,0 +1,611 @@
+/**
+ * MUT Improv Games Performance History
+ * The team's log of shows (date, venue, cast, games played and how they went),
+ * stored in IndexedDB and exportable as JSON
+ */
+
+const PERFORMANCE_DB_NAME = 'mutgames';
+const PERFORMANCE_DB_VERSION = 1;
+const PERFORMANCE_STORE = 'performances';
+// Used where IndexedDB is unavailable (some private browsing modes)
+const PERFORMANCE_FALLBACK_KEY = 'performances';
+const PERFORMANCE_EXPORT_VERSION = 1;
+const MAX_RATING = 5;
+
+// Loaded performances, and per-game stats computed from them on demand
+let performances = [];
+let performanceDb = null;
+let gameStatsCache = null;
+
+// Callbacks to run whenever the log changes
+const performanceChangeCallbacks = [];
+
+// DOM elements (show log page)
+let performanceForm;
+let performanceGamesList;
+let performanceList;
+let editingPerformance = null;
+
+/**
+ * Open (and on first use create) the performance database
+ */
+function openPerformanceDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(PERFORMANCE_DB_NAME, PERFORMANCE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(PERFORMANCE_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one request against the performance store and wait for it to commit
+ */
+function runPerformanceTransaction(mode, action) {
+    return new Promise((resolve, reject) => {
+        const transaction = performanceDb.transaction(PERFORMANCE_STORE, mode);
+        const request = action(transaction.objectStore(PERFORMANCE_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Read performances from the localStorage fallback
+ */
+function readFallbackPerformances() {
+    try {
+        const value = JSON.parse(localStorage.getItem(PERFORMANCE_FALLBACK_KEY));
+        return Array.isArray(value) ? value : [];
+    } catch (error) {
+        console.error('Error reading performances:', error);
+        return [];
+    }
+}
+
+/**
+ * Load the performance log. Call once before reading stats.
+ */
+async function loadPerformances() {
+    try {
+        if (!performanceDb && window.indexedDB) {
+            performanceDb = await openPerformanceDb();
+        }
+        performances = performanceDb ?
+            await runPerformanceTransaction('readonly', store => store.getAll()) :
+            readFallbackPerformances();
+    } catch (error) {
+        console.error('Error opening performance history, using local storage:', error);
+        performanceDb = null;
+        performances = readFallbackPerformances();
+    }
+    gameStatsCache = null;
+    return getPerformances();
+}
+
+/**
+ * Register a callback for changes to the log
+ */
+function onPerformancesChanged(callback) {
+    performanceChangeCallbacks.push(callback);
+}
+
+/**
+ * Forget cached stats, write the fallback copy if needed and notify listeners
+ */
+function performancesChanged() {
+    gameStatsCache = null;
+    if (!performanceDb) {
+        localStorage.setItem(PERFORMANCE_FALLBACK_KEY, JSON.stringify(performances));
+    }
+    performanceChangeCallbacks.forEach(callback => callback());
+}
+
+/**
+ * Get all performances, newest first
+ */
+function getPerformances() {
+    return [...performances].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Check a performance and bring it into the stored shape. Throws on invalid data.
+ */
+function normalizePerformance(performance) {
+    if (!performance || !/^\d{4}-\d{2}-\d{2}$/.test(performance.date)) {
+        throw new Error('A performance needs a date (YYYY-MM-DD).');
+    }
+    if (!Array.isArray(performance.games)) {
+        throw new Error('A performance needs a list of games.');
+    }
+
+    return {
+        id: performance.id || `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        date: performance.date,
+        venue: String(performance.venue || '').trim(),
+        cast: (performance.cast || []).map(name => String(name).trim()).filter(Boolean),
+        games: performance.games.filter(entry => entry && entry.gameId).map(entry => {
+            const rating = parseInt(entry.rating, 10);
+            return {
+                gameId: String(entry.gameId),
+                rating: rating >= 1 && rating <= MAX_RATING ? rating : null,
+                notes: String(entry.notes || '').trim()
+            };
+        }),
+        notes: String(performance.notes || '').trim()
+    };
+}
+
+/**
+ * Add or update a performance. Returns the saved performance.
+ */
+async function savePerformance(performance) {
+    const saved = normalizePerformance(performance);
+    performances = [...performances.filter(existing => existing.id !== saved.id), saved];
+
+    if (performanceDb) {
+        await runPerformanceTransaction('readwrite', store => store.put(saved));
+    }
+    performancesChanged();
+    return saved;
+}
+
+/**
+ * Delete a performance
+ */
+async function deletePerformance(performanceId) {
+    performances = performances.filter(performance => performance.id !== performanceId);
+
+    if (performanceDb) {
+        await runPerformanceTransaction('readwrite', store => store.delete(performanceId));
+    }
+    performancesChanged();
+}
+
+/**
+ * Get how often and how recently a game was played, and how it went.
+ * Returns { timesPlayed, lastPlayed (YYYY-MM-DD or null), averageRating (or null), plays }
+ * where plays lists { performance, rating, notes }, newest first.
+ */
+function getGameStats(gameId) {
+    if (!gameStatsCache) {
+        gameStatsCache = new Map();
+        getPerformances().forEach(performance => {
+            performance.games.forEach(entry => {
+                if (!gameStatsCache.has(entry.gameId)) gameStatsCache.set(entry.gameId, []);
+                gameStatsCache.get(entry.gameId).push({ performance, rating: entry.rating, notes: entry.notes });
+            });
+        });
+    }
+
+    const plays = gameStatsCache.get(gameId) || [];
+    const ratings = plays.map(play => play.rating).filter(rating => rating !== null);
+    return {
+        timesPlayed: plays.length,
+        lastPlayed: plays.length > 0 ? plays[0].performance.date : null,
+        averageRating: ratings.length > 0 ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null,
+        plays
+    };
+}
+
+/**
+ * Get a YYYY-MM-DD date a number of days before now
+ */
+function getDateDaysAgo(days, now = new Date()) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - days);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Keep games not played in the last number of days ('never' for games never played)
+ */
+function filterByLastPlayed(games, notPlayedIn, now = new Date()) {
+    if (!notPlayedIn) return games;
+    if (notPlayedIn === 'never') {
+        return games.filter(game => getGameStats(game.id).timesPlayed === 0);
+    }
+
+    const cutoff = getDateDaysAgo(parseInt(notPlayedIn, 10), now);
+    return games.filter(game => {
+        const { lastPlayed } = getGameStats(game.id);
+        return !lastPlayed || lastPlayed < cutoff;
+    });
+}
+
+/**
+ * Sort games by their stats. Ties keep their existing (relevance) order.
+ */
+function sortGamesByStats(games, sortOrder) {
+    const compare = {
+        'most-played': (a, b) => b.timesPlayed - a.timesPlayed,
+        'least-played': (a, b) => a.timesPlayed - b.timesPlayed,
+        'recently-played': (a, b) => (b.lastPlayed || '').localeCompare(a.lastPlayed || ''),
+        'longest-ago': (a, b) => (a.lastPlayed || '').localeCompare(b.lastPlayed || ''),
+        'top-rated': (a, b) => (b.averageRating || 0) - (a.averageRating || 0)
+    }[sortOrder];
+    if (!compare) return games;
+
+    return games
+        .map(game => ({ game, stats: getGameStats(game.id) }))
+        .sort((a, b) => compare(a.stats, b.stats))
+        .map(({ game }) => game);
+}
+
+/**
+ * Format a YYYY-MM-DD date for display
+ */
+function formatPerformanceDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * One-line summary of a game's stats for cards ("Played 3× · last 12 Sep 2026"), or '' if never played
+ */
+function formatGameStats(gameId) {
+    const { timesPlayed, lastPlayed } = getGameStats(gameId);
+    if (timesPlayed === 0) return '';
+    return `Played ${timesPlayed}× · last ${formatPerformanceDate(lastPlayed)}`;
+}
+
+/**
+ * Format a rating as stars
+ */
+function formatRating(rating) {
+    return rating ? `${'★'.repeat(Math.round(rating))}${'☆'.repeat(MAX_RATING - Math.round(rating))}` : '';
+}
+
+/**
+ * Serialize the log for backup or sharing
+ */
+function exportPerformances() {
+    return JSON.stringify({
+        version: PERFORMANCE_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        performances: getPerformances()
+    }, null, 2);
+}
+
+/**
+ * Import performances from exported JSON. Performances already in the log are skipped.
+ * Returns the number added.
+ */
+async function importPerformances(json) {
+    const data = JSON.parse(json);
+    if (!data || !Array.isArray(data.performances)) {
+        throw new Error('This file does not contain any performances.');
+    }
+
+    const existingIds = new Set(performances.map(performance => performance.id));
+    const incoming = data.performances
+        .filter(performance => !performance || !existingIds.has(performance.id))
+        .map(normalizePerformance);
+
+    for (const performance of incoming) {
+        await savePerformance(performance);
+    }
+    return incoming.length;
+}
+
+/**
+ * Create the "Our History" section for the game details page
+ */
+function createGameHistorySection(game) {
+    const { html, setHtml } = window.Render;
+    const stats = getGameStats(game.id);
+
+    const section = document.createElement('div');
+    section.className = 'game-section performance-history';
+    setHtml(section, html`
+        <h3>Our History</h3>
+        ${stats.timesPlayed === 0 ? html`
+        <p class="text-secondary">We haven't logged this game yet. <a href="performances.html">Log a show</a></p>
+        ` : html`
+        <p>
+            Played ${stats.timesPlayed} time${stats.timesPlayed === 1 ? '' : 's'}, last on ${formatPerformanceDate(stats.lastPlayed)}
+            ${stats.averageRating !== null ? html` · average rating <span class="performance-rating" aria-label="${stats.averageRating.toFixed(1)} out of ${MAX_RATING}">${formatRating(stats.averageRating)}</span> (${stats.averageRating.toFixed(1)})` : ''}
+        </p>
+        <ul class="list-unstyled performance-plays">
+            ${stats.plays.map(play => html`
+            <li>
+                <strong>${formatPerformanceDate(play.performance.date)}</strong>${play.performance.venue ? html` at ${play.performance.venue}` : ''}
+                ${play.rating ? html`<span class="performance-rating" aria-label="${play.rating} out of ${MAX_RATING}">${formatRating(play.rating)}</span>` : ''}
+                ${play.notes ? html`<div class="text-secondary">${play.notes}</div>` : ''}
+            </li>
+            `)}
+        </ul>
+        `}
+    `);
+    return section;
+}
+
+/**
+ * Initialize the show log page
+ */
+async function initPerformancesPage() {
+    // Only run on the show log page
+    if (!document.getElementById('performanceContent')) return;
+
+    console.log('Initializing show log...');
+
+    try {
+        // Initialize theme
+        window.Theme.initTheme();
+
+        // Load game data first
+        const dataLoaded = await window.GameData.loadGamesData();
+        if (!dataLoaded) {
+            showPerformanceError('Failed to load game data. Please try refreshing the page.');
+            return;
+        }
+        await loadPerformances();
+
+        // Get DOM elements
+        performanceForm = document.getElementById('performanceForm');
+        performanceGamesList = document.getElementById('performanceGames');
+        performanceList = document.getElementById('performanceList');
+
+        // Offer every game by name when adding games
+        const gameOptions = document.getElementById('performanceGameOptions');
+        window.GameData.allGames.forEach(game => {
+            const option = document.createElement('option');
+            option.value = game.name;
+            gameOptions.appendChild(option);
+        });
+
+        // Set up event listeners
+        performanceForm.addEventListener('submit', handlePerformanceSubmit);
+        document.getElementById('addPerformanceGame').addEventListener('click', handleAddPerformanceGame);
+        document.getElementById('cancelPerformanceEdit').addEventListener('click', () => editPerformance(null));
+        performanceGamesList.addEventListener('click', handlePerformanceGameAction);
+        performanceList.addEventListener('click', handlePerformanceListAction);
+        document.getElementById('exportPerformances').addEventListener('click', () => {
+            window.Files.downloadFile('mut-performances.json', exportPerformances(), 'application/json');
+        });
+
+        const importInput = document.getElementById('importPerformancesFile');
+        document.getElementById('importPerformances').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            if (!file) return;
+            try {
+                const count = await importPerformances(await window.Files.readFileAsText(file));
+                alert(`Imported ${count} performance${count === 1 ? '' : 's'}.`);
+            } catch (error) {
+                console.error('Error importing performances:', error);
+                alert(`Could not import performances: ${error.message}`);
+            }
+            importInput.value = '';
+        });
+
+        onPerformancesChanged(renderPerformanceList);
+        editPerformance(null);
+        renderPerformanceList();
+    } catch (error) {
+        console.error('Error initializing show log:', error);
+        showPerformanceError('An error occurred while loading the show log.');
+    }
+}
+
+/**
+ * Fill the form with a performance to edit, or clear it for a new one
+ */
+function editPerformance(performance) {
+    editingPerformance = performance ?
+        { ...performance, games: performance.games.map(entry => ({ ...entry })) } :
+        { date: getDateDaysAgo(0), venue: '', cast: [], games: [], notes: '' };
+
+    performanceForm.elements.performanceDate.value = editingPerformance.date;
+    performanceForm.elements.performanceVenue.value = editingPerformance.venue;
+    performanceForm.elements.performanceCast.value = editingPerformance.cast.join(', ');
+    performanceForm.elements.performanceNotes.value = editingPerformance.notes;
+    document.getElementById('performanceFormTitle').textContent = performance ? 'Edit Show' : 'Log a Show';
+    document.getElementById('cancelPerformanceEdit').hidden = !performance;
+    renderPerformanceGames();
+}
+
+/**
+ * Copy the form's rating and notes fields back into the performance being edited
+ */
+function readPerformanceGames() {
+    performanceGamesList.querySelectorAll('[data-game-index]').forEach(item => {
+        const entry = editingPerformance.games[parseInt(item.dataset.gameIndex, 10)];
+        entry.rating = item.querySelector('select').value;
+        entry.notes = item.querySelector('input').value;
+    });
+}
+
+/**
+ * Render the games played in the performance being edited
+ */
+function renderPerformanceGames() {
+    const { html, setHtml } = window.Render;
+    const games = editingPerformance.games;
+
+    setHtml(performanceGamesList, games.length === 0 ? html`
+        <li class="list-group-item text-muted">No games added yet</li>
+    ` : html`${games.map((entry, index) => {
+        const game = window.GameData.getGameById(entry.gameId);
+        return html`
+        <li class="list-group-item performance-game" data-game-index="${index}">
+            <div class="performance-game-header">
+                <span><span class="lineup-position">${index + 1}.</span> ${game ? game.name : entry.gameId}</span>
+                <div class="lineup-item-actions">
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-game-action="up" aria-label="Move ${game ? game.name : entry.gameId} up" ${index === 0 ? html`disabled` : ''}>↑</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-game-action="down" aria-label="Move ${game ? game.name : entry.gameId} down" ${index === games.length - 1 ? html`disabled` : ''}>↓</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-game-action="remove" aria-label="Remove ${game ? game.name : entry.gameId}">✕</button>
+                </div>
+            </div>
+            <div class="performance-game-fields">
+                <select class="form-select form-select-sm" aria-label="How ${game ? game.name : entry.gameId} went">
+                    <option value="">Not rated</option>
+                    ${[5, 4, 3, 2, 1].map(rating => html`
+                    <option value="${rating}" ${String(entry.rating) === String(rating) ? html`selected` : ''}>${formatRating(rating)}</option>
+                    `)}
+                </select>
+                <input type="text" class="form-control form-control-sm" placeholder="Notes" aria-label="Notes on ${game ? game.name : entry.gameId}" value="${entry.notes || ''}">
+            </div>
+        </li>
+        `;
+    })}`);
+}
+
+/**
+ * Add the game named in the game input to the performance
+ */
+function handleAddPerformanceGame() {
+    const input = performanceForm.elements.performanceGameName;
+    const name = input.value.trim().toLowerCase();
+    const game = window.GameData.allGames.find(candidate =>
+        candidate.name.toLowerCase() === name || candidate.id === name
+    );
+    if (!game) {
+        input.setCustomValidity('Pick a game from the list');
+        input.reportValidity();
+        return;
+    }
+
+    input.setCustomValidity('');
+    readPerformanceGames();
+    editingPerformance.games.push({ gameId: game.id, rating: null, notes: '' });
+    input.value = '';
+    renderPerformanceGames();
+}
+
+/**
+ * Handle reorder and remove buttons on the performance's games
+ */
+function handlePerformanceGameAction(event) {
+    const button = event.target.closest('[data-game-action]');
+    if (!button) return;
+
+    readPerformanceGames();
+    const games = editingPerformance.games;
+    const index = parseInt(button.closest('[data-game-index]').dataset.gameIndex, 10);
+    const action = button.dataset.gameAction;
+
+    if (action === 'remove') {
+        games.splice(index, 1);
+    } else {
+        const target = index + (action === 'up' ? -1 : 1);
+        [games[index], games[target]] = [games[target], games[index]];
+    }
+    renderPerformanceGames();
+}
+
+/**
+ * Save the performance in the form
+ */
+async function handlePerformanceSubmit(event) {
+    event.preventDefault();
+    readPerformanceGames();
+
+    try {
+        await savePerformance({
+            ...editingPerformance,
+            date: performanceForm.elements.performanceDate.value,
+            venue: performanceForm.elements.performanceVenue.value,
+            cast: performanceForm.elements.performanceCast.value.split(','),
+            notes: performanceForm.elements.performanceNotes.value
+        });
+        editPerformance(null);
+    } catch (error) {
+        console.error('Error saving performance:', error);
+        alert(`Could not save the show: ${error.message}`);
+    }
+}
+
+/**
+ * Handle edit and delete buttons in the list of past shows
+ */
+async function handlePerformanceListAction(event) {
+    const button = event.target.closest('[data-performance-action]');
+    if (!button) return;
+
+    const performance = performances.find(candidate => candidate.id === button.dataset.performanceId);
+    if (!performance) return;
+
+    if (button.dataset.performanceAction === 'edit') {
+        editPerformance(performance);
+        performanceForm.scrollIntoView({ behavior: 'smooth' });
+    } else if (confirm(`Delete the show on ${formatPerformanceDate(performance.date)}?`)) {
+        await deletePerformance(performance.id);
+    }
+}
+
+/**
+ * Render the list of past shows
+ */
+function renderPerformanceList() {
+    if (!performanceList) return;
+
+    const { html, setHtml } = window.Render;
+    const shows = getPerformances();
+
+    setHtml(performanceList, shows.length === 0 ? html`
+        <li class="list-group-item text-muted">No shows logged yet</li>
+    ` : html`${shows.map(performance => html`
+        <li class="list-group-item performance-item">
+            <div class="performance-game-header">
+                <div>
+                    <strong>${formatPerformanceDate(performance.date)}</strong>${performance.venue ? html` · ${performance.venue}` : ''}
+                    ${performance.cast.length > 0 ? html`<div class="text-secondary small">Cast: ${performance.cast.join(', ')}</div>` : ''}
+                </div>
+                <div class="lineup-item-actions">
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-performance-action="edit" data-performance-id="${performance.id}">Edit</button>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" data-performance-action="delete" data-performance-id="${performance.id}">Delete</button>
+                </div>
+            </div>
+            <ol class="performance-item-games">
+                ${performance.games.map(entry => {
+                    const game = window.GameData.getGameById(entry.gameId);
+                    return html`
+                    <li>
+                        ${game ? html`<a href="${window.GameData.getGameUrl(game.id)}">${game.name}</a>` : entry.gameId}
+                        ${entry.rating ? html`<span class="performance-rating" aria-label="${entry.rating} out of ${MAX_RATING}">${formatRating(entry.rating)}</span>` : ''}
+                        ${entry.notes ? html`<span class="text-secondary"> ${entry.notes}</span>` : ''}
+                    </li>
+                    `;
+                })}
+            </ol>
+            ${performance.notes ? html`<p class="text-secondary mb-0">${performance.notes}</p>` : ''}
+        </li>
+    `)}`);
+}
+
+/**
+ * Show error on show log page
+ */
+function showPerformanceError(message) {
+    const content = document.getElementById('performanceContent');
+    if (!content) return;
+
+    window.Render.setHtml(content, window.Render.html`
+        <div class="alert alert-danger text-center" role="alert">
+            <h4 class="alert-heading">Error Loading Show Log</h4>
+            <p>${message}</p>
+        </div>
+    `);
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', initPerformancesPage);
+
+// Export functions for use in other modules
+window.Performances = {
+    loadPerformances,
+    onPerformancesChanged,
+    getPerformances,
+    savePerformance,
+    deletePerformance,
+    getGameStats,
+    filterByLastPlayed,
+    sortGamesByStats,
+    formatGameStats,
+    exportPerformances,
+    importPerformances,
+    createGameHistorySection
+};
@@ -0,0 +1,309 @@
+/**
+ * MUT Improv Games Random Picker
+ * "Surprise me" draws and the game wheel for the index page
+ */
+
+const PICKER_HISTORY_KEY = 'pickerHistory';
+const PICKER_SESSION_KEY = 'pickerSession';
+const PICKER_HISTORY_LIMIT = 200;
+const PICKER_RECENT_DAYS = 14;
+const PICKER_MIN_WEIGHT = 0.1;
+const WHEEL_SEGMENTS = 12;
+const WHEEL_SPIN_MS = 4000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The game most recently drawn
+let currentPick = null;
+
+// DOM elements
+let pickerCastInput;
+let pickerJamOnlyToggle;
+let pickerResult;
+
+/**
+ * Read a JSON list from storage
+ */
+function readPickerList(storage, key) {
+    try {
+        const value = JSON.parse(storage.getItem(key));
+        return Array.isArray(value) ? value : [];
+    } catch (error) {
+        console.error(`Error reading ${key}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Get past picks ([{ gameId, pickedAt }], oldest first)
+ */
+function getPickerHistory() {
+    return readPickerList(localStorage, PICKER_HISTORY_KEY);
+}
+
+/**
+ * Get the IDs of games already drawn this session
+ */
+function getDrawnGameIds() {
+    return readPickerList(sessionStorage, PICKER_SESSION_KEY);
+}
+
+/**
+ * Record a pick so it isn't drawn again this session and is less likely for a while after
+ */
+function recordPick(gameId, now = Date.now()) {
+    const history = [...getPickerHistory(), { gameId, pickedAt: now }].slice(-PICKER_HISTORY_LIMIT);
+    localStorage.setItem(PICKER_HISTORY_KEY, JSON.stringify(history));
+    sessionStorage.setItem(PICKER_SESSION_KEY, JSON.stringify([...getDrawnGameIds(), gameId]));
+}
+
+/**
+ * Let every game be drawn again this session
+ */
+function resetPickerSession() {
+    sessionStorage.removeItem(PICKER_SESSION_KEY);
+    currentPick = null;
+}
+
+/**
+ * Weight of a game in the draw: 1 if not picked in the last two weeks,
+ * less the more recently it was picked
+ */
+function getPickWeight(gameId, history, now = Date.now()) {
+    const lastPick = history.filter(entry => entry.gameId === gameId)
+        .reduce((latest, entry) => Math.max(latest, entry.pickedAt), -Infinity);
+    if (lastPick === -Infinity) return 1;
+
+    const days = (now - lastPick) / DAY_MS;
+    return Math.max(PICKER_MIN_WEIGHT, Math.min(1, days / PICKER_RECENT_DAYS));
+}
+
+/**
+ * Games that may be drawn: the given list, limited to the cast size and jam-friendly games
+ * when asked, without games already drawn this session
+ */
+function getPickerCandidates(games, { castSize = null, jamOnly = false, category = '' } = {}) {
+    const drawn = new Set(getDrawnGameIds());
+    const filters = { players: castSize, category, tags: jamOnly ? ['jam_friendly'] : [] };
+    return window.GameData.filterGames(games, filters).filter(game => !drawn.has(game.id));
+}
+
+/**
+ * Pick a game at random, favouring games not picked recently
+ */
+function pickWeightedGame(candidates, { random = Math.random, now = Date.now() } = {}) {
+    if (candidates.length === 0) return null;
+
+    const history = getPickerHistory();
+    const weights = candidates.map(game => getPickWeight(game.id, history, now));
+    let target = random() * weights.reduce((sum, weight) => sum + weight, 0);
+
+    for (let i = 0; i < candidates.length; i++) {
+        target -= weights[i];
+        if (target < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
+}
+
+/**
+ * Draw and record a game from the current game list. Returns null when nothing is left.
+ */
+function drawGame(options = {}, random = Math.random) {
+    const candidates = getPickerCandidates(window.GameData.filteredGames, options);
+    const game = pickWeightedGame(candidates, { random });
+    if (game) {
+        recordPick(game.id);
+        currentPick = game;
+    }
+    return game;
+}
+
+/**
+ * Initialize the picker panel on the index page
+ */
+function initPicker() {
+    pickerCastInput = document.getElementById('pickerCast');
+    pickerJamOnlyToggle = document.getElementById('pickerJamOnly');
+    pickerResult = document.getElementById('pickerResult');
+    if (!pickerResult) return;
+
+    document.getElementById('surpriseMe').addEventListener('click', () => handleDraw());
+    document.getElementById('spinWheel').addEventListener('click', () => handleDraw({ wheel: true }));
+    pickerResult.addEventListener('click', handlePickerAction);
+}
+
+/**
+ * Read the picker's constraints; the cast size falls back to the search filter's
+ */
+function readPickerOptions() {
+    const castSize = pickerCastInput ? parseInt(pickerCastInput.value, 10) : NaN;
+    return {
+        castSize: castSize > 0 ? castSize : window.GameSearch.getCurrentFilters().players,
+        jamOnly: pickerJamOnlyToggle ? pickerJamOnlyToggle.checked : false
+    };
+}
+
+/**
+ * Draw a game and show it, optionally on the wheel
+ */
+function handleDraw({ wheel = false, keepCategory = false } = {}) {
+    const options = readPickerOptions();
+    if (keepCategory && currentPick) {
+        options.category = currentPick.category;
+    }
+
+    // Remember the wheel's other segments before the pick leaves the candidate list
+    const candidates = getPickerCandidates(window.GameData.filteredGames, options);
+    const game = drawGame(options);
+    renderPick(game, options);
+
+    if (game && wheel) {
+        spinWheel(game, candidates);
+    }
+}
+
+/**
+ * Handle the buttons under a pick
+ */
+function handlePickerAction(event) {
+    const button = event.target.closest('[data-picker-action]');
+    if (!button) return;
+
+    switch (button.dataset.pickerAction) {
+        case 'reroll':
+            handleDraw();
+            break;
+        case 'reroll-category':
+            handleDraw({ keepCategory: true });
+            break;
+        case 'reset':
+            resetPickerSession();
+            renderPick(null, null);
+            break;
+    }
+}
+
+/**
+ * Show the drawn game (or why nothing could be drawn)
+ */
+function renderPick(game, options) {
+    const { html, setHtml } = window.Render;
+
+    if (!game) {
+        setHtml(pickerResult, options ? html`
+            <p class="picker-empty">
+                No games left to draw${options.category ? html` in ${options.category}` : ''}.
+                Every game matching the current filters has been drawn this session.
+            </p>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-picker-action="reset">Start over</button>
+        ` : html``);
+        return;
+    }
+
+    setHtml(pickerResult, html`
+        <div class="picker-pick">
+            <a class="picker-pick-name" href="${window.GameData.getGameUrl(game.id)}">${game.name}</a>
+            <span class="picker-pick-meta">${game.category} • ${window.GameData.formatPlayerCount(game.playerCount)} • ${window.GameData.formatDuration(game.durationMinutes)}</span>
+        </div>
+        <div class="picker-actions">
+            <button type="button" class="btn btn-sm btn-outline-primary" data-picker-action="reroll">Re-roll</button>
+            <button type="button" class="btn btn-sm btn-outline-primary" data-picker-action="reroll-category">Re-roll, keep ${game.category}</button>
+            <button type="button" class="btn btn-sm btn-outline-secondary" data-picker-action="reset">Start over</button>
+        </div>
+    `);
+}
+
+/**
+ * Choose the wheel's segments: the pick plus other candidates, in random order
+ */
+function buildWheelSegments(game, candidates, random = Math.random) {
+    const others = candidates.filter(candidate => candidate.id !== game.id);
+    const segments = [game];
+    while (segments.length < WHEEL_SEGMENTS && others.length > 0) {
+        segments.push(others.splice(Math.floor(random() * others.length), 1)[0]);
+    }
+    for (let i = segments.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [segments[i], segments[j]] = [segments[j], segments[i]];
+    }
+    return segments;
+}
+
+/**
+ * Degrees to turn the wheel so the pick's segment stops under the pointer at the top
+ */
+function getWheelRotation(segmentCount, pickIndex, turns = 5) {
+    const segmentAngle = 360 / segmentCount;
+    return turns * 360 - (pickIndex + 0.5) * segmentAngle;
+}
+
+/**
+ * Show the wheel spinning onto the drawn game
+ */
+function spinWheel(game, candidates) {
+    const { html, setHtml } = window.Render;
+    const segments = buildWheelSegments(game, candidates);
+    const segmentAngle = 360 / segments.length;
+    const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'picker-wheel-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Game wheel');
+    setHtml(overlay, html`
+        <div class="picker-wheel-stage">
+            <div class="picker-wheel-pointer" aria-hidden="true"></div>
+            <div class="picker-wheel" aria-hidden="true">
+                ${segments.map((segment, index) => html`
+                <span class="picker-wheel-label" data-segment="${index}">${segment.name}</span>
+                `)}
+            </div>
+        </div>
+        <p class="picker-wheel-result" aria-live="polite"></p>
+        <button type="button" class="btn btn-light" data-wheel-action="close">Close</button>
+    `);
+
+    const wheel = overlay.querySelector('.picker-wheel');
+    wheel.style.background = `conic-gradient(${segments.map((segment, index) =>
+        `hsl(${Math.round(index * 360 / segments.length)}, 70%, 60%) ${index * segmentAngle}deg ${(index + 1) * segmentAngle}deg`
+    ).join(', ')})`;
+    overlay.querySelectorAll('.picker-wheel-label').forEach((label, index) => {
+        label.style.transform = `rotate(${(index + 0.5) * segmentAngle - 90}deg) translateY(-50%)`;
+    });
+
+    const close = () => overlay.remove();
+    overlay.addEventListener('click', (event) => {
+        if (event.target === overlay || event.target.closest('[data-wheel-action="close"]')) close();
+    });
+    overlay.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') close();
+    });
+    document.body.appendChild(overlay);
+    overlay.querySelector('[data-wheel-action="close"]').focus();
+
+    const duration = reduceMotion ? 0 : WHEEL_SPIN_MS;
+    wheel.style.transition = `transform ${duration}ms cubic-bezier(0.2, 0.8, 0.2, 1)`;
+
+    // Start the transition on the next frame so the browser animates from 0deg
+    setTimeout(() => {
+        wheel.style.transform = `rotate(${getWheelRotation(segments.length, segments.indexOf(game))}deg)`;
+    }, 50);
+    setTimeout(() => {
+        overlay.querySelector('.picker-wheel-result').textContent = game.name;
+    }, duration + 50);
+}
+
+// Export functions for use in other modules
+window.GamePicker = {
+    initPicker,
+    getPickerHistory,
+    getDrawnGameIds,
+    recordPick,
+    resetPickerSession,
+    getPickWeight,
+    getPickerCandidates,
+    pickWeightedGame,
+    drawGame,
+    buildWheelSegments,
+    getWheelRotation
+};
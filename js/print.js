@@ -0,0 +1,211 @@
+/**
+ * MUT Improv Games Print Sheets
+ * Lays out games as printable cheat sheets: one card per page or dense index cards
+ */
+
+const PRINT_LAYOUTS = {
+    page: 'One card per page',
+    cards: 'Index cards'
+};
+const DEFAULT_PRINT_LAYOUT = 'cards';
+const MAX_PRINT_TIPS = 3;
+
+// DOM elements (print page)
+let printSheets;
+let printLayoutSelect;
+let printTipsCheckbox;
+
+/**
+ * Build the print page URL for a list of games
+ */
+function getPrintUrl(gameIds, options = {}) {
+    const params = new URLSearchParams();
+    params.set('ids', gameIds.join(','));
+    if (options.layout) params.set('layout', options.layout);
+    if (options.title) params.set('title', options.title);
+    return `print.html?${params.toString()}`;
+}
+
+/**
+ * Create a link that opens games as cheat sheets
+ */
+function createPrintLink(gameIds, options = {}, className = 'btn btn-outline-secondary') {
+    const link = document.createElement('a');
+    link.className = className;
+    link.href = getPrintUrl(gameIds, options);
+    link.textContent = '🖨 Print cheat sheet';
+    return link;
+}
+
+/**
+ * Read the games, layout and title to print from a query string
+ */
+function parsePrintParams(search) {
+    const params = new URLSearchParams(search);
+    const games = (params.get('ids') || '').split(',')
+        .map(id => window.GameData.getGameById(id.trim()))
+        .filter(Boolean);
+    const layout = PRINT_LAYOUTS[params.get('layout')] ? params.get('layout') : DEFAULT_PRINT_LAYOUT;
+
+    return { games, layout, title: params.get('title') || '' };
+}
+
+/**
+ * Pick the tips worth a place on a card: general tips first, then the first tip for each role
+ */
+function getKeyTips(game, limit = MAX_PRINT_TIPS) {
+    const tips = game.tips || [];
+    return [
+        ...tips.filter(tip => typeof tip === 'string'),
+        ...tips.filter(tip => tip && tip.role && tip.tips && tip.tips.length > 0)
+            .map(tip => `${tip.role}: ${tip.tips[0]}`)
+    ].slice(0, limit);
+}
+
+/**
+ * Create a QR code for a video link, or print the link as text when it is too long to encode
+ */
+function createLinkQr(link) {
+    const { html } = window.Render;
+    try {
+        return html`
+            <figure class="print-qr">
+                ${window.QRCode.createQrSvg(link, `QR code for ${link}`)}
+                <figcaption>${link}</figcaption>
+            </figure>
+        `;
+    } catch (error) {
+        return html`<p class="print-link">${link}</p>`;
+    }
+}
+
+/**
+ * Create the markup for one game's cheat sheet card
+ */
+function createPrintCard(game, options = {}) {
+    const { html } = window.Render;
+    const includeTips = options.includeTips !== false;
+    const tips = includeTips ? getKeyTips(game) : [];
+    const suggestions = (game.setup && game.setup.suggestions) || [];
+
+    return html`
+        <article class="print-card">
+            <h2 class="print-card-title">${game.name}</h2>
+            <p class="print-card-meta">
+                ${window.GameData.formatPlayerCount(game.playerCount)} · ${window.GameData.formatDuration(game.durationMinutes)} · ${game.category}
+            </p>
+            ${game.setup && game.setup.description ? html`<p class="print-card-setup">${game.setup.description}</p>` : ''}
+            ${suggestions.length > 0 ? html`<p class="print-card-suggestions"><strong>Ask for:</strong> ${suggestions.join(', ')}</p>` : ''}
+            ${game.rules && game.rules.length > 0 ? html`
+            <h3>Rules</h3>
+            <ol class="print-card-rules">
+                ${game.rules.map(rule => html`<li>${rule}</li>`)}
+            </ol>
+            ` : ''}
+            ${tips.length > 0 ? html`
+            <h3>Tips</h3>
+            <ul class="print-card-tips">
+                ${tips.map(tip => html`<li>${tip}</li>`)}
+            </ul>
+            ` : ''}
+            ${game.videoLinks && game.videoLinks.length > 0 ? html`
+            <div class="print-card-links">
+                ${game.videoLinks.map(link => createLinkQr(link))}
+            </div>
+            ` : ''}
+        </article>
+    `;
+}
+
+/**
+ * Render games as cheat sheets into a container
+ */
+function renderPrintSheets(container, games, options = {}) {
+    const { html, setHtml } = window.Render;
+    const layout = PRINT_LAYOUTS[options.layout] ? options.layout : DEFAULT_PRINT_LAYOUT;
+
+    container.className = `print-sheets print-layout-${layout}`;
+    setHtml(container, games.length === 0 ?
+        html`<p class="text-muted text-center">No games to print. Choose games from the list, a lineup or a game page.</p>` :
+        html`${games.map(game => createPrintCard(game, options))}`);
+}
+
+/**
+ * Initialize the print page
+ */
+async function initPrintPage() {
+    // Only run on the print page
+    if (!document.getElementById('printContent')) return;
+
+    console.log('Initializing print sheets...');
+
+    try {
+        // Initialize theme
+        window.Theme.initTheme();
+
+        // Load game data first
+        const dataLoaded = await window.GameData.loadGamesData();
+        if (!dataLoaded) {
+            showPrintError('Failed to load game data. Please try refreshing the page.');
+            return;
+        }
+
+        // Get DOM elements
+        printSheets = document.getElementById('printSheets');
+        printLayoutSelect = document.getElementById('printLayout');
+        printTipsCheckbox = document.getElementById('printTips');
+
+        const { games, layout, title } = parsePrintParams(window.location.search);
+        printLayoutSelect.value = layout;
+        if (title) {
+            document.getElementById('printTitle').textContent = title;
+            document.title = `${title} - MUT Improv Games`;
+        }
+        document.getElementById('printSummary').textContent =
+            `${games.length} game${games.length === 1 ? '' : 's'}`;
+
+        // Set up event listeners
+        const render = () => renderPrintSheets(printSheets, games, {
+            layout: printLayoutSelect.value,
+            includeTips: printTipsCheckbox.checked
+        });
+        printLayoutSelect.addEventListener('change', render);
+        printTipsCheckbox.addEventListener('change', render);
+        document.getElementById('printNow').addEventListener('click', () => window.print());
+
+        render();
+    } catch (error) {
+        console.error('Error initializing print sheets:', error);
+        showPrintError('An error occurred while preparing the cheat sheets.');
+    }
+}
+
+/**
+ * Show error on print page
+ */
+function showPrintError(message) {
+    const content = document.getElementById('printContent');
+    if (!content) return;
+
+    window.Render.setHtml(content, window.Render.html`
+        <div class="alert alert-danger text-center" role="alert">
+            <h4 class="alert-heading">Error Loading Cheat Sheets</h4>
+            <p>${message}</p>
+        </div>
+    `);
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', initPrintPage);
+
+// Export functions for use in other modules
+window.PrintSheets = {
+    PRINT_LAYOUTS,
+    getPrintUrl,
+    createPrintLink,
+    parsePrintParams,
+    createLinkQr,
+    getKeyTips,
+    createPrintCard,
+    renderPrintSheets
+};
@@ -0,0 +1,374 @@
+/**
+ * MUT Improv Games QR Codes
+ * A small QR code encoder (byte mode, medium error correction, versions 1-10) for printed links
+ */
+
+const QR_MAX_VERSION = 10;
+const QR_QUIET_ZONE = 4;
+
+// Error correction level M, per version 1-10
+const QR_ECC_CODEWORDS_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const QR_BLOCK_COUNT = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const QR_TOTAL_CODEWORDS = [26, 44, 70, 100, 134, 172, 196, 242, 292, 346];
+const QR_ALIGNMENT_POSITIONS = [
+    [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+const QR_FORMAT_ECC_BITS = 0; // Level M
+
+// The eight mask patterns, by column x and row y
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+/**
+ * Encode text as UTF-8 bytes
+ */
+function toUtf8Bytes(text) {
+    const bytes = [];
+    const encoded = encodeURIComponent(text);
+    for (let i = 0; i < encoded.length; i++) {
+        if (encoded[i] === '%') {
+            bytes.push(parseInt(encoded.substr(i + 1, 2), 16));
+            i += 2;
+        } else {
+            bytes.push(encoded.charCodeAt(i));
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Multiply two numbers in GF(256) with the QR polynomial 0x11D
+ */
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Reed-Solomon error correction codewords for a block of data
+ */
+function getErrorCorrection(data, degree) {
+    // Generator polynomial (x - 2^0)(x - 2^1)...(x - 2^(degree-1)), leading term dropped
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            divisor[j] = gfMultiply(divisor[j], root);
+            if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+
+    const remainder = new Array(degree).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        divisor.forEach((coefficient, i) => { remainder[i] ^= gfMultiply(coefficient, factor); });
+    });
+    return remainder;
+}
+
+/**
+ * Number of data codewords a version holds
+ */
+function getDataCodewords(version) {
+    return QR_TOTAL_CODEWORDS[version - 1] - QR_ECC_CODEWORDS_PER_BLOCK[version - 1] * QR_BLOCK_COUNT[version - 1];
+}
+
+/**
+ * Build the data codewords: mode, length, bytes, terminator and padding
+ */
+function buildDataCodewords(bytes, version) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    const capacity = getDataCodewords(version) * 8;
+    append(0b0100, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+/**
+ * Split data into blocks, add error correction and interleave the result
+ */
+function addErrorCorrection(data, version) {
+    const blockCount = QR_BLOCK_COUNT[version - 1];
+    const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version - 1];
+    const total = QR_TOTAL_CODEWORDS[version - 1];
+    const shortBlockLength = Math.floor(total / blockCount);
+    const shortBlocks = blockCount - total % blockCount;
+
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blockCount; i++) {
+        const dataLength = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+        const blockData = data.slice(offset, offset + dataLength);
+        offset += dataLength;
+        blocks.push({ data: blockData, ecc: getErrorCorrection(blockData, eccLength) });
+    }
+
+    const result = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]); });
+    }
+    for (let i = 0; i < eccLength; i++) {
+        blocks.forEach(block => result.push(block.ecc[i]));
+    }
+    return result;
+}
+
+/**
+ * Create an empty grid with the finder, timing and alignment patterns drawn in
+ */
+function createQrGrid(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    // Alignment patterns, except where they would cover a finder
+    const positions = QR_ALIGNMENT_POSITIONS[version - 1];
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            const last = positions.length - 1;
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Reserve the format areas (drawn once the mask is chosen) and the dark module
+    for (let i = 0; i < 9; i++) {
+        reserved[8][i] = reserved[i][8] = true;
+        if (i < 8) reserved[8][size - 1 - i] = reserved[size - 1 - i][8] = true;
+    }
+    set(8, size - 8, true);
+
+    // Version information
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    return { size, modules, reserved };
+}
+
+/**
+ * Place the codewords in the zigzag pattern, skipping reserved modules
+ */
+function placeCodewords(grid, codewords) {
+    const { size, modules, reserved } = grid;
+    let bit = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!reserved[y][x] && bit < codewords.length * 8) {
+                    modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+                    bit++;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Draw the format information (error correction level and mask) in both places
+ */
+function drawFormatBits(grid, mask) {
+    const { size, modules } = grid;
+    const data = (QR_FORMAT_ECC_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bitAt = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) modules[i][8] = bitAt(i);
+    modules[7][8] = bitAt(6);
+    modules[8][8] = bitAt(7);
+    modules[8][7] = bitAt(8);
+    for (let i = 9; i < 15; i++) modules[8][14 - i] = bitAt(i);
+
+    for (let i = 0; i < 8; i++) modules[8][size - 1 - i] = bitAt(i);
+    for (let i = 8; i < 15; i++) modules[size - 15 + i][8] = bitAt(i);
+}
+
+/**
+ * Apply a mask to every data module
+ */
+function applyMask(grid, mask) {
+    const { size, modules, reserved } = grid;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!reserved[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+/**
+ * Score a finished symbol: lower scores are easier to scan
+ */
+function getMaskPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i]);
+        lines.push(modules.map(row => row[i]));
+    }
+
+    lines.forEach(line => {
+        // Runs of five or more modules of one colour
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) penalty += run - 2;
+                run = 1;
+            }
+        }
+
+        // Patterns that look like a finder
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        penalty += 40 * ((text.match(/(?=10111010000)/g) || []).length + (text.match(/(?=00001011101)/g) || []).length);
+    });
+
+    // 2x2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const dark = modules[y][x];
+            if (modules[y][x + 1] === dark && modules[y + 1][x] === dark && modules[y + 1][x + 1] === dark) penalty += 3;
+        }
+    }
+
+    // Balance of dark and light modules
+    const darkCount = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+    penalty += 10 * Math.floor(Math.abs(darkCount * 20 - size * size * 10) / (size * size));
+
+    return penalty;
+}
+
+/**
+ * Encode text as a QR code. Returns the grid of modules (true is dark).
+ * Pass a mask (0-7) to skip choosing the best one.
+ */
+function encodeQr(text, mask = null) {
+    const bytes = toUtf8Bytes(text);
+    let version = 1;
+    while (version <= QR_MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > getDataCodewords(version) * 8) {
+        version++;
+    }
+    if (version > QR_MAX_VERSION) {
+        throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    const codewords = addErrorCorrection(buildDataCodewords(bytes, version), version);
+    const build = (candidate) => {
+        const grid = createQrGrid(version);
+        placeCodewords(grid, codewords);
+        applyMask(grid, candidate);
+        drawFormatBits(grid, candidate);
+        return grid.modules;
+    };
+
+    if (mask !== null) return build(mask);
+
+    let best = null;
+    let bestPenalty = Infinity;
+    QR_MASKS.forEach((pattern, candidate) => {
+        const modules = build(candidate);
+        const penalty = getMaskPenalty(modules);
+        if (penalty < bestPenalty) {
+            best = modules;
+            bestPenalty = penalty;
+        }
+    });
+    return best;
+}
+
+/**
+ * Create an SVG QR code for text, as Render.html markup
+ */
+function createQrSvg(text, label = text) {
+    const modules = encodeQr(text);
+    const size = modules.length + QR_QUIET_ZONE * 2;
+    let path = '';
+    modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path += `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z`;
+        });
+    });
+
+    return window.Render.html`<svg class="qr-code" viewBox="0 0 ${size} ${size}" role="img" aria-label="${label}" shape-rendering="crispEdges" xmlns="http://www.w3.org/2000/svg"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+// Export functions for use in other modules
+window.QRCode = {
+    encodeQr,
+    createQrSvg
+};
@@ -0,0 +1,182 @@
+/**
+ * MUT Improv Games Query Parser
+ * Turns a search box query such as
+ *   tag:jam_friendly players:4 minutes:5-10 difficulty:beginner category:"Scene Games" -musical
+ * into free text plus the filter object used by GameData.filterGames.
+ * A leading "-" negates a term or a tag:, category:, difficulty: or audience: field.
+ */
+
+const QUERY_TOKEN_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+/**
+ * Resolve a category typed in a query ("scene", "scene games") to its full name
+ */
+function resolveCategory(value, categories) {
+    const wanted = value.trim().toLowerCase();
+    return categories.find(category => {
+        const name = category.toLowerCase();
+        return name === wanted || name.replace(/ games$/, '') === wanted;
+    }) || value;
+}
+
+/**
+ * Parse a yes/no style value
+ */
+function parseBooleanValue(value) {
+    const normalized = value.toLowerCase();
+    if (['yes', 'true', 'y', '1'].includes(normalized)) return true;
+    if (['no', 'false', 'n', '0'].includes(normalized)) return false;
+    return null;
+}
+
+/**
+ * Apply one field:value token to the filters, excluding what it matches when negated.
+ * Negated player counts and lengths have no opposite, so they are ignored.
+ * Returns false if the field is not recognised.
+ */
+function applyQueryField(filters, field, value, categories, negated = false) {
+    switch (field) {
+        case 'tag':
+        case 'tags': {
+            const tag = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+            (negated ? filters.excludeTags : filters.tags).push(tag);
+            return true;
+        }
+
+        case 'players':
+        case 'player': {
+            if (negated) return true;
+            const range = value.match(/^(\d+)\s*-\s*(\d+)$/);
+            if (range) {
+                filters.minPlayers = parseInt(range[1], 10);
+                filters.maxPlayers = parseInt(range[2], 10);
+                return true;
+            }
+            const players = parseInt(value, 10);
+            if (players > 0) {
+                filters.players = players;
+                return true;
+            }
+            return false;
+        }
+
+        case 'minutes':
+        case 'duration':
+        case 'length': {
+            if (negated) return true;
+            // "5-10" overlaps that range, "10" fits a 10 minute slot, "-8" and "12-" are open-ended
+            const range = value.match(/^(\d*)\s*-\s*(\d*)$/);
+            const minutes = parseInt(value, 10);
+            if (range && (range[1] || range[2])) {
+                filters.minMinutes = parseInt(range[1], 10) || null;
+                filters.maxMinutes = parseInt(range[2], 10) || null;
+                return true;
+            }
+            if (minutes > 0) {
+                filters.minMinutes = minutes;
+                filters.maxMinutes = minutes;
+                return true;
+            }
+            return false;
+        }
+
+        case 'optimal':
+            if (negated) return true;
+            filters.players = parseInt(value, 10) || filters.players;
+            filters.optimalOnly = true;
+            return true;
+
+        case 'difficulty':
+        case 'level': {
+            const difficulty = DIFFICULTY_LEVELS.find(level => level.startsWith(value.toLowerCase()));
+            if (!difficulty) return false;
+            if (negated) {
+                filters.excludeDifficulties.push(difficulty);
+            } else {
+                filters.difficulty = difficulty;
+            }
+            return true;
+        }
+
+        case 'category':
+        case 'cat': {
+            const category = resolveCategory(value, categories);
+            if (negated) {
+                filters.excludeCategories.push(category);
+            } else {
+                filters.category = category;
+            }
+            return true;
+        }
+
+        case 'audience': {
+            const audience = parseBooleanValue(value);
+            if (audience === null) return false;
+            filters.audienceParticipation = negated ? !audience : audience;
+            return true;
+        }
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Parse a query string into free text and filters
+ */
+function parseQuery(query, options = {}) {
+    const categories = options.categories || [];
+    const filters = { tags: [], exclude: [], excludeTags: [], excludeCategories: [], excludeDifficulties: [] };
+    const textParts = [];
+
+    if (!query) {
+        return { text: '', filters };
+    }
+
+    QUERY_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = QUERY_TOKEN_PATTERN.exec(query)) !== null) {
+        const [token, negated, field, quoted, bare] = match;
+        const value = quoted !== undefined ? quoted : bare;
+        if (!token.trim()) continue;
+
+        if (field && value && applyQueryField(filters, field.toLowerCase(), value, categories, Boolean(negated))) {
+            continue;
+        }
+
+        // Unrecognised fields are searched as plain text
+        const text = field ? `${field} ${value || ''}` : value;
+        if (!text) continue;
+        if (negated) {
+            filters.exclude.push(text);
+        } else {
+            textParts.push(text);
+        }
+    }
+
+    return { text: textParts.join(' ').trim(), filters };
+}
+
+/**
+ * Combine filters from the filter controls with filters typed into the query.
+ * Values typed into the query win; tags and exclusions are combined.
+ */
+function mergeFilters(controlFilters, queryFilters) {
+    const merged = { ...controlFilters };
+    Object.keys(queryFilters).forEach(key => {
+        const value = queryFilters[key];
+        if (Array.isArray(value)) {
+            merged[key] = [...new Set([...(controlFilters[key] || []), ...value])];
+        } else if (value !== undefined && value !== null && value !== '') {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
+
+// Export functions for use in other modules
+window.QueryParser = {
+    parseQuery,
+    mergeFilters
+};
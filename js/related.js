@@ -0,0 +1,216 @@
+/**
+ * MUT Improv Games Related Games
+ * Finds games like the one being read: declared variants and prerequisites first,
+ * then games that share a category, tags, player counts and wording
+ */
+
+const MAX_RELATED_GAMES = 6;
+const MIN_SIMILARITY = 0.3;
+
+// How much each kind of likeness counts towards a similarity of 1
+const SIMILARITY_WEIGHTS = {
+    category: 0.25,
+    tags: 0.15,
+    players: 0.2,
+    text: 0.4
+};
+
+// How a related game is labelled, from the point of view of the game being read
+const RELATION_LABELS = {
+    variant: 'Variant',
+    prerequisite: 'Learn this first',
+    builds_on: 'Builds on this'
+};
+
+// Words too common in setups and rules to say anything about a game
+const SIMILARITY_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into', 'is', 'it',
+    'its', 'of', 'on', 'or', 'that', 'the', 'their', 'them', 'then', 'they', 'this', 'to', 'was', 'when',
+    'where', 'which', 'who', 'will', 'with'
+]);
+
+// Term vectors per games list, rebuilt when the list is reloaded
+const textVectorCache = new WeakMap();
+
+/**
+ * Get the games a game is declared to be related to, in both directions:
+ * [{ game, relation }] where relation is a RELATION_LABELS key
+ */
+function getDeclaredRelations(game, games = window.GameData.allGames) {
+    const relations = [];
+    const add = (other, relation) => {
+        if (other && other !== game && !relations.some(existing => existing.game === other)) {
+            relations.push({ game: other, relation });
+        }
+    };
+
+    (game.related || []).forEach(related => {
+        add(games.find(other => other.id === related.id), related.relation);
+    });
+
+    // Games that point back at this one
+    games.forEach(other => {
+        (other.related || []).forEach(related => {
+            if (related.id === game.id) {
+                add(other, related.relation === 'prerequisite' ? 'builds_on' : related.relation);
+            }
+        });
+    });
+
+    return relations;
+}
+
+/**
+ * Count the meaningful words in a game's setup and rules
+ */
+function getGameTerms(game) {
+    const text = [(game.setup && game.setup.description) || '', ...(game.rules || [])].join(' ');
+    const counts = new Map();
+    window.SearchIndex.tokenize(text)
+        .filter(term => term.length > 1 && !SIMILARITY_STOP_WORDS.has(term))
+        .forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+}
+
+/**
+ * Build unit-length TF-IDF vectors for every game, so words most games share count for little
+ */
+function getTextVectors(games) {
+    if (textVectorCache.has(games)) return textVectorCache.get(games);
+
+    const termCounts = games.map(getGameTerms);
+    const documentFrequency = new Map();
+    termCounts.forEach(counts => {
+        counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    const vectors = new Map();
+    games.forEach((game, index) => {
+        const vector = new Map();
+        let length = 0;
+        termCounts[index].forEach((count, term) => {
+            const weight = count * Math.log(games.length / documentFrequency.get(term));
+            if (weight > 0) {
+                vector.set(term, weight);
+                length += weight * weight;
+            }
+        });
+        length = Math.sqrt(length);
+        vector.forEach((weight, term) => vector.set(term, weight / length));
+        vectors.set(game, vector);
+    });
+
+    textVectorCache.set(games, vectors);
+    return vectors;
+}
+
+/**
+ * Cosine similarity of two unit-length term vectors
+ */
+function cosineSimilarity(a, b) {
+    let total = 0;
+    a.forEach((weight, term) => {
+        if (b.has(term)) total += weight * b.get(term);
+    });
+    return total;
+}
+
+/**
+ * How much two player ranges overlap, from 0 (not at all) to 1 (the same range)
+ */
+function getPlayerOverlap(a, b) {
+    const overlap = Math.min(a.max, b.max) - Math.max(a.min, b.min) + 1;
+    if (overlap <= 0) return 0;
+    return overlap / (Math.max(a.max, b.max) - Math.min(a.min, b.min) + 1);
+}
+
+/**
+ * Score how alike two games are, from 0 to 1, with the reasons worth showing
+ */
+function scoreSimilarity(game, other, games = window.GameData.allGames) {
+    const reasons = [];
+    let score = 0;
+
+    if (game.category === other.category) {
+        score += SIMILARITY_WEIGHTS.category;
+        reasons.push(`Also in ${game.category}`);
+    }
+
+    const tags = game.tags || [];
+    const otherTags = other.tags || [];
+    const sharedTags = tags.filter(tag => otherTags.includes(tag));
+    if (sharedTags.length > 0) {
+        score += SIMILARITY_WEIGHTS.tags * sharedTags.length / new Set([...tags, ...otherTags]).size;
+    }
+
+    const players = getPlayerOverlap(game.playerCount, other.playerCount);
+    score += SIMILARITY_WEIGHTS.players * players;
+    if (players === 1) reasons.push('Same player count');
+
+    const vectors = getTextVectors(games);
+    const text = vectors.has(game) && vectors.has(other) ?
+        cosineSimilarity(vectors.get(game), vectors.get(other)) : 0;
+    score += SIMILARITY_WEIGHTS.text * text;
+    if (text >= 0.25) reasons.push('Similar setup and rules');
+
+    return { score, reasons };
+}
+
+/**
+ * Find the games related to a game: declared relations first, then the most similar games.
+ * Returns [{ game, relation, score, reasons }] (relation is null for games that are only similar).
+ */
+function findRelatedGames(game, games = window.GameData.allGames, limit = MAX_RELATED_GAMES) {
+    const declared = getDeclaredRelations(game, games)
+        .map(({ game: other, relation }) => ({ game: other, relation, ...scoreSimilarity(game, other, games) }));
+
+    const similar = games
+        .filter(other => other !== game && !declared.some(related => related.game === other))
+        .map(other => ({ game: other, relation: null, ...scoreSimilarity(game, other, games) }))
+        .filter(related => related.score >= MIN_SIMILARITY)
+        .sort((a, b) => b.score - a.score);
+
+    return [...declared, ...similar].slice(0, Math.max(limit, declared.length));
+}
+
+/**
+ * Create the "Related Games" section for the game details page
+ */
+function createRelatedGamesSection(game) {
+    const { html, setHtml } = window.Render;
+    const related = findRelatedGames(game);
+
+    const section = document.createElement('div');
+    section.className = 'game-section related-games';
+
+    // Links to the game route: the router swaps the game view in place, keeping the list (and its search) underneath
+    setHtml(section, html`
+        <h3>Related Games</h3>
+        ${related.length === 0 ? html`<p class="text-muted">No similar games yet.</p>` : html`
+        <div class="list-group">
+            ${related.map(({ game: other, relation, reasons }) => html`
+            <a class="list-group-item list-group-item-action related-game" href="${window.GameData.getGameUrl(other.id)}" data-game-id="${other.id}">
+                <div class="d-flex justify-content-between align-items-start">
+                    <strong>${other.name}</strong>
+                    ${relation ? html`<span class="badge related-relation">${RELATION_LABELS[relation]}</span>` : ''}
+                </div>
+                <small class="text-muted">${other.category} • ${window.GameData.formatPlayerCount(other.playerCount)}</small>
+                ${reasons.length > 0 ? html`<small class="d-block related-reasons">${reasons.join(' · ')}</small>` : ''}
+            </a>
+            `)}
+        </div>
+        `}
+    `);
+
+    return section;
+}
+
+// Export functions for use in other modules
+window.RelatedGames = {
+    RELATION_LABELS,
+    getDeclaredRelations,
+    getPlayerOverlap,
+    scoreSimilarity,
+    findRelatedGames,
+    createRelatedGamesSection
+};
@@ -0,0 +1,106 @@
+/**
+ * MUT Improv Games Safe Rendering
+ * Builds markup from templates with every interpolated value escaped, and
+ * checks links and video ids before they reach the page
+ */
+
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:'];
+const YOUTUBE_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Markup that has already been escaped (only created by html``)
+ */
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escape text for use in element content or a quoted attribute
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Turn an interpolated value into markup: nested html`` is kept,
+ * lists are joined, empty values render nothing, everything else is escaped
+ */
+function toMarkup(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes every interpolated value:
+ *   html`<li>${rule}</li>`
+ */
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) =>
+        markup + string + (index < values.length ? toMarkup(values[index]) : ''), ''));
+}
+
+/**
+ * Replace an element's content with markup built by html``
+ */
+function setHtml(element, markup) {
+    if (!(markup instanceof SafeHtml)) {
+        throw new TypeError('setHtml only accepts markup built with Render.html');
+    }
+    element.innerHTML = markup.markup;
+}
+
+/**
+ * Return the URL if it is an absolute http(s) link, otherwise null
+ */
+function safeUrl(url) {
+    if (typeof url !== 'string') return null;
+
+    try {
+        const parsed = new URL(url.trim());
+        return SAFE_LINK_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Link that opens in a new tab; unsafe URLs are shown as plain text
+ */
+function externalLink(url, text = url) {
+    const href = safeUrl(url);
+    if (!href) return html`${text}`;
+    return html`<a href="${href}" target="_blank" rel="noopener noreferrer">${text}</a>`;
+}
+
+/**
+ * Check that a value is a well-formed YouTube video id
+ */
+function isYouTubeId(videoId) {
+    return typeof videoId === 'string' && YOUTUBE_ID_PATTERN.test(videoId);
+}
+
+// Export functions for use in other modules
+window.Render = {
+    html,
+    setHtml,
+    escapeHtml,
+    safeUrl,
+    externalLink,
+    isYouTubeId
+};
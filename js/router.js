@@ -0,0 +1,316 @@
+/**
+ * MUT Improv Games Router
+ * Shows games in place of the list on index.html: #/game/<id> opens a game,
+ * anything else shows the list. Both views share one load of the database, the
+ * list keeps its scroll position while a game is open, and a game's page is
+ * prepared while the pointer rests on it so it opens straight away.
+ */
+
+const GAME_ROUTE_PATTERN = /^#\/game\/([^/?#]+)$/;
+
+// Links to a route of this page: "#/game/x", "index.html#/game/x", "./#/"
+const ROUTE_LINK_PATTERN = /^(?:\.\/)?(?:index\.html)?(#\/.*)$/;
+
+// Game pages kept ready after a hover or focus
+const PREFETCH_LIMIT = 4;
+
+// How long the pointer rests on a game before its page is prepared
+const PREFETCH_DELAY_MS = 80;
+
+let listView = null;
+let gameView = null;
+let listTitle = '';
+let currentRoute = null;
+let listScrollY = 0;
+// Whether the open game came straight from the list, so "Back to Games" can go back in history
+let openedFromList = false;
+let prefetchTimer = null;
+const preparedGames = new Map();
+
+/**
+ * Read a route from a location hash: { view: 'game', gameId } or { view: 'list' }
+ */
+function parseRoute(hash) {
+    const match = String(hash || '').match(GAME_ROUTE_PATTERN);
+    if (!match) return { view: 'list' };
+
+    try {
+        return { view: 'game', gameId: decodeURIComponent(match[1]) };
+    } catch (error) {
+        return { view: 'game', gameId: match[1] };
+    }
+}
+
+/**
+ * Get the route hash a link points at, or null for links to other pages
+ */
+function getLinkRoute(href) {
+    const match = String(href || '').match(ROUTE_LINK_PATTERN);
+    return match ? match[1] : null;
+}
+
+/**
+ * Check whether two routes show the same thing
+ */
+function isSameRoute(a, b) {
+    return a.view === b.view && a.gameId === b.gameId;
+}
+
+/**
+ * Go to a route, adding a history entry. The query string (the list's search) is kept.
+ */
+function navigate(hash) {
+    if (hash !== window.location.hash) {
+        const { pathname, search } = window.location;
+        window.history.pushState(null, '', `${pathname}${search}${hash}`);
+    }
+    return showRoute(parseRoute(hash));
+}
+
+/**
+ * Open a game
+ */
+function openGame(gameId) {
+    return navigate(`#/game/${encodeURIComponent(gameId)}`);
+}
+
+/**
+ * Return to the list: back through history when the game was opened from it,
+ * so the browser's back and forward buttons keep making sense
+ */
+function backToList() {
+    if (openedFromList && window.history.length > 1) {
+        window.history.back();
+    } else {
+        navigate('#/');
+    }
+}
+
+/**
+ * Check whether a hash is an in-page anchor (such as a skip link) that leaves
+ * the open view alone: one that is not a route and doesn't point into the list
+ */
+function isViewAnchor(hash) {
+    if (!hash || hash.startsWith('#/') || hash === '#') return false;
+
+    let target = null;
+    try {
+        target = document.getElementById(decodeURIComponent(hash.slice(1)));
+    } catch (error) {
+        return false;
+    }
+    return Boolean(target && !(target.closest && target.closest('#listView')));
+}
+
+/**
+ * Show the route in the current URL (after loading, and on back and forward)
+ */
+function handleRouteChange() {
+    if (currentRoute && isViewAnchor(window.location.hash)) return Promise.resolve();
+    return showRoute(parseRoute(window.location.hash));
+}
+
+/**
+ * Show the view for a route. Re-showing the current route does nothing unless forced.
+ */
+async function showRoute(route, { force = false } = {}) {
+    const previous = currentRoute;
+    if (!listView || !gameView) return;
+    if (previous && isSameRoute(previous, route) && !force) return;
+    currentRoute = route;
+
+    if (route.view === 'list') {
+        gameView.hidden = true;
+        listView.hidden = false;
+        document.title = listTitle;
+        if (previous && previous.view === 'game') {
+            window.scrollTo(0, listScrollY);
+            focusGameCard(previous.gameId);
+        }
+        return;
+    }
+
+    if (!previous || !isSameRoute(previous, route)) {
+        if (previous && previous.view === 'list') listScrollY = window.scrollY;
+        openedFromList = Boolean(previous && previous.view === 'list');
+    }
+
+    if (!(await window.GameData.ensureGamesData())) {
+        window.GameDetails.showGameError('Failed to load game data. Please try refreshing the page.');
+        return;
+    }
+    // Another route was opened while the data loaded
+    if (currentRoute !== route) return;
+
+    listView.hidden = true;
+    gameView.hidden = false;
+    window.GameDetails.showGameDetails(route.gameId, takePreparedGame(route.gameId));
+    if (!force) {
+        window.scrollTo(0, 0);
+        focusGameHeading();
+    }
+}
+
+/**
+ * Move focus to the open game's heading, so screen readers announce the new view
+ */
+function focusGameHeading() {
+    const heading = gameView.querySelector('h1');
+    if (!heading) return;
+    heading.setAttribute('tabindex', '-1');
+    heading.focus({ preventScroll: true });
+}
+
+/**
+ * Back on the list, return focus to the card of the game that was open (if it is rendered)
+ */
+function focusGameCard(gameId) {
+    const card = Array.from(listView.querySelectorAll('[data-game-id]'))
+        .find(element => element.getAttribute('data-game-id') === gameId);
+    const link = card && card.querySelector('a[href]');
+    if (link) link.focus({ preventScroll: true });
+}
+
+/**
+ * Re-render the open game, after the game data changed
+ */
+function refresh() {
+    clearPreparedGames();
+    if (currentRoute && currentRoute.view === 'game') {
+        return showRoute(currentRoute, { force: true });
+    }
+}
+
+/**
+ * Prepare a game's page ahead of time, so opening it only has to show it
+ */
+function prefetchGame(gameId) {
+    if (preparedGames.has(gameId)) return;
+    if (currentRoute && currentRoute.view === 'game' && currentRoute.gameId === gameId) return;
+
+    const game = window.GameData.getGameById(gameId);
+    if (!game) return;
+
+    preparedGames.set(gameId, { game, content: window.GameDetails.prepareGameDetails(game) });
+    if (preparedGames.size > PREFETCH_LIMIT) {
+        preparedGames.delete(preparedGames.keys().next().value);
+    }
+}
+
+/**
+ * Take a game's prepared page, if it was prepared from the current data
+ */
+function takePreparedGame(gameId) {
+    const prepared = preparedGames.get(gameId);
+    preparedGames.delete(gameId);
+    return prepared && prepared.game === window.GameData.getGameById(gameId) ? prepared.content : null;
+}
+
+/**
+ * Forget prepared pages (they show favorites and play stats, which may have changed)
+ */
+function clearPreparedGames() {
+    preparedGames.clear();
+}
+
+/**
+ * Get the game an element stands for: a game card, or a link to a game
+ */
+function getHintedGameId(element) {
+    const target = element && element.closest ? element.closest('[data-game-id], a[href]') : null;
+    if (!target) return null;
+    if (target.hasAttribute('data-game-id')) return target.getAttribute('data-game-id');
+
+    const route = parseRoute(getLinkRoute(target.getAttribute('href')));
+    return route.view === 'game' ? route.gameId : null;
+}
+
+/**
+ * Prepare the game under the pointer or focus once it rests there
+ */
+function handlePrefetchHint(event) {
+    const gameId = getHintedGameId(event.target);
+    clearTimeout(prefetchTimer);
+    if (gameId) {
+        prefetchTimer = setTimeout(() => prefetchGame(gameId), PREFETCH_DELAY_MS);
+    }
+}
+
+/**
+ * Follow links to this page's routes without reloading it
+ */
+function handleLinkClick(event) {
+    if (event.defaultPrevented || event.button > 0) return;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    const link = event.target && event.target.closest ? event.target.closest('a[href]') : null;
+    if (!link || (link.target && link.target !== '_self')) return;
+
+    if (link.hasAttribute('data-back-to-games')) {
+        event.preventDefault();
+        backToList();
+        return;
+    }
+
+    const hash = getLinkRoute(link.getAttribute('href'));
+    if (hash === null) return;
+    event.preventDefault();
+    navigate(hash);
+}
+
+/**
+ * A game opened from another page has no search in its URL; bring back the
+ * list the user last looked at, so "Back to Games" returns to it
+ */
+function restoreLastSearch() {
+    const lastSearch = sessionStorage.getItem('lastSearch');
+    if (!lastSearch || window.location.search) return;
+    if (parseRoute(window.location.hash).view !== 'game') return;
+
+    const { pathname, hash } = window.location;
+    window.history.replaceState(null, '', `${pathname}?${lastSearch}${hash}`);
+}
+
+/**
+ * Set up routing on the list page (before search reads the URL)
+ */
+function initRouter() {
+    listView = document.getElementById('listView');
+    gameView = document.getElementById('gameView');
+    if (!listView || !gameView) return false;
+
+    listTitle = document.title;
+    // The list's scroll position is restored by showRoute
+    if ('scrollRestoration' in window.history) {
+        window.history.scrollRestoration = 'manual';
+    }
+    restoreLastSearch();
+
+    // Opening a game's URL shows its view (loading) rather than the list
+    const route = parseRoute(window.location.hash);
+    listView.hidden = route.view === 'game';
+    gameView.hidden = route.view !== 'game';
+
+    window.addEventListener('popstate', handleRouteChange);
+    window.addEventListener('hashchange', handleRouteChange);
+    document.body.addEventListener('click', handleLinkClick);
+    document.body.addEventListener('mouseover', handlePrefetchHint);
+    document.body.addEventListener('focusin', handlePrefetchHint);
+    document.body.addEventListener('touchstart', handlePrefetchHint, { passive: true });
+
+    if (window.Collections) window.Collections.onCollectionsChanged(clearPreparedGames);
+    if (window.Performances) window.Performances.onPerformancesChanged(clearPreparedGames);
+    return true;
+}
+
+// Export functions for use in other modules
+window.Router = {
+    parseRoute,
+    getLinkRoute,
+    navigate,
+    openGame,
+    handleRouteChange,
+    prefetchGame,
+    refresh,
+    initRouter
+};
@@ -0,0 +1,246 @@
+/**
+ * MUT Improv Games Search Index
+ * Builds an inverted index over game text for ranked, typo-tolerant search
+ */
+
+// How much a term hit in each field counts towards a game's score
+const SEARCH_FIELD_WEIGHTS = {
+    name: 10,
+    aliases: 8,
+    category: 4,
+    tags: 3,
+    setup: 2,
+    rules: 1.5,
+    roles: 2,
+    tips: 1,
+    examples: 1,
+    suggestions: 1,
+    audience: 1,
+    notes: 1
+};
+
+// Score multipliers for inexact term matches
+const PREFIX_MATCH_FACTOR = 0.8;
+const FUZZY_MATCH_FACTORS = [1, 0.6, 0.4];
+
+/**
+ * Normalize text for indexing: lowercase and strip accents
+ */
+function normalizeText(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Split text into normalized search terms
+ */
+function tokenize(text) {
+    if (!text) return [];
+    return normalizeText(text).match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Collect the searchable text of a game, grouped by field
+ */
+function getSearchableFields(game) {
+    const fields = [
+        { field: 'name', text: game.name },
+        { field: 'category', text: game.category }
+    ];
+
+    (game.aliases || []).forEach(alias => fields.push({ field: 'aliases', text: alias }));
+    (game.tags || []).forEach(tag => fields.push({ field: 'tags', text: tag.replace(/_/g, ' ') }));
+
+    if (game.setup && game.setup.description) {
+        fields.push({ field: 'setup', text: game.setup.description });
+    }
+    if (game.setup && game.setup.suggestions) {
+        game.setup.suggestions.forEach(suggestion => fields.push({ field: 'suggestions', text: suggestion }));
+    }
+
+    (game.rules || []).forEach(rule => fields.push({ field: 'rules', text: rule }));
+
+    (game.tips || []).forEach(tip => {
+        if (typeof tip === 'string') {
+            fields.push({ field: 'tips', text: tip });
+        } else if (tip.role && tip.tips) {
+            fields.push({ field: 'roles', text: tip.role });
+            tip.tips.forEach(t => fields.push({ field: 'tips', text: t }));
+        }
+    });
+
+    (game.examples || []).forEach(example => fields.push({ field: 'examples', text: example }));
+    (game.notes || []).forEach(note => fields.push({ field: 'notes', text: note }));
+
+    if (game.audienceVolunteers) {
+        fields.push({ field: 'audience', text: game.audienceVolunteers.description });
+    }
+
+    return fields;
+}
+
+/**
+ * Build an inverted index mapping each term to the games that contain it
+ */
+function buildSearchIndex(games) {
+    const postings = new Map();
+
+    games.forEach((game, docId) => {
+        // Each field counts once per term, so long tips don't outweigh a name hit
+        const termFields = new Map();
+        getSearchableFields(game).forEach(({ field, text }) => {
+            tokenize(text).forEach(term => {
+                if (!termFields.has(term)) termFields.set(term, new Set());
+                termFields.get(term).add(field);
+            });
+        });
+
+        termFields.forEach((fields, term) => {
+            let score = 0;
+            fields.forEach(field => { score += SEARCH_FIELD_WEIGHTS[field] || 1; });
+
+            if (!postings.has(term)) postings.set(term, new Map());
+            postings.get(term).set(docId, score);
+        });
+    });
+
+    return {
+        games,
+        postings,
+        vocabulary: Array.from(postings.keys())
+    };
+}
+
+/**
+ * Levenshtein edit distance, giving up once it exceeds maxDistance
+ */
+function levenshtein(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query term of a given length
+ */
+function allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Find the indexed terms a query term should match, with a score factor for each
+ */
+function expandTerm(index, queryTerm) {
+    const expansions = new Map();
+    const maxTypos = allowedTypos(queryTerm);
+
+    index.vocabulary.forEach(term => {
+        let factor = 0;
+        if (term === queryTerm) {
+            factor = 1;
+        } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+            factor = PREFIX_MATCH_FACTOR;
+        } else if (maxTypos > 0) {
+            const distance = levenshtein(queryTerm, term, maxTypos);
+            if (distance <= maxTypos) factor = FUZZY_MATCH_FACTORS[distance];
+        }
+        if (factor > 0) expansions.set(term, factor);
+    });
+
+    return expansions;
+}
+
+/**
+ * Search the index. Every query term must match (AND); results are sorted by score.
+ */
+function queryIndex(index, query) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    let scores = null;
+
+    for (const queryTerm of queryTerms) {
+        // Best score per game for this query term
+        const termScores = new Map();
+        expandTerm(index, queryTerm).forEach((factor, term) => {
+            index.postings.get(term).forEach((score, docId) => {
+                const weighted = score * factor;
+                if (weighted > (termScores.get(docId) || 0)) {
+                    termScores.set(docId, weighted);
+                }
+            });
+        });
+
+        if (scores === null) {
+            scores = termScores;
+        } else {
+            const combined = new Map();
+            scores.forEach((score, docId) => {
+                if (termScores.has(docId)) combined.set(docId, score + termScores.get(docId));
+            });
+            scores = combined;
+        }
+
+        if (scores.size === 0) return [];
+    }
+
+    return Array.from(scores, ([docId, score]) => ({ game: index.games[docId], score }))
+        .sort((a, b) => b.score - a.score || a.game.name.localeCompare(b.game.name));
+}
+
+/**
+ * Find the games containing every word of a phrase exactly (no prefix or typo matching)
+ */
+function findGamesContaining(index, text) {
+    const terms = [...new Set(tokenize(text))];
+    if (terms.length === 0) return new Set();
+
+    let docIds = null;
+    for (const term of terms) {
+        const posting = index.postings.get(term);
+        if (!posting) return new Set();
+        docIds = docIds === null ?
+            new Set(posting.keys()) :
+            new Set([...docIds].filter(docId => posting.has(docId)));
+    }
+    return new Set([...docIds].map(docId => index.games[docId]));
+}
+
+/**
+ * Get the indexed terms a query matches, for highlighting
+ */
+function findMatchingTerms(index, query) {
+    const terms = new Set();
+    [...new Set(tokenize(query))].forEach(queryTerm => {
+        expandTerm(index, queryTerm).forEach((factor, term) => terms.add(term));
+    });
+    return terms;
+}
+
+// Export functions for use in other modules
+window.SearchIndex = {
+    normalizeText,
+    tokenize,
+    getSearchableFields,
+    buildSearchIndex,
+    queryIndex,
+    findGamesContaining,
+    findMatchingTerms,
+    levenshtein
+};
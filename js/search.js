@@ -7,11 +7,31 @@
 let searchInput;
 let categoryFilter;
 let difficultyFilter;
+let playersFilter;
+let optimalOnlyToggle;
+let minMinutesFilter;
+let maxMinutesFilter;
+let audienceFilter;
+let tagFilters;
+let collectionFilter;
+let lastPlayedFilter;
+let sortOrderSelect;
 let clearFiltersBtn;
 let resultsInfo;
 let gamesContainer;
 let loadingSpinner;
 
+// Indexed terms matched by the current query, highlighted on cards
+let highlightTerms = new Set();
+// The same terms as a string, so reused cards know whether their highlights are current
+let highlightKey = '';
+
+// The virtual grid rendering cards into each container, created on first render
+const cardGrids = new WeakMap();
+
+// Session storage key remembering the last list the user looked at
+const LAST_SEARCH_KEY = 'lastSearch';
+
 /**
  * Initialize search functionality
  */
@@ -20,6 +40,15 @@ function initSearch() {
     searchInput = document.getElementById('searchInput');
     categoryFilter = document.getElementById('categoryFilter');
     difficultyFilter = document.getElementById('difficultyFilter');
+    playersFilter = document.getElementById('playersFilter');
+    optimalOnlyToggle = document.getElementById('optimalOnly');
+    minMinutesFilter = document.getElementById('minMinutesFilter');
+    maxMinutesFilter = document.getElementById('maxMinutesFilter');
+    audienceFilter = document.getElementById('audienceFilter');
+    tagFilters = document.getElementById('tagFilters');
+    collectionFilter = document.getElementById('collectionView');
+    lastPlayedFilter = document.getElementById('lastPlayedFilter');
+    sortOrderSelect = document.getElementById('sortOrder');
     clearFiltersBtn = document.getElementById('clearFilters');
     resultsInfo = document.getElementById('resultsInfo');
     gamesContainer = document.getElementById('gamesContainer');
@@ -28,6 +57,7 @@ function initSearch() {
     // Set up event listeners
     if (searchInput) {
         searchInput.addEventListener('input', debounce(handleSearch, 300));
+        document.addEventListener('keydown', handleSearchShortcut);
     }
     if (categoryFilter) {
         categoryFilter.addEventListener('change', handleFilter);
@@ -35,12 +65,49 @@ function initSearch() {
     if (difficultyFilter) {
         difficultyFilter.addEventListener('change', handleFilter);
     }
+    if (playersFilter) {
+        playersFilter.addEventListener('input', debounce(handleFilter, 300));
+    }
+    if (optimalOnlyToggle) {
+        optimalOnlyToggle.addEventListener('change', handleFilter);
+    }
+    [minMinutesFilter, maxMinutesFilter].forEach(input => {
+        if (input) input.addEventListener('input', debounce(handleFilter, 300));
+    });
+    if (audienceFilter) {
+        audienceFilter.addEventListener('change', handleFilter);
+    }
+    if (tagFilters) {
+        tagFilters.addEventListener('change', handleFilter);
+    }
+    if (collectionFilter) {
+        collectionFilter.addEventListener('change', handleFilter);
+
+        // Keep a favorites or collection view current as games are starred
+        window.Collections.onCollectionsChanged(() => {
+            if (collectionFilter.value) applyFiltersAndSearch({ updateHistory: false });
+        });
+    }
+    if (lastPlayedFilter) {
+        lastPlayedFilter.addEventListener('change', handleFilter);
+    }
+    if (sortOrderSelect) {
+        sortOrderSelect.addEventListener('change', handleFilter);
+    }
     if (clearFiltersBtn) {
         clearFiltersBtn.addEventListener('click', clearFilters);
     }
 
-    // Populate category filter
+    // Populate category and tag filters
     populateCategoryFilter();
+    populateTagFilter();
+
+    // Restore search state from the URL, and replay it on back/forward
+    applySearchState(parseSearchState(window.location.search));
+    window.addEventListener('popstate', () => {
+        applySearchState(parseSearchState(window.location.search));
+        applyFiltersAndSearch({ updateHistory: false });
+    });
 }
 
 /**
@@ -58,6 +125,37 @@ function populateCategoryFilter() {
     });
 }
 
+/**
+ * Populate tag filter checkboxes from the tags declared in the database
+ */
+function populateTagFilter() {
+    if (!tagFilters) return;
+
+    const tags = window.GameData.getTags();
+    tags.forEach(tag => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-check form-check-inline';
+
+        const checkbox = document.createElement('input');
+        checkbox.className = 'form-check-input';
+        checkbox.type = 'checkbox';
+        checkbox.id = `tagFilter-${tag.id}`;
+        checkbox.value = tag.id;
+
+        const label = document.createElement('label');
+        label.className = 'form-check-label';
+        label.htmlFor = checkbox.id;
+        label.textContent = formatTagName(tag.id);
+        if (tag.description) {
+            label.title = tag.description;
+        }
+
+        wrapper.appendChild(checkbox);
+        wrapper.appendChild(label);
+        tagFilters.appendChild(wrapper);
+    });
+}
+
 /**
  * Handle search input
  */
@@ -76,29 +174,180 @@ function handleFilter() {
 /**
  * Apply current search and filters
  */
-function applyFiltersAndSearch() {
+function applyFiltersAndSearch(options = {}) {
     const query = searchInput ? searchInput.value : '';
-    const category = categoryFilter ? categoryFilter.value : '';
-    const difficulty = difficultyFilter ? difficultyFilter.value : '';
 
-    // Start with search
-    let results = window.GameData.searchGames(query);
+    // Split field-scoped syntax (tag:, players:, -term ...) from the free text
+    const parsed = window.QueryParser.parseQuery(query, {
+        categories: window.GameData.getCategories()
+    });
+
+    // Start with search (results are ranked by relevance)
+    let results = window.GameData.searchGames(parsed.text);
+    highlightTerms = window.GameData.getMatchingTerms(parsed.text);
+    highlightKey = [...highlightTerms].sort().join(' ');
+
+    // Limit to the chosen favorites or collection, kept in its own order
+    const view = collectionFilter ? collectionFilter.value : '';
+    if (view) {
+        const viewGames = window.Collections.getViewGameIds(view)
+            .map(gameId => window.GameData.getGameById(gameId))
+            .filter(Boolean);
+        results = parsed.text ? results.filter(game => viewGames.includes(game)) : viewGames;
+    }
+
+    // Apply filters from the controls and the query
+    results = window.GameData.filterGames(results,
+        window.QueryParser.mergeFilters(getCurrentFilters(), parsed.filters));
 
-    // Apply filters
-    const filters = {
-        category: category,
-        difficulty: difficulty
-    };
-    results = window.GameData.filterGames(results, filters);
+    // Filter and sort by our own performance history
+    if (window.Performances) {
+        results = window.Performances.filterByLastPlayed(results, lastPlayedFilter ? lastPlayedFilter.value : '');
+        results = window.Performances.sortGamesByStats(results, sortOrderSelect ? sortOrderSelect.value : '');
+    }
+
+    // Or by how long each game runs
+    results = window.GameData.sortGamesByDuration(results, sortOrderSelect ? sortOrderSelect.value : '');
+
+    // Or by how well each game suits tonight's cast
+    if (window.Cast && sortOrderSelect && sortOrderSelect.value === 'cast-match') {
+        results = window.Cast.sortGamesByCastMatch(results);
+    }
 
     // Update filtered games
     window.GameData.filteredGames = results;
 
+    // Keep the URL in step so the list can be shared and revisited
+    if (options.updateHistory !== false) {
+        updateSearchUrl();
+    }
+    sessionStorage.setItem(LAST_SEARCH_KEY, serializeSearchState(getSearchState()));
+
     // Update UI
     updateResultsInfo(results.length);
     renderGames(results);
 }
 
+/**
+ * Read the current filter values from the filter controls
+ */
+function getCurrentFilters() {
+    const players = playersFilter ? parseInt(playersFilter.value, 10) : NaN;
+    const minMinutes = minMinutesFilter ? parseInt(minMinutesFilter.value, 10) : NaN;
+    const maxMinutes = maxMinutesFilter ? parseInt(maxMinutesFilter.value, 10) : NaN;
+    const audience = audienceFilter ? audienceFilter.value : '';
+
+    return {
+        category: categoryFilter ? categoryFilter.value : '',
+        difficulty: difficultyFilter ? difficultyFilter.value : '',
+        players: players > 0 ? players : null,
+        optimalOnly: optimalOnlyToggle ? optimalOnlyToggle.checked : false,
+        minMinutes: minMinutes > 0 ? minMinutes : null,
+        maxMinutes: maxMinutes > 0 ? maxMinutes : null,
+        audienceParticipation: audience === '' ? null : audience === 'yes',
+        tags: tagFilters ?
+            Array.from(tagFilters.querySelectorAll('input:checked')).map(input => input.value) : []
+    };
+}
+
+/**
+ * Get the full search state from the search box and filter controls
+ */
+function getSearchState() {
+    const filters = getCurrentFilters();
+    return {
+        q: searchInput ? searchInput.value.trim() : '',
+        category: filters.category,
+        difficulty: filters.difficulty,
+        players: filters.players,
+        optimal: filters.optimalOnly,
+        minMinutes: filters.minMinutes,
+        maxMinutes: filters.maxMinutes,
+        audience: filters.audienceParticipation === null ? '' :
+            (filters.audienceParticipation ? 'yes' : 'no'),
+        tags: filters.tags,
+        view: collectionFilter ? collectionFilter.value : '',
+        played: lastPlayedFilter ? lastPlayedFilter.value : '',
+        sort: sortOrderSelect ? sortOrderSelect.value : ''
+    };
+}
+
+/**
+ * Serialize search state into a query string, leaving out empty values
+ */
+function serializeSearchState(state) {
+    const params = new URLSearchParams();
+    if (state.q) params.set('q', state.q);
+    if (state.category) params.set('category', state.category);
+    if (state.difficulty) params.set('difficulty', state.difficulty);
+    if (state.players) params.set('players', state.players);
+    if (state.optimal) params.set('optimal', '1');
+    if (state.minMinutes || state.maxMinutes) {
+        params.set('minutes', `${state.minMinutes || ''}-${state.maxMinutes || ''}`);
+    }
+    if (state.audience) params.set('audience', state.audience);
+    if (state.tags && state.tags.length > 0) params.set('tags', state.tags.join(','));
+    if (state.view) params.set('view', state.view);
+    if (state.played) params.set('played', state.played);
+    if (state.sort) params.set('sort', state.sort);
+    return params.toString();
+}
+
+/**
+ * Parse search state from a query string
+ */
+function parseSearchState(search) {
+    const params = new URLSearchParams(search);
+    const minutes = (params.get('minutes') || '').match(/^(\d*)-(\d*)$/);
+    return {
+        q: params.get('q') || '',
+        category: params.get('category') || '',
+        difficulty: params.get('difficulty') || '',
+        players: parseInt(params.get('players'), 10) || null,
+        optimal: params.get('optimal') === '1',
+        minMinutes: minutes ? parseInt(minutes[1], 10) || null : null,
+        maxMinutes: minutes ? parseInt(minutes[2], 10) || null : null,
+        audience: params.get('audience') || '',
+        tags: params.get('tags') ? params.get('tags').split(',').filter(Boolean) : [],
+        view: params.get('view') || '',
+        played: params.get('played') || '',
+        sort: params.get('sort') || ''
+    };
+}
+
+/**
+ * Set the search box and filter controls from a search state
+ */
+function applySearchState(state) {
+    if (searchInput) searchInput.value = state.q;
+    if (categoryFilter) categoryFilter.value = state.category;
+    if (difficultyFilter) difficultyFilter.value = state.difficulty;
+    if (playersFilter) playersFilter.value = state.players || '';
+    if (optimalOnlyToggle) optimalOnlyToggle.checked = state.optimal;
+    if (minMinutesFilter) minMinutesFilter.value = state.minMinutes || '';
+    if (maxMinutesFilter) maxMinutesFilter.value = state.maxMinutes || '';
+    if (audienceFilter) audienceFilter.value = state.audience;
+    if (tagFilters) {
+        tagFilters.querySelectorAll('input').forEach(input => {
+            input.checked = state.tags.includes(input.value);
+        });
+    }
+    if (collectionFilter) collectionFilter.value = state.view;
+    if (lastPlayedFilter) lastPlayedFilter.value = state.played;
+    if (sortOrderSelect) sortOrderSelect.value = state.sort;
+}
+
+/**
+ * Push the current search state onto the browser history if it changed
+ */
+function updateSearchUrl() {
+    const query = serializeSearchState(getSearchState());
+    const search = query ? `?${query}` : '';
+    if (search === window.location.search) return;
+
+    window.history.pushState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+}
+
 /**
  * Clear all filters
  */
@@ -106,6 +355,17 @@ function clearFilters() {
     if (searchInput) searchInput.value = '';
     if (categoryFilter) categoryFilter.value = '';
     if (difficultyFilter) difficultyFilter.value = '';
+    if (playersFilter) playersFilter.value = '';
+    if (optimalOnlyToggle) optimalOnlyToggle.checked = false;
+    if (minMinutesFilter) minMinutesFilter.value = '';
+    if (maxMinutesFilter) maxMinutesFilter.value = '';
+    if (audienceFilter) audienceFilter.value = '';
+    if (tagFilters) {
+        tagFilters.querySelectorAll('input').forEach(input => { input.checked = false; });
+    }
+    if (lastPlayedFilter) lastPlayedFilter.value = '';
+    if (sortOrderSelect) sortOrderSelect.value = '';
+    if (collectionFilter) collectionFilter.value = '';
 
     applyFiltersAndSearch();
 }
@@ -117,24 +377,41 @@ function updateResultsInfo(count) {
     if (!resultsInfo) return;
 
     const total = window.GameData.allGames.length;
-    if (count === total) {
-        resultsInfo.textContent = `Found ${total} improv games ready to explore`;
-    } else {
-        resultsInfo.textContent = `Found ${count} of ${total} games matching your search`;
+    const text = count === total ?
+        `Found ${total} improv games ready to explore` :
+        `Found ${count} of ${total} games matching your search`;
+
+    // resultsInfo is a live region: only touch it when the count changed, so it is announced once
+    if (resultsInfo.textContent !== text) {
+        resultsInfo.textContent = text;
     }
 }
 
 /**
- * Render games list
+ * Get the virtual grid for a container, which keeps cards between renders so
+ * typing a query reuses them instead of rebuilding the list
  */
-function renderGames(games) {
-    if (!gamesContainer) return;
+function getCardGrid(container) {
+    if (!cardGrids.has(container)) {
+        cardGrids.set(container, window.VirtualGrid.createVirtualGrid(container, {
+            getKey: game => game.id,
+            createElement: createGameCard,
+            updateElement: updateGameCard
+        }));
+        container.addEventListener('keydown', handleGridKeydown);
+    }
+    return cardGrids.get(container);
+}
 
-    // Clear existing content
-    gamesContainer.innerHTML = '';
+/**
+ * Render games list (into the page's games container unless another is given).
+ * Only the cards near the viewport are in the page; the rest render as it scrolls.
+ */
+function renderGames(games, container = gamesContainer) {
+    if (!container) return;
 
     if (games.length === 0) {
-        gamesContainer.innerHTML = `
+        container.innerHTML = `
             <div class="col-12 text-center py-5">
                 <h4 class="text-muted">No games found</h4>
                 <p class="text-muted">Try adjusting your search or filters</p>
@@ -143,11 +420,7 @@ function renderGames(games) {
         return;
     }
 
-    // Create game cards
-    games.forEach(game => {
-        const gameCard = createGameCard(game);
-        gamesContainer.appendChild(gameCard);
-    });
+    getCardGrid(container).render(games);
 
     // Hide loading spinner
     if (loadingSpinner) {
@@ -164,27 +437,40 @@ function createGameCard(game) {
 
     const card = document.createElement('div');
     card.className = 'card game-card h-100';
-    card.onclick = () => navigateToGame(game.id);
+    card.setAttribute('data-game-id', game.id);
+
+    // Favorite star
+    if (window.Collections) {
+        card.appendChild(window.Collections.createFavoriteButton(game, 'game-card-favorite'));
+    }
 
     const cardBody = document.createElement('div');
     cardBody.className = 'card-body';
 
-    // Game title
+    // Game title, a link stretched over the whole card (its text is filled in by updateGameCard)
     const title = document.createElement('h5');
     title.className = 'card-title game-title';
-    title.textContent = game.name;
+    const link = document.createElement('a');
+    link.className = 'game-card-link stretched-link';
+    link.href = window.GameData.getGameUrl(game.id);
+    title.appendChild(link);
     cardBody.appendChild(title);
 
     // Game meta information
     const meta = document.createElement('p');
     meta.className = 'card-text game-meta';
-    meta.innerHTML = `
+    window.Render.setHtml(meta, window.Render.html`
         <strong>${game.category}</strong> •
         <span class="${window.GameData.getDifficultyClass(game.difficulty)}">${capitalizeFirst(game.difficulty)}</span> •
         ${window.GameData.formatPlayerCount(game.playerCount)}
-    `;
+    `);
     cardBody.appendChild(meta);
 
+    // Play stats and cast match (filled in by updateGameCard)
+    const status = document.createElement('div');
+    status.className = 'game-card-status';
+    cardBody.appendChild(status);
+
     // Tags
     if (game.tags && game.tags.length > 0) {
         const tagsContainer = document.createElement('div');
@@ -198,24 +484,143 @@ function createGameCard(game) {
         cardBody.appendChild(tagsContainer);
     }
 
-    // Description preview
+    // Description preview (filled in by updateGameCard)
     const description = document.createElement('p');
     description.className = 'card-text game-description text-truncate-3';
-    description.textContent = game.setup && game.setup.description ?
-        game.setup.description : 'No description available.';
     cardBody.appendChild(description);
 
     card.appendChild(cardBody);
     col.appendChild(card);
 
+    updateGameCard(col, game);
     return col;
 }
 
 /**
- * Navigate to game details page
+ * Bring the parts of a card that change between renders up to date: play stats,
+ * cast match and query highlights
+ */
+function updateGameCard(col, game) {
+    const status = col.querySelector('.game-card-status');
+    status.textContent = '';
+
+    // When we last played it
+    const stats = window.Performances ? window.Performances.formatGameStats(game.id) : '';
+    if (stats) {
+        const statsLine = document.createElement('p');
+        statsLine.className = 'card-text game-stats';
+        statsLine.textContent = stats;
+        status.appendChild(statsLine);
+    }
+
+    // How well it suits tonight's cast
+    const castMatch = window.Cast ? window.Cast.createCastMatchBadge(game) : null;
+    if (castMatch) {
+        status.appendChild(castMatch);
+    }
+
+    // Highlights only change when the query's matching terms do
+    if (col.dataset.highlight === highlightKey) return;
+    col.dataset.highlight = highlightKey;
+
+    const title = col.querySelector('.game-card-link');
+    title.textContent = '';
+    appendHighlightedText(title, game.name);
+
+    const description = col.querySelector('.game-description');
+    description.textContent = '';
+    appendHighlightedText(description, game.setup && game.setup.description ?
+        game.setup.description : 'No description available.');
+}
+
+/**
+ * Append text to an element, wrapping words that match the current query in <mark>
+ */
+function appendHighlightedText(element, text) {
+    if (highlightTerms.size === 0) {
+        element.textContent = text;
+        return;
+    }
+
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let lastIndex = 0;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+        const normalized = window.SearchIndex.tokenize(match[0]).join('');
+        if (!highlightTerms.has(normalized)) continue;
+
+        if (match.index > lastIndex) {
+            element.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        }
+        const mark = document.createElement('mark');
+        mark.className = 'search-highlight';
+        mark.textContent = match[0];
+        element.appendChild(mark);
+        lastIndex = match.index + match[0].length;
+    }
+    if (lastIndex < text.length) {
+        element.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+}
+
+/**
+ * Check whether an element takes typed text, so shortcuts leave its keys alone
+ */
+function isTextEntry(element) {
+    if (!element || !element.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) ||
+        element.isContentEditable === true;
+}
+
+/**
+ * Check whether an element or one of its ancestors is hidden (the list while a game is open)
+ */
+function isHidden(element) {
+    for (let node = element; node && node.nodeType === 1; node = node.parentNode) {
+        if (node.hidden) return true;
+    }
+    return false;
+}
+
+/**
+ * Focus the search box when "/" is pressed outside a text field
+ */
+function handleSearchShortcut(event) {
+    if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (!searchInput || isTextEntry(event.target) || isHidden(searchInput)) return;
+
+    event.preventDefault();
+    searchInput.focus();
+}
+
+/**
+ * Count the cards in the first row of the grid (1 when there is no layout to measure)
  */
-function navigateToGame(gameId) {
-    window.location.href = `game.html?id=${gameId}`;
+function getGridColumns(cols) {
+    const top = cols[0].offsetTop;
+    if (typeof top !== 'number') return 1;
+    return Math.max(1, cols.filter(col => col.offsetTop === top).length);
+}
+
+/**
+ * Move between cards with the arrow keys: left and right go to the previous and
+ * next game, up and down to the game above and below
+ */
+function handleGridKeydown(event) {
+    const link = event.target && event.target.closest ? event.target.closest('.game-card-link') : null;
+    if (!link || event.ctrlKey || event.metaKey || event.altKey || event.shiftKey) return;
+
+    const links = Array.from(event.currentTarget.querySelectorAll('.game-card-link'));
+    const cols = links.map(cardLink => cardLink.closest('.game-card').parentNode);
+    const columns = getGridColumns(cols);
+    const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns };
+    if (!(event.key in steps)) return;
+
+    const next = links[links.indexOf(link) + steps[event.key]];
+    if (!next) return;
+
+    event.preventDefault();
+    next.focus();
 }
 
 /**
@@ -253,6 +658,12 @@ function debounce(func, wait) {
 window.GameSearch = {
     initSearch,
     applyFiltersAndSearch,
+    getCurrentFilters,
+    getSearchState,
+    serializeSearchState,
+    parseSearchState,
     clearFilters,
-    renderGames
+    renderGames,
+    handleSearchShortcut,
+    handleGridKeydown
 };
@@ -0,0 +1,430 @@
+/**
+ * MUT Improv Games Audience Suggestions
+ * Random prompts fitted to each game, for when the audience goes quiet
+ */
+
+const SUGGESTION_HISTORY_KEY = 'suggestionHistory';
+const MAX_SUGGESTION_NEEDS = 3;
+
+// A show night runs past midnight, so the night starts at 6am
+const NIGHT_START_HOUR = 6;
+
+/**
+ * Prompt banks. Keywords are matched against a game's suggestions, setup and rules;
+ * prompts in "mature" are left out for family-friendly games.
+ */
+const PROMPT_BANKS = {
+    locations: {
+        label: 'A location',
+        keywords: ['location', 'setting'],
+        prompts: [
+            'a submarine', 'a bakery', 'the DMV', 'a haunted house', 'a space station', 'a dentist\'s office',
+            'a treehouse', 'a car wash', 'a museum after hours', 'a lighthouse', 'a school cafeteria', 'an airport gate',
+            'a laundromat', 'a zoo', 'a pirate ship', 'a wedding reception', 'an igloo', 'a bowling alley',
+            'a hospital waiting room', 'a farmers market', 'a library', 'a train station', 'a campsite', 'a volcano lair',
+            'a roller rink', 'a greenhouse', 'a castle kitchen', 'an elevator', 'a pet shop', 'a ski lift'
+        ],
+        mature: ['a dive bar', 'a casino', 'a tattoo parlor', 'a prison cell', 'a nightclub bathroom']
+    },
+    occupations: {
+        label: 'An occupation',
+        keywords: ['occupation', 'job', 'profession', 'career'],
+        prompts: [
+            'a lion tamer', 'a dentist', 'a lighthouse keeper', 'a mail carrier', 'a wedding planner', 'an astronaut',
+            'a crossing guard', 'a florist', 'a park ranger', 'a sushi chef', 'a magician', 'a librarian',
+            'a plumber', 'a mime', 'a beekeeper', 'a news anchor', 'a dog walker', 'a game show host',
+            'a blacksmith', 'a zookeeper', 'a personal trainer', 'a barista', 'a tour guide', 'a detective'
+        ],
+        mature: ['a bartender', 'a divorce lawyer', 'a bouncer', 'a mortician']
+    },
+    relationships: {
+        label: 'A relationship',
+        keywords: ['relationship'],
+        prompts: [
+            'siblings', 'roommates', 'coworkers', 'neighbors', 'best friends', 'teacher and student',
+            'grandparent and grandchild', 'coach and athlete', 'pen pals meeting for the first time', 'rival bakers',
+            'a camp counselor and camper', 'bandmates', 'a landlord and tenant', 'twins', 'old classmates',
+            'a doctor and patient', 'superhero and sidekick', 'a babysitter and kid', 'business partners', 'cousins'
+        ],
+        mature: ['exes', 'secret lovers', 'a couple on a first date', 'a parole officer and parolee']
+    },
+    objects: {
+        label: 'An object',
+        keywords: ['object', 'item', 'prop', 'weapon'],
+        prompts: [
+            'a rubber duck', 'a treasure map', 'a broken umbrella', 'a snow globe', 'a trombone', 'a garden gnome',
+            'a lava lamp', 'a fishing rod', 'a birthday cake', 'a toaster', 'a skateboard', 'a magnifying glass',
+            'a tiara', 'a fire extinguisher', 'a teapot', 'a yo-yo', 'a compass', 'a stapler',
+            'a kite', 'a pogo stick', 'a lunchbox', 'a telescope', 'a feather duster', 'a tambourine'
+        ],
+        mature: ['a bottle of whiskey', 'a cigar', 'a handgun']
+    },
+    genres: {
+        label: 'A film or TV genre',
+        keywords: ['genre', 'movie', 'film', 'style', 'tv show', 'soap opera'],
+        prompts: [
+            'western', 'sci-fi', 'musical', 'soap opera', 'nature documentary', 'sitcom', 'kung fu movie',
+            'Shakespearean tragedy', 'superhero movie', 'cooking show', 'courtroom drama', 'space opera',
+            'Bollywood', 'silent film', 'sports movie', 'fairy tale', 'spy thriller', 'reality TV',
+            'disaster movie', 'mockumentary', 'anime', 'heist movie', 'period drama', 'infomercial'
+        ],
+        mature: ['horror', 'film noir', 'slasher movie', 'true crime documentary']
+    },
+    categories: {
+        label: 'A category',
+        keywords: ['category', 'categories'],
+        prompts: [
+            'breakfast cereals', 'dog breeds', 'things in a junk drawer', 'board games', 'pizza toppings',
+            'Disney movies', 'sports', 'things that are yellow', 'vegetables', 'musical instruments', 'countries',
+            'ice cream flavors', 'things you find at the beach', 'superheroes', 'car brands', 'holidays',
+            'types of shoes', 'things that fly', 'dinosaurs', 'kitchen appliances', 'fruits', 'school subjects',
+            'things in space', 'famous landmarks'
+        ],
+        mature: ['cocktails', 'things you say on a bad date', 'excuses for being hungover']
+    },
+    emotions: {
+        label: 'An emotion',
+        keywords: ['emotion', 'feeling', 'mood'],
+        prompts: [
+            'joy', 'jealousy', 'boredom', 'nervousness', 'pride', 'confusion', 'excitement', 'embarrassment',
+            'nostalgia', 'suspicion', 'awe', 'frustration', 'relief', 'giddiness', 'grumpiness', 'determination',
+            'panic', 'serenity', 'impatience', 'hope'
+        ],
+        mature: ['lust', 'rage', 'despair']
+    },
+    letters: {
+        label: 'A letter',
+        keywords: ['letter', 'alphabet'],
+        prompts: 'ABCDEFGHIJKLMNOPRSTUW'.split(''),
+        mature: []
+    },
+    activities: {
+        label: 'An activity',
+        keywords: ['activity', 'activities', 'hobby', 'hobbies', 'chore', 'sport'],
+        prompts: [
+            'folding laundry', 'building a sandcastle', 'assembling flat-pack furniture', 'washing a car',
+            'training a puppy', 'baking bread', 'learning to juggle', 'painting a fence', 'camping', 'bowling',
+            'knitting a scarf', 'rock climbing', 'planting a garden', 'ice skating', 'changing a tire',
+            'decorating a cake', 'fishing', 'yoga', 'moving house', 'square dancing'
+        ],
+        mature: ['speed dating', 'a pub crawl', 'skinny dipping']
+    },
+    events: {
+        label: 'An event',
+        keywords: ['event', 'occasion', 'party', 'parties'],
+        prompts: [
+            'a surprise party', 'a science fair', 'a family reunion', 'a school play', 'a spelling bee',
+            'a talent show', 'a retirement party', 'a graduation', 'a parade', 'a bake sale', 'a job interview',
+            'a first day of school', 'a county fair', 'a ribbon cutting', 'a book signing', 'a garage sale',
+            'a housewarming', 'a sleepover', 'a championship game', 'a baby shower'
+        ],
+        mature: ['a bachelor party', 'a wake', 'a divorce hearing', 'an office holiday party that got out of hand']
+    },
+    titles: {
+        label: 'A title',
+        keywords: ['title', 'book', 'story', 'poem'],
+        prompts: [
+            'The Last Pancake', 'Moonlight on the Moors', 'My Neighbor the Robot', 'The Sock Thief',
+            'Ninety-Nine Balloons', 'Return of the Lunch Lady', 'A Very Long Tuesday', 'The Invisible Goat',
+            'Captain Sprinkles', 'Whispers in the Walls', 'The Great Cheese Heist', 'Love in Aisle Five',
+            'The Cursed Kazoo', 'Attack of the Houseplants', 'Grandma\'s Secret', 'One Small Hiccup',
+            'Beneath the Bouncy Castle', 'The Lighthouse Diaries', 'Hot Air', 'The Final Tee Time'
+        ],
+        mature: ['Last Call', 'Fifty Shades of Beige', 'The Morning After']
+    },
+    musicStyles: {
+        label: 'A music style',
+        keywords: ['song', 'music', 'musical', 'sing', 'singing', 'dance', 'rap', 'ballad'],
+        prompts: [
+            'country', 'opera', 'disco', 'heavy metal', 'Broadway show tune', 'reggae', 'polka', 'barbershop quartet',
+            'lullaby', 'sea shanty', 'boy band', 'jazz', 'punk rock', 'gospel', 'K-pop', 'folk ballad',
+            'rap battle', 'yodeling', 'power ballad', 'jingle'
+        ],
+        mature: ['drinking song', 'torch song']
+    },
+    problems: {
+        label: 'A problem',
+        keywords: ['problem', 'crime', 'secret'],
+        prompts: [
+            'a lost wedding ring', 'a flat tire', 'a missing cat', 'a broken elevator', 'a spilled smoothie',
+            'a power outage', 'a lost passport', 'a double-booked room', 'a runaway balloon', 'a stolen recipe',
+            'a forgotten birthday', 'a stuck zipper', 'a leaky roof', 'a swapped suitcase', 'a bee in the car',
+            'a burnt dinner', 'a locked-out homeowner', 'a wrong delivery', 'a parrot that won\'t stop talking',
+            'a ghost in the attic'
+        ],
+        mature: ['a bank robbery', 'a hangover', 'a body in the trunk', 'tax fraud']
+    },
+    topics: {
+        label: 'A topic',
+        keywords: ['topic', 'theme', 'subject', 'lecture', 'expert'],
+        prompts: [
+            'time travel', 'the perfect sandwich', 'why cats knock things over', 'how to train a dragon',
+            'recycling', 'the history of socks', 'living on Mars', 'how rainbows work', 'tiny houses',
+            'the secret life of pigeons', 'the best way to make friends', 'why the sky is blue', 'robots',
+            'saving the bees', 'the art of napping', 'competitive eating', 'the ocean floor', 'board game etiquette',
+            'haunted houses', 'the invention of the wheel'
+        ],
+        mature: ['online dating', 'taxes', 'midlife crises']
+    },
+    eras: {
+        label: 'A time period',
+        keywords: ['era', 'historical', 'time period', 'decade', 'century'],
+        prompts: [
+            'the Stone Age', 'ancient Egypt', 'ancient Rome', 'the Middle Ages', 'the Renaissance', 'the Wild West',
+            'the Roaring Twenties', 'the 1950s', 'the disco era', 'the 1980s', 'the Y2K era', 'the distant future',
+            'the Victorian era', 'the Ice Age', 'the age of pirates'
+        ],
+        mature: ['Prohibition']
+    },
+    characters: {
+        label: 'A character',
+        keywords: ['character', 'celebrity', 'celebrities', 'famous', 'fairy', 'hero', 'villain'],
+        prompts: [
+            'a fairy godmother', 'a grumpy troll', 'a pirate captain', 'a retired superhero', 'a lost tourist',
+            'a vampire who hates blood', 'a robot learning to love', 'a wizard\'s apprentice', 'a cowboy',
+            'a mad scientist', 'a royal butler', 'a nervous ghost', 'Little Red Riding Hood', 'a talking dog',
+            'a knight afraid of horses', 'a time-traveling tourist', 'a dragon with a cold', 'a gameshow contestant',
+            'a mermaid on land', 'Santa on vacation'
+        ],
+        mature: ['a mob boss', 'a con artist', 'a rock star on a bender']
+    },
+    quirks: {
+        label: 'A quirk',
+        keywords: ['quirk', 'habit', 'trait'],
+        prompts: [
+            'thinks they are a cat', 'can only speak in questions', 'is secretly a spy', 'is afraid of chairs',
+            'sneezes glitter', 'narrates everything they do', 'thinks it is their birthday', 'is a sentient houseplant',
+            'is allergic to the letter S', 'speaks only in song titles', 'is stuck in slow motion',
+            'thinks everyone is a celebrity', 'is a ghost who doesn\'t know it', 'is controlled by a remote',
+            'must hug everyone they meet', 'is a time traveler from 1850'
+        ],
+        mature: ['is very drunk', 'just got out of prison', 'is flirting with everyone']
+    },
+    words: {
+        label: 'A word',
+        keywords: ['word', 'noun'],
+        prompts: [
+            'banana', 'thunder', 'spaghetti', 'velvet', 'compass', 'penguin', 'lighthouse', 'jelly', 'rocket',
+            'whisper', 'carousel', 'pickle', 'avalanche', 'marshmallow', 'origami', 'tornado', 'bubble',
+            'trampoline', 'cactus', 'moonbeam', 'waffle', 'saxophone', 'puddle', 'zeppelin'
+        ],
+        mature: ['hangover', 'tequila', 'divorce']
+    },
+    holidays: {
+        label: 'A holiday',
+        keywords: ['holiday', 'christmas', 'halloween', 'season'],
+        prompts: [
+            'Halloween', 'Thanksgiving', 'New Year\'s Eve', 'Valentine\'s Day', 'the Fourth of July', 'a snow day',
+            'April Fools\' Day', 'the first day of summer', 'Groundhog Day', 'Mother\'s Day', 'Earth Day',
+            'the winter holidays', 'Lunar New Year', 'a birthday'
+        ],
+        mature: ['St. Patrick\'s Day pub crawl']
+    }
+};
+
+// Banks used when a game doesn't say what it needs (a standard scene)
+const DEFAULT_SUGGESTION_BANKS = ['locations', 'relationships'];
+
+/**
+ * Position of the first of a bank's keywords in some text (whole words, plurals allowed), or -1
+ */
+function findBankKeyword(bank, text) {
+    const positions = bank.keywords
+        .map(keyword => text.search(new RegExp(`\\b${keyword}(s|es)?\\b`, 'i')))
+        .filter(index => index !== -1);
+    return positions.length > 0 ? Math.min(...positions) : -1;
+}
+
+/**
+ * Find the prompt banks mentioned in some text, in the order they're mentioned
+ */
+function findBanksInText(text) {
+    return Object.keys(PROMPT_BANKS)
+        .map(bankId => ({ bankId, index: findBankKeyword(PROMPT_BANKS[bankId], text) }))
+        .filter(match => match.index !== -1)
+        .sort((a, b) => a.index - b.index)
+        .map(match => match.bankId);
+}
+
+/**
+ * Work out which suggestions a game needs.
+ * Returns [{ bankId, label }], from the game's own suggestions when it has them,
+ * otherwise from what its name, setup and rules ask the audience for.
+ */
+function getSuggestionNeeds(game) {
+    const needs = [];
+    const addNeed = (bankId, label) => {
+        if (bankId && !needs.some(need => need.bankId === bankId)) {
+            needs.push({ bankId, label: label || PROMPT_BANKS[bankId].label });
+        }
+    };
+
+    if (game.tags && game.tags.includes('seasonal')) {
+        addNeed('holidays');
+    }
+
+    // Suggestions written into the game come first, with their own wording
+    const explicit = (game.setup && game.setup.suggestions) || [];
+    explicit.forEach(suggestion => addNeed(findBanksInText(suggestion)[0] || 'words', suggestion));
+    if (explicit.length > 0) return needs;
+
+    // Otherwise look for what the game asks the audience for
+    const text = [game.name, game.setup && game.setup.description, ...(game.rules || [])].filter(Boolean).join(' ');
+    findBanksInText(text).slice(0, MAX_SUGGESTION_NEEDS).forEach(bankId => addNeed(bankId));
+
+    if (needs.length === 0 || (needs.length === 1 && needs[0].bankId === 'holidays')) {
+        DEFAULT_SUGGESTION_BANKS.forEach(bankId => addNeed(bankId));
+    }
+    return needs;
+}
+
+/**
+ * Get the prompts in a bank, leaving out mature ones for family-friendly games
+ */
+function getBankPrompts(bankId, familyFriendly = false) {
+    const bank = PROMPT_BANKS[bankId];
+    if (!bank) return [];
+    return familyFriendly ? bank.prompts : [...bank.prompts, ...bank.mature];
+}
+
+/**
+ * Get the date of the current show night (YYYY-MM-DD); before 6am counts as the night before
+ */
+function getShowNight(now = new Date()) {
+    const night = new Date(now.getTime() - NIGHT_START_HOUR * 60 * 60 * 1000);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${night.getFullYear()}-${pad(night.getMonth() + 1)}-${pad(night.getDate())}`;
+}
+
+/**
+ * Read tonight's used prompts ({ bankId: [prompt, ...] }); older nights are forgotten
+ */
+function getSuggestionHistory(now = new Date()) {
+    try {
+        const history = JSON.parse(localStorage.getItem(SUGGESTION_HISTORY_KEY));
+        if (history && history.night === getShowNight(now) && history.used) {
+            return history.used;
+        }
+    } catch (error) {
+        console.error('Error reading suggestion history:', error);
+    }
+    return {};
+}
+
+/**
+ * Remember that a prompt was used tonight
+ */
+function recordSuggestion(bankId, prompt, now = new Date()) {
+    const used = getSuggestionHistory(now);
+    used[bankId] = [...(used[bankId] || []), prompt];
+    localStorage.setItem(SUGGESTION_HISTORY_KEY, JSON.stringify({ night: getShowNight(now), used }));
+}
+
+/**
+ * Forget tonight's used prompts
+ */
+function clearSuggestionHistory() {
+    localStorage.removeItem(SUGGESTION_HISTORY_KEY);
+}
+
+/**
+ * Pick a prompt from a bank that hasn't been used tonight and record it.
+ * When every prompt has been used, the bank starts over.
+ */
+function pickSuggestion(bankId, { familyFriendly = false, random = Math.random } = {}) {
+    const prompts = getBankPrompts(bankId, familyFriendly);
+    if (prompts.length === 0) return null;
+
+    const used = new Set(getSuggestionHistory()[bankId] || []);
+    let available = prompts.filter(prompt => !used.has(prompt));
+    if (available.length === 0) {
+        const history = getSuggestionHistory();
+        delete history[bankId];
+        localStorage.setItem(SUGGESTION_HISTORY_KEY, JSON.stringify({ night: getShowNight(), used: history }));
+        available = prompts;
+    }
+
+    const prompt = available[Math.floor(random() * available.length)];
+    recordSuggestion(bankId, prompt);
+    return prompt;
+}
+
+/**
+ * Generate one prompt for each suggestion a game needs.
+ * Returns [{ bankId, label, prompt }].
+ */
+function generateSuggestions(game, { random = Math.random } = {}) {
+    const familyFriendly = Boolean(game.tags && game.tags.includes('family_friendly'));
+    return getSuggestionNeeds(game).map(need => ({
+        ...need,
+        prompt: pickSuggestion(need.bankId, { familyFriendly, random })
+    }));
+}
+
+/**
+ * Create the audience suggestions panel for a game (game details page and host mode)
+ */
+function createSuggestionPanel(game, { host = false } = {}) {
+    const { html, setHtml } = window.Render;
+    const familyFriendly = Boolean(game.tags && game.tags.includes('family_friendly'));
+    let suggestions = generateSuggestions(game);
+
+    const panel = document.createElement('div');
+    panel.className = host ? 'suggestion-panel suggestion-panel-host' : 'suggestion-panel game-section';
+
+    const render = () => {
+        setHtml(panel, html`
+            ${host ? '' : html`<h3>Audience Suggestions</h3>`}
+            <p class="suggestion-help">
+                ${host ? 'If the audience goes quiet, try:' : 'If the audience goes quiet, try one of these.'}
+                ${familyFriendly ? html`<span class="badge tag-family-friendly">Family-friendly prompts only</span>` : ''}
+            </p>
+            <ul class="suggestion-list">
+                ${suggestions.map((suggestion, index) => html`
+                <li class="suggestion-item">
+                    <span class="suggestion-label">${suggestion.label}:</span>
+                    <strong class="suggestion-prompt">${suggestion.prompt}</strong>
+                    <button type="button" class="btn btn-sm btn-outline-secondary suggestion-refresh" data-suggestion-index="${index}" aria-label="Another suggestion for ${suggestion.label}">↻</button>
+                </li>
+                `)}
+            </ul>
+            <div class="suggestion-actions">
+                <button type="button" class="btn btn-sm btn-outline-primary" data-suggestion-action="all">New suggestions</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary" data-suggestion-action="reset">Reset tonight's history</button>
+            </div>
+        `);
+    };
+
+    panel.addEventListener('click', (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        // Keep host mode from treating these clicks as navigation
+        event.stopPropagation();
+
+        if (button.dataset.suggestionIndex !== undefined) {
+            const suggestion = suggestions[parseInt(button.dataset.suggestionIndex, 10)];
+            suggestion.prompt = pickSuggestion(suggestion.bankId, { familyFriendly });
+        } else if (button.dataset.suggestionAction === 'all') {
+            suggestions = generateSuggestions(game);
+        } else if (button.dataset.suggestionAction === 'reset') {
+            clearSuggestionHistory();
+        }
+        render();
+    });
+
+    render();
+    return panel;
+}
+
+// Export functions for use in other modules
+window.Suggestions = {
+    PROMPT_BANKS,
+    getSuggestionNeeds,
+    getBankPrompts,
+    getShowNight,
+    getSuggestionHistory,
+    clearSuggestionHistory,
+    pickSuggestion,
+    generateSuggestions,
+    createSuggestionPanel
+};
@@ -0,0 +1,281 @@
+/**
+ * MUT Improv Games Data Validation
+ * Validates the games database against its JSON schema plus rules the schema can't express
+ */
+
+// The checks run over the database, in the order they are reported
+const DATA_CHECKS = [
+    { id: 'schema', description: 'Database matches data/mutgames.schema.json' },
+    { id: 'unique-ids', description: 'Game ids are unique across categories' },
+    { id: 'player-count', description: 'Player counts satisfy min <= optimal <= max' },
+    { id: 'tags', description: 'Every tag is declared in metadata.tags' },
+    { id: 'total-games', description: 'metadata.totalGames matches the number of games' },
+    { id: 'duration', description: 'Every duration is a minute range with min <= max' },
+    { id: 'audience', description: 'Audience volunteer counts satisfy min <= max' },
+    { id: 'video-links', description: 'Every video link is a YouTube video' },
+    { id: 'related', description: 'Related games point at other games in the database' }
+];
+
+/**
+ * Get the JSON type name of a value
+ */
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check a value against a JSON schema type ("integer" values also count as "number")
+ */
+function matchesType(value, type) {
+    const actual = getJsonType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Resolve a local "$ref" such as "#/definitions/game"
+ */
+function resolveRef(ref, rootSchema) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node && node[key], rootSchema);
+}
+
+/**
+ * Validate a value against a JSON schema (draft-07 subset used by mutgames.schema.json).
+ * Returns a list of { path, message } errors; an empty list means the value is valid.
+ */
+function validateAgainstSchema(value, schema, rootSchema = schema, path = '') {
+    if (schema.$ref) {
+        return validateAgainstSchema(value, resolveRef(schema.$ref, rootSchema), rootSchema, path);
+    }
+
+    const errors = [];
+    const fail = (message) => errors.push({ path: path || '(root)', message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`should be ${types.join(' or ')}, got ${getJsonType(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`should be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+    }
+
+    if (schema.oneOf) {
+        const matching = schema.oneOf.filter(option =>
+            validateAgainstSchema(value, option, rootSchema, path).length === 0
+        );
+        if (matching.length !== 1) {
+            fail(matching.length === 0 ?
+                'does not match any of the allowed shapes' :
+                'matches more than one of the allowed shapes');
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'should not be empty' : `should be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`${JSON.stringify(value)} does not match the expected format`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`should be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`should be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`should have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.uniqueItems) {
+            const seen = new Set();
+            value.forEach(item => {
+                const key = JSON.stringify(item);
+                if (seen.has(key)) fail(`contains ${key} more than once`);
+                seen.add(key);
+            });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, rootSchema, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (getJsonType(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) fail(`is missing required property "${key}"`);
+        });
+
+        Object.keys(value).forEach(key => {
+            const childPath = path ? `${path}.${key}` : key;
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(value[key], properties[key], rootSchema, childPath));
+            } else if (schema.additionalProperties === false) {
+                fail(`has unknown property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(value[key], schema.additionalProperties, rootSchema, childPath));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Describe where a game lives in the database, for error messages
+ */
+function describeGame(game, categoryIndex, gameIndex) {
+    const name = game && (game.id || game.name);
+    return `categories[${categoryIndex}].games[${gameIndex}]${name ? ` (${name})` : ''}`;
+}
+
+/**
+ * Add the game id to a schema error path such as "categories[0].games[3].duration"
+ */
+function nameGameInPath(data, path) {
+    return path.replace(/^categories\[(\d+)\]\.games\[(\d+)\]/, (match, categoryIndex, gameIndex) => {
+        const category = data.categories && data.categories[categoryIndex];
+        const game = category && Array.isArray(category.games) ? category.games[gameIndex] : null;
+        return describeGame(game, categoryIndex, gameIndex);
+    });
+}
+
+/**
+ * Call a function for every game in the database
+ */
+function forEachGame(data, callback) {
+    data.categories.forEach((category, categoryIndex) => {
+        (category.games || []).forEach((game, gameIndex) => {
+            callback(game, describeGame(game, categoryIndex, gameIndex));
+        });
+    });
+}
+
+/**
+ * Validate the whole database: schema plus cross-record rules.
+ * Returns a list of { check, path, message } errors, where check is one of DATA_CHECKS.
+ */
+function validateDatabase(data, schema) {
+    const errors = validateAgainstSchema(data, schema).map(error => ({
+        check: 'schema',
+        path: nameGameInPath(data, error.path),
+        message: error.message
+    }));
+    if (!data || !Array.isArray(data.categories)) return errors;
+
+    const fail = (check, path, message) => errors.push({ check, path, message });
+    const declaredTags = (data.metadata && data.metadata.tags) || {};
+    const seenIds = new Map();
+    let gameCount = 0;
+
+    forEachGame(data, (game, where) => {
+        gameCount++;
+
+        // Ids must be unique across every category
+        if (game.id) {
+            if (seenIds.has(game.id)) {
+                fail('unique-ids', where, `reuses the id "${game.id}" already used by ${seenIds.get(game.id)}`);
+            } else {
+                seenIds.set(game.id, where);
+            }
+        }
+
+        // Player counts must be ordered
+        const playerCount = game.playerCount;
+        if (playerCount && !(playerCount.min <= playerCount.optimal && playerCount.optimal <= playerCount.max)) {
+            fail('player-count', `${where}.playerCount`, `needs min <= optimal <= max, got ${playerCount.min}/${playerCount.optimal}/${playerCount.max}`);
+        }
+
+        // Tags must be declared in metadata.tags
+        (game.tags || []).forEach(tag => {
+            if (!declaredTags[tag]) {
+                fail('tags', `${where}.tags`, `uses tag "${tag}" which is not declared in metadata.tags`);
+            }
+        });
+
+        // Duration ranges must be ordered, and version 1 durations must be readable
+        // (migrateDatabase keeps the ones it can't read as "duration")
+        const durationMinutes = game.durationMinutes;
+        if (durationMinutes && !(durationMinutes.min <= durationMinutes.max)) {
+            fail('duration', `${where}.durationMinutes`, `needs min <= max, got ${durationMinutes.min}/${durationMinutes.max}`);
+        }
+        if (typeof game.duration === 'string') {
+            fail('duration', `${where}.duration`, `"${game.duration}" can't be read as minutes; write it like "5-10 minutes"`);
+        }
+
+        // Audience volunteer ranges must be ordered
+        const volunteers = game.audienceVolunteers;
+        if (volunteers && !(volunteers.min <= volunteers.max)) {
+            fail('audience', `${where}.audienceVolunteers`, `needs min <= max, got ${volunteers.min}/${volunteers.max}`);
+        }
+
+        // Video links must be embeddable
+        (game.videoLinks || []).forEach((link, index) => {
+            if (typeof link === 'string' && !window.GameData.extractYouTubeId(link)) {
+                fail('video-links', `${where}.videoLinks[${index}]`, `"${link}" is not a YouTube video link`);
+            }
+        });
+    });
+
+    // Related games must name another game (checked once every id has been seen)
+    forEachGame(data, (game, where) => {
+        (game.related || []).forEach((related, index) => {
+            if (!related || typeof related.id !== 'string') return;
+            if (related.id === game.id) {
+                fail('related', `${where}.related[${index}]`, 'points at the game itself');
+            } else if (!seenIds.has(related.id)) {
+                fail('related', `${where}.related[${index}]`, `points at "${related.id}" which is not a game id`);
+            }
+        });
+    });
+
+    const totalGames = data.metadata && data.metadata.totalGames;
+    if (totalGames !== gameCount) {
+        fail('total-games', 'metadata.totalGames', `is ${totalGames} but the database has ${gameCount} games`);
+    }
+
+    return errors;
+}
+
+/**
+ * Find games that are valid but incomplete (no rules or no tips yet).
+ * Returns a list of { path, message } warnings.
+ */
+function findDatabaseWarnings(data) {
+    const warnings = [];
+    if (!data || !Array.isArray(data.categories)) return warnings;
+
+    forEachGame(data, (game, where) => {
+        ['rules', 'tips'].forEach(field => {
+            if (Array.isArray(game[field]) && game[field].length === 0) {
+                warnings.push({ path: `${where}.${field}`, message: `has no ${field}` });
+            }
+        });
+    });
+
+    return warnings;
+}
+
+// Export functions for use in other modules
+window.Validation = {
+    DATA_CHECKS,
+    validateAgainstSchema,
+    validateDatabase,
+    findDatabaseWarnings
+};
@@ -0,0 +1,219 @@
+/**
+ * MUT Improv Games Virtual Grid
+ * Keeps long card lists quick to update: cards are kept by key and reused between
+ * renders, and only the rows near the viewport are in the page, with spacers
+ * standing in for the rows above and below
+ */
+
+// Lists up to this many cards are rendered in full
+const VIRTUAL_GRID_MIN_ITEMS = 60;
+
+// Rows kept in the page above and below the visible ones
+const VIRTUAL_GRID_OVERSCAN_ROWS = 3;
+
+// Cards kept for reuse, including ones the current list doesn't show
+const VIRTUAL_GRID_CACHE_LIMIT = 1000;
+
+/**
+ * Work out which items to render for a layout ({ columns, rowHeight, offset,
+ * viewportHeight }, where offset is how far the top of the grid is scrolled
+ * past the top of the viewport). Returns { start, end, before, after }: the
+ * item range, and the spacer heights standing in for the rows left out.
+ */
+function getVisibleRange(count, layout) {
+    const columns = Math.max(1, layout.columns);
+    const rows = Math.ceil(count / columns);
+    const visibleRows = Math.ceil(layout.viewportHeight / layout.rowHeight);
+
+    let firstRow = Math.floor(Math.max(0, layout.offset) / layout.rowHeight) - VIRTUAL_GRID_OVERSCAN_ROWS;
+    // A list that shrank while scrolled down still shows its last rows
+    firstRow = Math.max(0, Math.min(firstRow, rows - visibleRows - VIRTUAL_GRID_OVERSCAN_ROWS));
+    const lastRow = Math.min(rows, firstRow + visibleRows + VIRTUAL_GRID_OVERSCAN_ROWS * 2);
+
+    return {
+        start: firstRow * columns,
+        end: Math.min(count, lastRow * columns),
+        before: firstRow * layout.rowHeight,
+        after: (rows - lastRow) * layout.rowHeight
+    };
+}
+
+/**
+ * Measure the grid from the cards it has rendered: how many fit in a row, the
+ * height of a row (margins included) and where the viewport is. Returns null
+ * when there is nothing to measure yet or no layout to measure.
+ */
+function measureGridLayout(topSpacer, cards) {
+    if (cards.length === 0 || typeof window.innerHeight !== 'number' || !topSpacer.getBoundingClientRect) {
+        return null;
+    }
+
+    const firstTop = cards[0].offsetTop;
+    const columns = cards.filter(card => card.offsetTop === firstTop).length;
+    const rows = Math.ceil(cards.length / columns);
+    const rowHeight = rows > 1 ?
+        (cards[cards.length - 1].offsetTop - firstTop) / (rows - 1) :
+        cards[0].offsetHeight;
+    if (!rowHeight) return null;
+
+    return {
+        columns,
+        rowHeight,
+        offset: -topSpacer.getBoundingClientRect().top,
+        viewportHeight: window.innerHeight
+    };
+}
+
+/**
+ * Run a callback once on the next frame, however often it is scheduled
+ */
+function createFrameScheduler(callback) {
+    const requestFrame = window.requestAnimationFrame ?
+        window.requestAnimationFrame.bind(window) :
+        (frame) => setTimeout(frame, 16);
+    let scheduled = false;
+
+    return () => {
+        if (scheduled) return;
+        scheduled = true;
+        requestFrame(() => {
+            scheduled = false;
+            callback();
+        });
+    };
+}
+
+/**
+ * Create a grid rendering items as cards into a container (a Bootstrap .row).
+ * Options:
+ *   getKey(item)                  - stable key for an item
+ *   createElement(item)           - build the card for an item
+ *   updateElement(element, item)  - bring a reused card up to date (optional)
+ *   measure(topSpacer, cards)     - layout measurement, for tests (optional)
+ * A card is reused while its key maps to the same item; reloaded data gets new cards.
+ * Reused cards are updated once per render, not again as the page scrolls.
+ */
+function createVirtualGrid(container, { getKey, createElement, updateElement = () => {}, measure = measureGridLayout }) {
+    const cache = new Map();
+    let items = [];
+    let layout = null;
+    // Bumped on every render, so reused cards are brought up to date once per render
+    let generation = 0;
+
+    const createSpacer = () => {
+        const spacer = document.createElement('div');
+        spacer.className = 'col-12 virtual-grid-spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        spacer.style.height = '0px';
+        return spacer;
+    };
+    const topSpacer = createSpacer();
+    const bottomSpacer = createSpacer();
+
+    // Cards currently in the page, between the spacers
+    const getRenderedCards = () => {
+        const children = container.children;
+        const start = Array.prototype.indexOf.call(children, topSpacer);
+        const end = Array.prototype.indexOf.call(children, bottomSpacer);
+        return Array.prototype.slice.call(children, start + 1, end);
+    };
+
+    const getCard = (item) => {
+        const key = getKey(item);
+        const cached = cache.get(key);
+        cache.delete(key);
+
+        let element;
+        if (cached && cached.item === item) {
+            element = cached.element;
+            if (cached.generation !== generation) updateElement(element, item);
+        } else {
+            element = createElement(item);
+        }
+        cache.set(key, { item, element, generation });
+        return element;
+    };
+
+    // Forget the least recently used cards that aren't in the page
+    const trimCache = () => {
+        for (const [key, entry] of cache) {
+            if (cache.size <= VIRTUAL_GRID_CACHE_LIMIT) break;
+            if (entry.element.parentNode !== container) cache.delete(key);
+        }
+    };
+
+    const getRange = () => {
+        if (items.length <= VIRTUAL_GRID_MIN_ITEMS) {
+            return { start: 0, end: items.length, before: 0, after: 0 };
+        }
+        if (!layout) {
+            return { start: 0, end: VIRTUAL_GRID_MIN_ITEMS, before: 0, after: 0 };
+        }
+        return getVisibleRange(items.length, layout);
+    };
+
+    // Put exactly the cards in the range between the spacers, moving as few as possible
+    const reconcile = ({ start, end, before, after }) => {
+        const cards = items.slice(start, end).map(getCard);
+        const wanted = new Set(cards);
+        getRenderedCards().forEach(card => {
+            if (!wanted.has(card)) card.remove();
+        });
+
+        cards.forEach((card, index) => {
+            const current = container.children[index + 1];
+            if (current !== card) container.insertBefore(card, current);
+        });
+
+        topSpacer.style.height = `${before}px`;
+        bottomSpacer.style.height = `${after}px`;
+    };
+
+    const update = () => {
+        if (topSpacer.parentNode !== container) return;
+
+        layout = measure(topSpacer, getRenderedCards()) || layout;
+        const hadLayout = Boolean(layout);
+        reconcile(getRange());
+
+        // The first cards rendered show the layout; place the window with it straight away
+        if (!hadLayout && items.length > VIRTUAL_GRID_MIN_ITEMS) {
+            layout = measure(topSpacer, getRenderedCards());
+            if (layout) reconcile(getRange());
+        }
+        trimCache();
+    };
+
+    const scheduleUpdate = createFrameScheduler(update);
+    window.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+
+    return {
+        /**
+         * Show a new list of items, reusing the cards it shares with the last one
+         */
+        render(newItems) {
+            items = newItems;
+            generation++;
+
+            // Something else replaced the container's content (a message, an error)
+            if (topSpacer.parentNode !== container || bottomSpacer.parentNode !== container) {
+                container.innerHTML = '';
+                container.appendChild(topSpacer);
+                container.appendChild(bottomSpacer);
+            }
+            update();
+        },
+        update,
+        get renderedCount() {
+            return getRenderedCards().length;
+        }
+    };
+}
+
+// Export functions for use in other modules
+window.VirtualGrid = {
+    VIRTUAL_GRID_MIN_ITEMS,
+    getVisibleRange,
+    createVirtualGrid
+};
@@ -0,0 +1,45 @@
+/**
+ * MUT Improv Games Browser Scripts
+ * Loads the site's browser scripts for the command-line tools, so they check
+ * and render games with the same code as the site
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Load browser scripts into a sandbox with just enough of a window for their
+ * exports; globals (such as fetch) are added to it
+ */
+function loadBrowserScripts(files, globals = {}) {
+    const context = {
+        console,
+        URL,
+        document: { addEventListener() {} },
+        ...globals
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context.window;
+}
+
+/**
+ * Read a JSON file
+ */
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = {
+    ROOT,
+    loadBrowserScripts,
+    readJson
+};
@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * MUT Improv Games Page Build
+ * Writes a static page per game for search engines, link previews and readers
+ * without JavaScript, using the same markup as the game view:
+ *   node scripts/build-pages.js [--base-url https://example.org/] [path/to/mutgames.json]
+ * Writes games/<id>.html, a category index (games/index.html) and, with a base
+ * URL, sitemap.xml. The pages' scripts add the interactive parts when they load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadBrowserScripts, readJson } = require('./browser-scripts');
+
+// The scripts that render games, as loaded by the site
+const RENDER_SCRIPTS = [
+    'js/search-index.js',
+    'js/data.js',
+    'js/render.js',
+    'js/qr.js',
+    'js/print.js',
+    'js/validation.js',
+    'js/game-details.js'
+];
+
+// The scripts a game page loads to enhance its markup (the old game.html set)
+const GAME_PAGE_SCRIPTS = [
+    'js/bootstrap.bundle.min.js',
+    'js/theme.js',
+    'js/offline.js',
+    'js/search-index.js',
+    'js/data.js',
+    'js/render.js',
+    'js/files.js',
+    'js/collections.js',
+    'js/performances.js',
+    'js/suggestions.js',
+    'js/host-mode.js',
+    'js/qr.js',
+    'js/print.js',
+    'js/related.js',
+    'js/game-details.js'
+];
+
+const SITE_NAME = 'MUT Improv Games';
+const PAGES_DIR = 'games';
+
+// Search engines show about this much of a description
+const DESCRIPTION_LENGTH = 160;
+
+const THEME_ICON_PATH = 'M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.464 4.95l.707.707a1 1 0 001.414-1.414l-.707-.707a1 1 0 00-1.414 1.414zm2.12-10.607a1 1 0 010 1.414l-.706.707a1 1 0 11-1.414-1.414l.707-.707a1 1 0 011.414 0zM17 11a1 1 0 100-2h-1a1 1 0 100 2h1zm-7 4a1 1 0 011 1v1a1 1 0 11-2 0v-1a1 1 0 011-1zM5.05 6.464A1 1 0 106.465 5.05l-.708-.707a1 1 0 00-1.414 1.414l.707.707zm1.414 8.486l-.707.707a1 1 0 01-1.414-1.414l.707-.707a1 1 0 011.414 1.414zM4 11a1 1 0 100-2H3a1 1 0 000 2h1z';
+
+/**
+ * Load the render scripts with a database file standing in for data/mutgames.json
+ */
+async function loadSite(dataFile) {
+    const window = loadBrowserScripts(RENDER_SCRIPTS, {
+        fetch: async () => ({ ok: true, status: 200, json: async () => readJson(dataFile) })
+    });
+    if (!(await window.GameData.loadGamesData())) {
+        throw new Error(`Could not load ${dataFile}`);
+    }
+    return window;
+}
+
+/**
+ * Shorten text to a description length, at a word boundary
+ */
+function truncate(text, length = DESCRIPTION_LENGTH) {
+    const clean = String(text).replace(/\s+/g, ' ').trim();
+    if (clean.length <= length) return clean;
+    return `${clean.slice(0, length - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * Describe a game for search results and link previews
+ */
+function getGameDescription(window, game) {
+    const { formatPlayerCount, formatDuration } = window.GameData;
+    const summary = `${game.category} improv game for ${formatPlayerCount(game.playerCount)}, ${formatDuration(game.durationMinutes)}.`;
+    const setup = game.setup && game.setup.description ? ` ${game.setup.description}` : '';
+    return truncate(`${summary}${setup}`);
+}
+
+/**
+ * Get the path of a game's page, relative to the site root
+ */
+function getGamePagePath(gameId) {
+    return `${PAGES_DIR}/${gameId}.html`;
+}
+
+/**
+ * Build the <head> of a page: title, description and Open Graph tags.
+ * Pages live in games/, so a <base> points their links back at the site root.
+ */
+function renderHead(window, { title, description, pagePath, type, baseUrl }) {
+    const { html } = window.Render;
+    const url = baseUrl ? new URL(pagePath, baseUrl).href : null;
+
+    return html`
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <base href="../">
+    <title>${title} - ${SITE_NAME}</title>
+    <meta name="description" content="${description}">
+    ${url ? html`<link rel="canonical" href="${url}">` : ''}
+    <meta property="og:type" content="${type}">
+    <meta property="og:site_name" content="${SITE_NAME}">
+    <meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">
+    ${url ? html`<meta property="og:url" content="${url}">` : ''}
+    <meta name="twitter:card" content="summary">
+    <link href="css/bootstrap.min.css" rel="stylesheet">
+    <link href="css/style.css" rel="stylesheet">
+    <link rel="manifest" href="manifest.webmanifest">
+    <meta name="theme-color" content="#667eea">
+    <link rel="icon" href="icons/icon.svg" type="image/svg+xml">`;
+}
+
+/**
+ * Build a whole page around its content
+ */
+function renderPage(window, head, content, scripts = []) {
+    const { html } = window.Render;
+
+    return `${html`<!DOCTYPE html>
+<html lang="en">
+<head>${head}
+</head>
+<body>
+    <nav class="navbar navbar-expand-lg navbar-dark bg-dark">
+        <div class="container">
+            <a class="navbar-brand" href="index.html">${SITE_NAME}</a>
+            <button class="navbar-toggler" type="button" data-bs-toggle="collapse" data-bs-target="#navbarNav" aria-label="Toggle navigation">
+                <span class="navbar-toggler-icon"></span>
+            </button>
+            <div class="collapse navbar-collapse" id="navbarNav">
+                <ul class="navbar-nav ms-auto">
+                    <li class="nav-item">
+                        <a class="nav-link" href="index.html">Home</a>
+                    </li>
+                    <li class="nav-item">
+                        <a class="nav-link" href="${PAGES_DIR}/index.html">All Games</a>
+                    </li>
+                    <li class="nav-item">
+                        <a class="nav-link" href="lineup.html">Lineup Builder</a>
+                    </li>
+                    <li class="nav-item">
+                        <a class="nav-link" href="performances.html">Show Log</a>
+                    </li>
+                    <li class="nav-item">
+                        <a class="nav-link" href="cast.html">Cast</a>
+                    </li>
+                    <li class="nav-item">
+                        <a class="nav-link" href="editor.html">Game Editor</a>
+                    </li>
+                    <li class="nav-item">
+                        <button class="theme-toggle" id="themeToggle" aria-label="Toggle dark mode">
+                            <svg width="20" height="20" fill="currentColor" viewBox="0 0 20 20">
+                                <path fill-rule="evenodd" d="${THEME_ICON_PATH}" clip-rule="evenodd"/>
+                            </svg>
+                        </button>
+                    </li>
+                </ul>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mt-4">
+        ${content}
+    </div>
+
+    <footer class="bg-dark text-light mt-5 py-4">
+        <div class="container text-center">
+            <p>&copy; 2024 MUT Improv Games Database. Built for the improv community.</p>
+        </div>
+    </footer>
+${scripts.map(script => html`
+    <script src="${script}"></script>`)}
+</body>
+</html>`}\n`;
+}
+
+/**
+ * Build a game's page: the game view's markup, enhanced by game-details.js
+ */
+function renderGamePage(window, game, baseUrl) {
+    const { html } = window.Render;
+    const head = renderHead(window, {
+        title: game.name,
+        description: getGameDescription(window, game),
+        pagePath: getGamePagePath(game.id),
+        type: 'article',
+        baseUrl
+    });
+
+    const content = html`<!-- Breadcrumb -->
+        <nav aria-label="breadcrumb">
+            <ol class="breadcrumb">
+                <li class="breadcrumb-item"><a href="index.html">Back to Games</a></li>
+                <li class="breadcrumb-item"><a href="${PAGES_DIR}/index.html#${game.categoryId}">${game.category}</a></li>
+                <li class="breadcrumb-item active" id="breadcrumbGame" aria-current="page">${game.name}</li>
+            </ol>
+        </nav>
+
+        <!-- Game Details -->
+        <div id="gameContent" data-prerendered-game="${game.id}">
+            ${window.GameDetails.getGameDetailsHtml(game)}
+        </div>`;
+
+    return renderPage(window, head, content, GAME_PAGE_SCRIPTS);
+}
+
+/**
+ * Build the category index: every game, by category, linked to its page
+ */
+function renderIndexPage(window, data, baseUrl) {
+    const { html } = window.Render;
+    const { getGamesByCategory, formatPlayerCount, formatDuration } = window.GameData;
+    const gameCount = window.GameData.allGames.length;
+    const head = renderHead(window, {
+        title: 'All Games by Category',
+        description: truncate(`All ${gameCount} improv games in the ${SITE_NAME} database, by category, with players, length, setup, rules and tips for each.`),
+        pagePath: `${PAGES_DIR}/index.html`,
+        type: 'website',
+        baseUrl
+    });
+
+    const content = html`<h1 class="text-center mb-4">All Games by Category</h1>
+        <p class="text-center text-secondary mb-4">${gameCount} improv games. <a href="index.html">Search and filter them</a></p>
+        ${data.categories.map(category => html`
+        <section class="game-section" id="${category.id}">
+            <h2>${category.name}</h2>
+            ${category.description ? html`<p class="text-secondary">${category.description}</p>` : ''}
+            <ul class="list-unstyled">
+                ${getGamesByCategory(category.name).map(game => html`
+                <li class="mb-2"><a href="${getGamePagePath(game.id)}">${game.name}</a> <span class="text-secondary">${formatPlayerCount(game.playerCount)} • ${formatDuration(game.durationMinutes)}</span></li>`)}
+            </ul>
+        </section>`)}`;
+
+    return renderPage(window, head, content, ['js/bootstrap.bundle.min.js', 'js/theme.js', 'js/offline.js']);
+}
+
+/**
+ * Build sitemap.xml: the list page, the category index and every game page
+ */
+function renderSitemap(window, metadata, baseUrl) {
+    const { html } = window.Render;
+    const paths = ['', `${PAGES_DIR}/index.html`, ...window.GameData.allGames.map(game => getGamePagePath(game.id))];
+
+    return `${html`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${paths.map(pagePath => html`
+    <url>
+        <loc>${new URL(pagePath, baseUrl).href}</loc>${metadata.lastUpdated ? html`
+        <lastmod>${metadata.lastUpdated}</lastmod>` : ''}
+    </url>`)}
+</urlset>`}\n`;
+}
+
+/**
+ * Build every page into outputDir (the site root by default). Pages from an
+ * earlier build are removed first, so games that were deleted lose their page.
+ * Returns the paths written, relative to outputDir.
+ */
+async function buildPages({ dataFile = path.join(ROOT, 'data/mutgames.json'), outputDir = ROOT, baseUrl = null } = {}) {
+    const window = await loadSite(dataFile);
+    const data = window.GameData.migrateDatabase(readJson(dataFile));
+
+    // Game ids become file names, so only build from data that passes the checks
+    const errors = window.Validation.validateDatabase(data, readJson(path.join(ROOT, 'data/mutgames.schema.json')));
+    if (errors.length > 0) {
+        throw new Error(`${errors.length} problem(s) in ${dataFile}; run npm run check-data for details`);
+    }
+
+    const pagesDir = path.join(outputDir, PAGES_DIR);
+    fs.rmSync(pagesDir, { recursive: true, force: true });
+    fs.mkdirSync(pagesDir, { recursive: true });
+
+    const files = {
+        [`${PAGES_DIR}/index.html`]: renderIndexPage(window, data, baseUrl)
+    };
+    window.GameData.allGames.forEach(game => {
+        const file = getGamePagePath(game.id);
+        if (files[file]) throw new Error(`Game id "${game.id}" would overwrite ${file}`);
+        files[file] = renderGamePage(window, game, baseUrl);
+    });
+    if (baseUrl) {
+        files['sitemap.xml'] = renderSitemap(window, data.metadata || {}, baseUrl);
+    }
+
+    Object.entries(files).forEach(([file, content]) => {
+        fs.writeFileSync(path.join(outputDir, file), content);
+    });
+    return Object.keys(files);
+}
+
+/**
+ * Read the command line: an optional --base-url and database path
+ */
+function parseArguments(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--base-url') {
+            options.baseUrl = args[++i];
+        } else if (args[i].startsWith('--base-url=')) {
+            options.baseUrl = args[i].slice('--base-url='.length);
+        } else {
+            options.dataFile = path.resolve(args[i]);
+        }
+    }
+
+    // Page paths are resolved against the base URL, so it must end in a slash
+    if (options.baseUrl) {
+        options.baseUrl = new URL(options.baseUrl.replace(/\/?$/, '/')).href;
+    }
+    return options;
+}
+
+async function main() {
+    try {
+        const options = parseArguments(process.argv.slice(2));
+        const files = await buildPages(options);
+        console.log(`Wrote ${files.length} pages to ${path.relative(process.cwd(), ROOT) || '.'}`);
+        if (!options.baseUrl) {
+            console.log('No --base-url given: sitemap.xml, canonical links and og:url were left out');
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    buildPages,
+    parseArguments,
+    getGameDescription,
+    getGamePagePath
+};
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * MUT Improv Games Data Check
+ * Runs the same integrity checks as test.html from the command line:
+ *   node scripts/check-data.js [path/to/mutgames.json]
+ * Exits with status 1 when any check fails.
+ */
+
+const path = require('path');
+const { ROOT, loadBrowserScripts, readJson } = require('./browser-scripts');
+
+/**
+ * Check a database file the way the site reads it: older versions are migrated
+ * first, as the app and scripts/build-pages.js do
+ */
+function checkDatabase(dataFile, window = loadBrowserScripts(['js/data.js', 'js/validation.js'])) {
+    const data = window.GameData.migrateDatabase(readJson(dataFile));
+    const schema = readJson(path.join(ROOT, 'data/mutgames.schema.json'));
+
+    return {
+        errors: window.Validation.validateDatabase(data, schema),
+        warnings: window.Validation.findDatabaseWarnings(data)
+    };
+}
+
+function main() {
+    const dataFile = path.resolve(process.argv[2] || path.join(ROOT, 'data/mutgames.json'));
+    const window = loadBrowserScripts(['js/data.js', 'js/validation.js']);
+    const { errors, warnings } = checkDatabase(dataFile, window);
+
+    console.log(`Checking ${path.relative(process.cwd(), dataFile) || dataFile}\n`);
+    window.Validation.DATA_CHECKS.forEach(check => {
+        const failures = errors.filter(error => error.check === check.id);
+        console.log(`${failures.length === 0 ? 'PASS' : 'FAIL'}  ${check.description}`);
+        failures.forEach(error => console.log(`      ${error.path} ${error.message}`));
+    });
+
+    if (warnings.length > 0) {
+        console.log(`\nWARN  ${warnings.length} incomplete field(s):`);
+        warnings.forEach(warning => console.log(`      ${warning.path} ${warning.message}`));
+    }
+
+    console.log(`\n${errors.length === 0 ? 'All checks passed' : `${errors.length} problem(s) found`}`);
+    process.exitCode = errors.length === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    checkDatabase
+};
@@ -0,0 +1,154 @@
+/**
+ * MUT Improv Games Service Worker
+ * Pre-caches the app and game database so the site works without a connection
+ */
+
+const CACHE_NAME = 'mutgames-v1';
+const DATA_URL = 'data/mutgames.json';
+
+// Everything needed to browse games offline
+const APP_SHELL = [
+    './',
+    'index.html',
+    'game.html',
+    'lineup.html',
+    'performances.html',
+    'cast.html',
+    'print.html',
+    'editor.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/bootstrap.min.css',
+    'css/style.css',
+    'js/bootstrap.bundle.min.js',
+    'js/theme.js',
+    'js/offline.js',
+    'js/search-index.js',
+    'js/data.js',
+    'js/render.js',
+    'js/qr.js',
+    'js/print.js',
+    'js/export.js',
+    'js/query-parser.js',
+    'js/files.js',
+    'js/collections.js',
+    'js/performances.js',
+    'js/cast.js',
+    'js/virtual-grid.js',
+    'js/search.js',
+    'js/picker.js',
+    'js/app.js',
+    'js/suggestions.js',
+    'js/host-mode.js',
+    'js/related.js',
+    'js/game-details.js',
+    'js/router.js',
+    'js/lineup.js',
+    'js/validation.js',
+    'js/editor.js',
+    'js/import.js',
+    DATA_URL,
+    'data/mutgames.schema.json'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.endsWith(`/${DATA_URL}`)) {
+        event.respondWith(handleDataRequest(event));
+    } else {
+        event.respondWith(handleAppRequest(event));
+    }
+});
+
+/**
+ * Serve app files from the cache, refreshing the cached copy in the background
+ */
+async function handleAppRequest(event) {
+    const cache = await caches.open(CACHE_NAME);
+    // Pages are cached without their query string (index.html?q=..., game.html?id=... redirects)
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+
+    const refresh = fetch(event.request).then(response => {
+        if (response.ok) {
+            const url = new URL(event.request.url);
+            cache.put(url.origin + url.pathname, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Serve the game database from the cache and check the network for a newer version.
+ * When a newer version arrives, cache it and tell open pages to reload their data.
+ */
+async function handleDataRequest(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(DATA_URL, { ignoreSearch: true });
+
+    const refresh = fetch(event.request).then(async response => {
+        if (!response.ok) return response;
+
+        const fresh = await response.clone().json();
+        const previous = cached ? await cached.clone().json() : null;
+        await cache.put(DATA_URL, response.clone());
+
+        if (previous && isNewerData(fresh.metadata, previous.metadata)) {
+            notifyClients({ type: 'data-updated', metadata: fresh.metadata });
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Compare database metadata by version, then by lastUpdated date
+ */
+function isNewerData(fresh = {}, previous = {}) {
+    const freshVersion = String(fresh.version || '0').split('.').map(Number);
+    const previousVersion = String(previous.version || '0').split('.').map(Number);
+
+    for (let i = 0; i < Math.max(freshVersion.length, previousVersion.length); i++) {
+        const difference = (freshVersion[i] || 0) - (previousVersion[i] || 0);
+        if (difference !== 0) return difference > 0;
+    }
+    return (fresh.lastUpdated || '') > (previous.lastUpdated || '');
+}
+
+/**
+ * Send a message to every open page
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
@@ -0,0 +1,142 @@
+/**
+ * Tests for scripts/build-pages.js: the pre-rendered game pages, category index and sitemap
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURE_DATA, loadApp, loadGameData } = require('./helpers/load-app');
+const { buildPages, parseArguments } = require('../scripts/build-pages');
+
+const BASE_URL = 'https://games.example.org/';
+
+const outputDirs = [];
+test.after(() => outputDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Build the fixture's pages into a temporary directory
+ */
+async function build(options = {}) {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mutgames-pages-'));
+    outputDirs.push(outputDir);
+    const files = await buildPages({ dataFile: FIXTURE_DATA, outputDir, ...options });
+    const read = (file) => fs.readFileSync(path.join(outputDir, file), 'utf8');
+    return { outputDir, files, read };
+}
+
+/**
+ * Get the pre-rendered game content from a game page
+ */
+function getPrerenderedContent(page) {
+    const match = page.match(/<div id="gameContent" data-prerendered-game="[^"]*">([\s\S]*)<\/div>\s*<\/div>\s*<footer/);
+    assert.ok(match, 'page has pre-rendered game content');
+    return match[1];
+}
+
+test('a page is written for every game, plus the category index and sitemap', async () => {
+    const { files, read } = await build({ baseUrl: BASE_URL });
+
+    assert.deepEqual([...files].sort(), [
+        'games/bippity_bop.html',
+        'games/freeze_tag.html',
+        'games/index.html',
+        'games/interrogation.html',
+        'games/party_quirks.html',
+        'games/scattergories.html',
+        'games/sit_stand_lie.html',
+        'sitemap.xml'
+    ]);
+
+    const sitemap = read('sitemap.xml');
+    const locations = [...sitemap.matchAll(/<loc>([^<]*)<\/loc>/g)].map(match => match[1]);
+    assert.equal(locations.length, 8);
+    assert.deepEqual(locations.slice(0, 3), [BASE_URL, `${BASE_URL}games/index.html`, `${BASE_URL}games/bippity_bop.html`]);
+    assert.match(sitemap, /<lastmod>2026-01-10<\/lastmod>/);
+});
+
+test('game pages carry their own title, description and Open Graph tags', async () => {
+    const { read } = await build({ baseUrl: BASE_URL });
+    const page = read('games/party_quirks.html');
+
+    assert.match(page, /<title>Party Quirks - MUT Improv Games<\/title>/);
+    assert.match(page, /<meta name="description" content="Guessing Games improv game for [^"]*, 5-10 minutes\. [^"]+">/);
+    assert.match(page, /<meta property="og:title" content="Party Quirks">/);
+    assert.match(page, /<meta property="og:type" content="article">/);
+    assert.match(page, /<meta property="og:url" content="https:\/\/games\.example\.org\/games\/party_quirks\.html">/);
+    assert.match(page, /<link rel="canonical" href="https:\/\/games\.example\.org\/games\/party_quirks\.html">/);
+    assert.match(page, /<base href="\.\.\/">/);
+
+    const description = page.match(/<meta name="description" content="([^"]*)">/)[1];
+    assert.ok(description.length <= 160, `description is ${description.length} characters`);
+});
+
+test('game pages use the markup of the game view', async () => {
+    const { read } = await build();
+    const window = await loadGameData(['js/render.js', 'js/qr.js', 'js/print.js', 'js/game-details.js'], {
+        html: '<div id="gameContent"></div><div id="prerendered"></div>'
+    });
+    const { document, GameData, GameDetails, Render } = window;
+
+    // The game view renders this markup, then adds its controls and sections
+    Render.setHtml(document.getElementById('gameContent'), GameDetails.getGameDetailsHtml(GameData.getGameById('freeze_tag')));
+    const prerendered = document.getElementById('prerendered');
+    prerendered.innerHTML = getPrerenderedContent(read('games/freeze_tag.html'));
+
+    assert.equal(prerendered.innerHTML.trim(), document.getElementById('gameContent').innerHTML.trim());
+    assert.equal(prerendered.querySelector('.game-title-large').textContent, 'Freeze Tag');
+});
+
+test('the scripts enhance a pre-rendered page instead of replacing it', async () => {
+    const { read } = await build();
+    const page = read('games/sit_stand_lie.html');
+    const window = loadApp(['js/theme.js', 'js/search-index.js', 'js/data.js', 'js/render.js', 'js/related.js', 'js/game-details.js'], {
+        html: `<div id="gameContent" data-prerendered-game="sit_stand_lie">${getPrerenderedContent(page)}</div>`
+    });
+    const content = window.document.getElementById('gameContent');
+    const title = content.querySelector('.game-title-large');
+
+    await window.GameDetails.initPrerenderedGame();
+
+    assert.equal(content.querySelector('.game-title-large'), title);
+    assert.match(content.querySelector('.related-games-slot').textContent, /Freeze Tag/);
+});
+
+test('the category index links every game by category', async () => {
+    const { read } = await build();
+    const index = read('games/index.html');
+
+    const headings = [...index.matchAll(/<h2>([^<]*)<\/h2>/g)].map(match => match[1]);
+    assert.deepEqual(headings, ['Opening Games', 'Scene Games', 'Guessing Games']);
+    assert.match(index, /<a href="games\/party_quirks\.html">Party Quirks<\/a>/);
+    assert.match(index, /<title>All Games by Category - MUT Improv Games<\/title>/);
+});
+
+test('without a base URL there is no sitemap or canonical link', async () => {
+    const { files, read } = await build();
+
+    assert.ok(!files.includes('sitemap.xml'));
+    assert.doesNotMatch(read('games/freeze_tag.html'), /rel="canonical"|og:url/);
+});
+
+test('pages from an earlier build are removed, and bad data is not built', async () => {
+    const { outputDir } = await build();
+    fs.writeFileSync(path.join(outputDir, 'games/deleted_game.html'), '');
+
+    await buildPages({ dataFile: FIXTURE_DATA, outputDir });
+    assert.ok(!fs.existsSync(path.join(outputDir, 'games/deleted_game.html')));
+
+    const badData = JSON.parse(fs.readFileSync(FIXTURE_DATA, 'utf8'));
+    badData.categories[0].games[0].id = '../escape';
+    const badFile = path.join(outputDir, 'bad.json');
+    fs.writeFileSync(badFile, JSON.stringify(badData));
+    await assert.rejects(buildPages({ dataFile: badFile, outputDir }), /problem\(s\)/);
+});
+
+test('parseArguments reads the base URL and database path', () => {
+    assert.deepEqual(parseArguments(['--base-url', 'https://games.example.org/mut']),
+        { baseUrl: 'https://games.example.org/mut/' });
+    assert.deepEqual(parseArguments(['--base-url=https://games.example.org/', 'data.json']),
+        { baseUrl: BASE_URL, dataFile: path.resolve('data.json') });
+});
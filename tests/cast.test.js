@@ -0,0 +1,132 @@
+/**
+ * Tests for js/cast.js: the roster, the skills games need and matching games to tonight's cast
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGameData } = require('./helpers/load-app');
+
+const loadCast = async (scripts = [], options = {}) => {
+    const window = await loadGameData(['js/render.js', 'js/cast.js', ...scripts], options);
+    const { Cast } = window;
+    Cast.addPlayer('Ana', { sings: true, physical: true });
+    Cast.addPlayer('Ben', { physical: true });
+    Cast.addPlayer('Cy');
+    Cast.addPlayer('Di');
+    return window;
+};
+
+const ids = (games) => [...games].map(game => game.id);
+
+const musicalGame = {
+    id: 'doo_wop',
+    name: 'Doo Wop',
+    category: 'Musical Games',
+    playerCount: { min: 2, max: 4, optimal: 3 },
+    tags: []
+};
+
+const accentGame = {
+    id: 'tea_party',
+    name: 'Tea Party',
+    category: 'Scene Games',
+    playerCount: { min: 2, max: 4, optimal: 3 },
+    tags: ['accents']
+};
+
+test('the roster is stored and tonight\'s cast is whoever is present', async () => {
+    const { Cast, localStorage } = await loadCast();
+
+    const roster = Cast.getRoster();
+    assert.deepEqual([...roster].map(player => player.name), ['Ana', 'Ben', 'Cy', 'Di']);
+    assert.equal(roster[0].sings, true);
+    assert.equal(roster[1].accents, false);
+    assert.equal(JSON.parse(localStorage.getItem('castRoster')).length, 4);
+
+    Cast.updatePlayer(roster[3].id, { present: false });
+    assert.deepEqual([...Cast.getTonightCast()].map(player => player.name), ['Ana', 'Ben', 'Cy']);
+
+    Cast.removePlayer(roster[2].id);
+    assert.deepEqual([...Cast.getTonightCast()].map(player => player.name), ['Ana', 'Ben']);
+});
+
+test('games needing a singer or accents are ruled out without one', async () => {
+    const { Cast } = await loadCast();
+    const [ana, ben, cy] = Cast.getRoster();
+
+    assert.deepEqual([...Cast.getGameSkills(musicalGame)].map(skill => skill.tag), ['singing']);
+
+    const noSinger = Cast.scoreGameForCast(musicalGame, [ben, cy]);
+    assert.equal(noSinger.score, 0);
+    assert.deepEqual([...noSinger.reasons], ['Needs someone who sings']);
+
+    // One singer will do at the optimal size; a second one is safer
+    assert.equal(Cast.scoreGameForCast(musicalGame, [ana, ben, cy]).score, 75);
+    assert.equal(Cast.scoreGameForCast(musicalGame, [ana, { ...ben, sings: true }, cy]).score, 100);
+
+    assert.equal(Cast.scoreGameForCast(accentGame, [ana, ben, cy]).score, 0);
+    assert.equal(Cast.scoreGameForCast(accentGame, [ana, ben, { ...cy, accents: true }]).score, 75);
+});
+
+test('scores follow the optimal cast size and how many players like physical games', async () => {
+    const { Cast, GameData } = await loadCast();
+    const cast = Cast.getTonightCast();
+
+    const partyQuirks = Cast.scoreGameForCast(GameData.getGameById('party_quirks'), cast);
+    assert.equal(partyQuirks.score, 100);
+    assert.deepEqual([...partyQuirks.reasons], ['Optimal cast size']);
+
+    // 4 players against an optimal 6 in a 4-10 range, and half the cast likes physical games
+    const freezeTag = Cast.scoreGameForCast(GameData.getGameById('freeze_tag'), cast);
+    assert.equal(freezeTag.score, 54);
+    assert.deepEqual([...freezeTag.reasons], ['2 of 4 players who like physical games']);
+
+    const sitStandLie = Cast.scoreGameForCast(GameData.getGameById('sit_stand_lie'), cast);
+    assert.equal(sitStandLie.score, 0);
+    assert.deepEqual([...sitStandLie.reasons], ['Needs 3 players']);
+
+    assert.equal(Cast.scoreGameForCast(GameData.getGameById('party_quirks'), []), null);
+});
+
+test('suggestions only include playable games, best match first', async () => {
+    const { Cast, GameData } = await loadCast();
+    const cast = Cast.getTonightCast();
+
+    const suggestions = Cast.suggestGamesForCast(cast);
+    assert.deepEqual([...suggestions].map(({ game }) => game.id),
+        ['party_quirks', 'scattergories', 'bippity_bop', 'freeze_tag', 'interrogation']);
+    assert.equal(suggestions[0].match.score, 100);
+
+    assert.deepEqual([...Cast.suggestGamesForCast(cast, GameData.getGamesByCategory('Guessing Games'))]
+        .map(({ game }) => game.id), ['party_quirks', 'scattergories', 'interrogation']);
+    assert.equal(Cast.suggestGamesForCast([]).length, 0);
+});
+
+test('game cards show the cast match and the list can be sorted by it', async () => {
+    const window = await loadCast(['js/query-parser.js', 'js/virtual-grid.js', 'js/search.js'], {
+        html: `
+            <input id="searchInput">
+            <select id="sortOrder"></select>
+            <p id="resultsInfo"></p>
+            <div id="gamesContainer"></div>
+        `
+    });
+    window.GameSearch.initSearch();
+
+    window.document.getElementById('sortOrder').value = 'cast-match';
+    window.GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    assert.deepEqual(ids(window.GameData.filteredGames),
+        ['party_quirks', 'scattergories', 'bippity_bop', 'freeze_tag', 'interrogation', 'sit_stand_lie']);
+
+    const container = window.document.createElement('div');
+    window.GameSearch.renderGames([window.GameData.getGameById('freeze_tag'), window.GameData.getGameById('sit_stand_lie')], container);
+    const matches = container.querySelectorAll('.game-match');
+    assert.equal(matches[0].textContent, 'Cast match: 54%');
+    assert.equal(matches[0].title, '2 of 4 players who like physical games');
+    assert.equal(matches[1].textContent, 'Not for tonight\'s cast: Needs 3 players');
+
+    // No cast tonight, no match line
+    window.Cast.getRoster().forEach(player => window.Cast.updatePlayer(player.id, { present: false }));
+    window.GameSearch.renderGames(window.GameData.allGames, container);
+    assert.equal(container.querySelectorAll('.game-match').length, 0);
+});
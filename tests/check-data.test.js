@@ -0,0 +1,35 @@
+/**
+ * Tests for scripts/check-data.js: checking a database file from the command line
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FIXTURE_DATA } = require('./helpers/load-app');
+const { checkDatabase } = require('../scripts/check-data');
+
+const tempDirs = [];
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+test('a version 1 database is migrated before it is checked', () => {
+    const { errors } = checkDatabase(FIXTURE_DATA);
+
+    assert.deepEqual([...errors].map(error => `${error.path} ${error.message}`), []);
+});
+
+test('a version 1 duration that cannot be read is reported as such', () => {
+    const data = JSON.parse(fs.readFileSync(FIXTURE_DATA, 'utf8'));
+    data.categories[1].games[0].duration = 'as long as it is funny';
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mutgames-check-'));
+    tempDirs.push(dir);
+    const dataFile = path.join(dir, 'mutgames.json');
+    fs.writeFileSync(dataFile, JSON.stringify(data));
+
+    const durationErrors = checkDatabase(dataFile).errors.filter(error => error.check === 'duration');
+
+    assert.deepEqual([...durationErrors].map(error => `${error.path} ${error.message}`), [
+        'categories[1].games[0] (freeze_tag).duration "as long as it is funny" can\'t be read as minutes; write it like "5-10 minutes"'
+    ]);
+});
@@ -0,0 +1,20 @@
+/**
+ * Runs the data integrity checks from js/validation.js over data/mutgames.json
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ROOT, loadApp } = require('./helpers/load-app');
+
+const data = require(path.join(ROOT, 'data/mutgames.json'));
+const schema = require(path.join(ROOT, 'data/mutgames.schema.json'));
+const { Validation } = loadApp(['js/search-index.js', 'js/data.js', 'js/validation.js']);
+const errors = Validation.validateDatabase(data, schema);
+
+Validation.DATA_CHECKS.forEach(check => {
+    test(check.description, () => {
+        const failures = errors.filter(error => error.check === check.id);
+        assert.deepEqual([...failures].map(error => `${error.path} ${error.message}`), []);
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for js/data.js: loading, search, filters and formatting helpers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, loadGameData } = require('./helpers/load-app');
+
+const ids = (games) => [...games].map(game => game.id);
+
+test('loadGamesData loads every fixture game with its category', async () => {
+    const window = await loadGameData();
+    const { GameData } = window;
+
+    assert.equal(GameData.allGames.length, 6);
+    assert.deepEqual([...GameData.getCategories()], ['Guessing Games', 'Opening Games', 'Scene Games']);
+    assert.equal(GameData.getGameById('freeze_tag').category, 'Scene Games');
+    assert.equal(GameData.getGameById('freeze_tag').categoryId, 'scene_games');
+    assert.equal(GameData.getMetadata().lastUpdated, '2026-01-10');
+});
+
+test('loadGamesData reports failure when the database cannot be fetched', async () => {
+    const window = loadApp(['js/search-index.js', 'js/data.js'], {
+        fetch: async () => ({ ok: false, status: 500 }),
+        console: { log() {}, error() {} }
+    });
+
+    assert.equal(await window.GameData.loadGamesData(), false);
+    assert.equal(window.GameData.allGames.length, 0);
+});
+
+test('searchGames returns every game for an empty query', async () => {
+    const { GameData } = await loadGameData();
+
+    assert.equal(GameData.searchGames('').length, 6);
+    assert.equal(GameData.searchGames('   ').length, 6);
+});
+
+test('searchGames ranks name matches first and finds aliases', async () => {
+    const { GameData } = await loadGameData();
+
+    assert.equal(GameData.searchGames('freeze')[0].id, 'freeze_tag');
+    assert.deepEqual(ids(GameData.searchGames('zip zap')), ['bippity_bop']);
+});
+
+test('searchGames tolerates typos and requires every word', async () => {
+    const { GameData } = await loadGameData();
+
+    assert.equal(GameData.searchGames('scatergories')[0].id, 'scattergories');
+    assert.deepEqual(ids(GameData.searchGames('host quirk')), ['party_quirks']);
+    assert.equal(GameData.searchGames('xylophone').length, 0);
+});
+
+test('filterGames filters by category, difficulty and audience participation', async () => {
+    const { GameData } = await loadGameData();
+    const games = GameData.allGames;
+
+    assert.deepEqual(ids(GameData.filterGames(games, { category: 'Scene Games' })).sort(), ['freeze_tag', 'sit_stand_lie']);
+    assert.deepEqual(ids(GameData.filterGames(games, { difficulty: 'advanced' })), ['sit_stand_lie']);
+    assert.deepEqual(ids(GameData.filterGames(games, { audienceParticipation: true })), ['party_quirks']);
+    assert.equal(GameData.filterGames(games, {}).length, 6);
+});
+
+test('filterGames filters by cast size and player range', async () => {
+    const { GameData } = await loadGameData();
+    const games = GameData.allGames;
+
+    const forThree = ids(GameData.filterGames(games, { players: 3 })).sort();
+    assert.deepEqual(forThree, ['interrogation', 'sit_stand_lie']);
+
+    const optimalSix = ids(GameData.filterGames(games, { players: 6, optimalOnly: true })).sort();
+    assert.deepEqual(optimalSix, ['freeze_tag', 'scattergories']);
+
+    const range = ids(GameData.filterGames(games, { minPlayers: 10, maxPlayers: 12 })).sort();
+    assert.deepEqual(range, ['bippity_bop', 'freeze_tag']);
+});
+
+test('filterGames requires every tag and drops excluded terms', async () => {
+    const { GameData } = await loadGameData();
+    const games = GameData.allGames;
+
+    assert.deepEqual(ids(GameData.filterGames(games, { tags: ['family_friendly', 'jam_friendly'] })), ['bippity_bop']);
+    assert.ok(!ids(GameData.filterGames(games, { exclude: ['freeze'] })).includes('freeze_tag'));
+});
+
+test('filterGames drops excluded tags, categories and difficulties', async () => {
+    const { GameData } = await loadGameData();
+    const games = GameData.allGames;
+
+    assert.deepEqual(ids(GameData.filterGames(games, { excludeTags: ['jam_friendly', 'physical'] })).sort(),
+        ['interrogation', 'party_quirks', 'scattergories']);
+    assert.deepEqual(ids(GameData.filterGames(games, { excludeCategories: ['Guessing Games', 'Scene Games'] })),
+        ['bippity_bop']);
+    assert.deepEqual(ids(GameData.filterGames(games, { excludeDifficulties: ['beginner'] })).sort(),
+        ['freeze_tag', 'interrogation', 'sit_stand_lie']);
+});
+
+test('formatPlayerCount shows the range and optimal count', async () => {
+    const { GameData } = await loadGameData();
+
+    assert.equal(GameData.formatPlayerCount({ min: 2, max: 8, optimal: 4 }), '2-8 players (optimal: 4)');
+    assert.equal(GameData.formatPlayerCount({ min: 3, max: 3, optimal: 3 }), '3 players');
+});
+
+test('extractYouTubeId recognises watch, short and embed links only', async () => {
+    const { GameData } = await loadGameData();
+
+    assert.equal(GameData.extractYouTubeId('https://www.youtube.com/watch?v=dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+    assert.equal(GameData.extractYouTubeId('https://youtu.be/abcdefghijk?t=42'), 'abcdefghijk');
+    assert.equal(GameData.extractYouTubeId('https://www.youtube.com/embed/dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+    assert.equal(GameData.extractYouTubeId('https://www.youtube.com/@WatchMojo'), null);
+    assert.equal(GameData.extractYouTubeId('https://example.com/watch?v=dQw4w9WgXcQ'), null);
+});
+
+test('parseDuration reads minute ranges', async () => {
+    const { GameData } = await loadGameData();
+
+    assert.deepEqual({ ...GameData.parseDuration('5-10 minutes') }, { min: 5, max: 10 });
+    assert.deepEqual({ ...GameData.parseDuration('10 minutes') }, { min: 10, max: 10 });
+    assert.equal(GameData.parseDuration('a while'), null);
+});
+
+test('loadGamesData upgrades a version 1 database to minute ranges and audience volunteers', async () => {
+    const { GameData } = await loadGameData();
+    const partyQuirks = GameData.getGameById('party_quirks');
+
+    assert.equal(GameData.getMetadata().version, GameData.CURRENT_DATA_VERSION);
+    assert.deepEqual({ ...GameData.getGameById('freeze_tag').durationMinutes }, { min: 5, max: 8 });
+    assert.equal(partyQuirks.duration, undefined);
+    assert.deepEqual({ ...partyQuirks.audienceVolunteers }, { min: 3, max: 3, description: '3 suggestions' });
+    assert.equal(partyQuirks.audienceCount, undefined);
+
+    const current = { metadata: { version: '2.0' }, categories: [] };
+    assert.equal(GameData.migrateDatabase(current), current);
+});
+
+test('parseAudienceCount reads volunteer ranges and defaults to one', async () => {
+    const { GameData } = await loadGameData();
+
+    assert.deepEqual({ ...GameData.parseAudienceCount('1-2 guessers') }, { min: 1, max: 2, description: '1-2 guessers' });
+    assert.deepEqual({ ...GameData.parseAudienceCount('A volunteer') }, { min: 1, max: 1, description: 'A volunteer' });
+});
+
+test('formatDuration shows a single length or a range', async () => {
+    const { GameData } = await loadGameData();
+
+    assert.equal(GameData.formatDuration({ min: 5, max: 10 }), '5-10 minutes');
+    assert.equal(GameData.formatDuration({ min: 1, max: 1 }), '1 minute');
+    assert.equal(GameData.formatDuration(undefined), 'Not specified');
+});
+
+test('filterGames keeps games whose length overlaps the minute range', async () => {
+    const { GameData } = await loadGameData();
+    const games = GameData.allGames;
+
+    assert.deepEqual(ids(GameData.filterGames(games, { minMinutes: 11 })).sort(), ['scattergories', 'sit_stand_lie']);
+    assert.deepEqual(ids(GameData.filterGames(games, { maxMinutes: 7 })).sort(),
+        ['bippity_bop', 'freeze_tag', 'interrogation', 'party_quirks']);
+    assert.deepEqual(ids(GameData.filterGames(games, { minMinutes: 9, maxMinutes: 9 })).sort(),
+        ['bippity_bop', 'interrogation', 'party_quirks', 'sit_stand_lie']);
+});
+
+test('sortGamesByDuration orders by length and puts untimed games last', async () => {
+    const { GameData } = await loadGameData();
+    const games = [...GameData.allGames, { id: 'untimed' }];
+
+    assert.deepEqual(ids(GameData.sortGamesByDuration(games, 'shortest')),
+        ['freeze_tag', 'bippity_bop', 'interrogation', 'party_quirks', 'sit_stand_lie', 'scattergories', 'untimed']);
+    assert.deepEqual(ids(GameData.sortGamesByDuration(games, 'longest')),
+        ['scattergories', 'sit_stand_lie', 'bippity_bop', 'interrogation', 'party_quirks', 'freeze_tag', 'untimed']);
+    assert.equal(GameData.sortGamesByDuration(games, 'relevance'), games);
+});
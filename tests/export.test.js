@@ -0,0 +1,159 @@
+/**
+ * Tests for js/export.js: CSV, Markdown and cue sheet exports of the listed games
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGameData } = require('./helpers/load-app');
+
+const loadExport = (options = {}) => loadGameData(['js/files.js', 'js/export.js'], options);
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows of fields
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' && text[i + 1] === '\n') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            i++;
+        } else {
+            field += char;
+        }
+    }
+    return rows;
+}
+
+test('role tips flatten to "Role: tip" lines', async () => {
+    const { GameExport, GameData } = await loadExport();
+
+    assert.deepEqual([...GameExport.flattenTips(GameData.getGameById('freeze_tag').tips)], [
+        'Justify the physical position.',
+        'Players on the backline: Freeze early rather than late.'
+    ]);
+    assert.equal(GameExport.flattenTips(undefined).length, 0);
+});
+
+test('CSV has one row per game with player counts, tags and category flattened', async () => {
+    const { GameExport, GameData } = await loadExport();
+    const games = [GameData.getGameById('freeze_tag'), GameData.getGameById('party_quirks')];
+
+    const rows = parseCsv(GameExport.toCsv(games));
+    assert.equal(rows.length, 3);
+    const header = rows[0];
+    const freezeTag = Object.fromEntries(header.map((column, i) => [column, rows[1][i]]));
+
+    assert.equal(freezeTag.category, 'Scene Games');
+    assert.equal(freezeTag.minPlayers, '4');
+    assert.equal(freezeTag.maxPlayers, '10');
+    assert.equal(freezeTag.optimalPlayers, '6');
+    assert.equal(freezeTag.tags, 'jam_friendly; physical');
+    assert.equal(freezeTag.tips, 'Justify the physical position.\nPlayers on the backline: Freeze early rather than late.');
+    assert.equal(freezeTag.rules.split('\n').length, 2);
+    assert.equal(rows[2][header.indexOf('tips')],
+        'Host: Interact with every guest.\nGuests: Make the quirk bigger if the host is stuck.');
+});
+
+test('CSV quotes awkward fields and defuses formulas', async () => {
+    const { GameExport } = await loadExport();
+    const game = {
+        id: 'odd',
+        name: 'Say "Yes, And"',
+        category: '=HYPERLINK("x")',
+        difficulty: 'beginner',
+        playerCount: { min: 2, max: 4, optimal: 3 },
+        durationMinutes: { min: 5, max: 5 },
+        setup: { description: '' },
+        rules: [],
+        tips: []
+    };
+
+    const csv = GameExport.toCsv([game]);
+    const row = parseCsv(csv)[1];
+    assert.equal(row[1], 'Say "Yes, And"');
+    assert.equal(row[2], '\'=HYPERLINK("x")');
+
+    // Any leading dash, tab or carriage return is defused too
+    const dashes = parseCsv(GameExport.toCsv([{
+        ...game,
+        name: '-SUM(1,2)',
+        category: '- Say it twice',
+        setup: { description: '\t=1+1' }
+    }]))[1];
+    assert.equal(dashes[1], '\'-SUM(1,2)');
+    assert.equal(dashes[2], '\'- Say it twice');
+    assert.equal(dashes[13], '\'\t=1+1');
+    assert.ok(GameExport.serializeGames([game], 'csv').startsWith('\uFEFFid,name,'));
+    assert.throws(() => GameExport.serializeGames([game], 'pdf'), /Unknown export format/);
+});
+
+test('Markdown has a heading per game with rules and tips as lists', async () => {
+    const { GameExport, GameData } = await loadExport();
+    const markdown = GameExport.toMarkdown([GameData.getGameById('freeze_tag'), GameData.getGameById('party_quirks')]);
+    const lines = markdown.split('\n');
+
+    assert.equal(lines[0], '# MUT Improv Games');
+    assert.ok(lines.includes('## Freeze Tag'));
+    assert.ok(lines.includes('## Party Quirks'));
+    assert.ok(lines.includes('1. ' + GameData.getGameById('freeze_tag').rules[0].replace(/([\\`*_[\]<>|#])/g, '\\$1')));
+    assert.ok(lines.includes('- **Players on the backline**'));
+    assert.ok(lines.includes('  - Freeze early rather than late.'));
+    assert.ok(lines.includes('- <https://youtu.be/abcdefghijk?t=42>'));
+    assert.match(markdown, /Tags: `jam_friendly`, `physical`/);
+});
+
+test('the cue sheet numbers games with setup, rules and flattened tips', async () => {
+    const { GameExport, GameData } = await loadExport();
+    const sheet = GameExport.toCueSheet([GameData.getGameById('party_quirks'), GameData.getGameById('freeze_tag')]);
+    const lines = sheet.split('\n');
+
+    assert.equal(lines[0], 'MUT IMPROV GAMES - CUE SHEET (2 games)');
+    assert.equal(lines[1], '='.repeat(lines[0].length));
+    assert.equal(lines[3], '1. PARTY QUIRKS');
+    assert.match(lines[4], /Guessing Games \| 4-5 players/);
+    assert.ok(lines.includes('     - Host: Interact with every guest.'));
+    assert.ok(lines.some(line => line === '2. FREEZE TAG'));
+});
+
+test('the export menu downloads the games currently listed', async () => {
+    const window = await loadExport({
+        html: `
+            <ul id="exportMenu">
+                <li><button data-export-format="csv">CSV</button></li>
+                <li><button data-export-format="markdown">Markdown</button></li>
+            </ul>
+        `
+    });
+    const downloads = [];
+    window.Files.downloadFile = (filename, content, type) => downloads.push({ filename, content, type });
+    window.GameData.filteredGames = [window.GameData.getGameById('bippity_bop')];
+
+    window.GameExport.initExportMenu();
+    window.document.querySelectorAll('[data-export-format]').forEach(button => button.click());
+
+    assert.deepEqual(downloads.map(download => download.filename), ['mut-improv-games.csv', 'mut-improv-games.md']);
+    assert.equal(downloads[0].type, 'text/csv');
+    assert.match(downloads[0].content, /\r\nbippity_bop,Bippity Bop,/);
+    assert.match(downloads[1].content, /## Bippity Bop/);
+});
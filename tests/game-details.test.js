@@ -0,0 +1,80 @@
+/**
+ * Tests for js/game-details.js: the game view of the list page
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGameData } = require('./helpers/load-app');
+
+const PAGE_HTML = `
+    <ol class="breadcrumb"><li id="breadcrumbGame"></li></ol>
+    <div id="gameContent"></div>
+`;
+
+async function showGame(gameOrId) {
+    const window = await loadGameData(['js/render.js', 'js/game-details.js'], { html: PAGE_HTML });
+    const game = typeof gameOrId === 'string' ? window.GameData.getGameById(gameOrId) : gameOrId;
+    window.GameDetails.displayGameDetails(game);
+    return { window, content: window.document.getElementById('gameContent') };
+}
+
+const texts = (elements) => elements.map(element => element.textContent.trim());
+
+test('displayGameDetails shows the name, summary and page title', async () => {
+    const { window, content } = await showGame('freeze_tag');
+
+    assert.equal(content.querySelector('.game-title-large').textContent, 'Freeze Tag');
+    assert.equal(content.querySelector('.game-subtitle').textContent, 'Scene Games • Intermediate • 4-10 players (optimal: 6)');
+    assert.equal(window.document.title, 'Freeze Tag - MUT Improv Games');
+    assert.equal(window.document.getElementById('breadcrumbGame').textContent, 'Freeze Tag');
+});
+
+test('displayGameDetails lists setup, rules, examples and notes', async () => {
+    const { window, content } = await showGame('sit_stand_lie');
+    const game = window.GameData.getGameById('sit_stand_lie');
+
+    const sections = texts(content.querySelectorAll('.game-section h3'));
+    assert.deepEqual(sections, ['Game Information', 'How to Set Up', 'Rules', 'Additional Notes']);
+    assert.match(content.textContent, /One player sits, one stands and one lies down/);
+    assert.deepEqual(texts(content.querySelectorAll('.game-section ul li')), [...game.rules, ...game.notes]);
+});
+
+test('displayGameDetails groups tips by role', async () => {
+    const { content } = await showGame('party_quirks');
+
+    assert.deepEqual(texts(content.querySelectorAll('.game-section h5')), ['Host', 'Guests']);
+    assert.match(content.textContent, /Make the quirk bigger if the host is stuck\./);
+    assert.match(content.textContent, /Audience Volunteers:\s*3 suggestions/);
+});
+
+test('displayGameDetails embeds YouTube videos and links every video', async () => {
+    const { content } = await showGame('freeze_tag');
+
+    const frames = content.querySelectorAll('iframe');
+    assert.deepEqual(frames.map(frame => frame.src), ['https://www.youtube.com/embed/abcdefghijk']);
+
+    const links = content.querySelectorAll('.game-section a');
+    assert.deepEqual(links.map(link => link.href), ['https://youtu.be/abcdefghijk?t=42']);
+});
+
+test('embedded videos have titles, numbered when a game has several', async () => {
+    const { window } = await showGame('freeze_tag');
+    const freezeTag = window.GameData.getGameById('freeze_tag');
+    const content = window.document.getElementById('gameContent');
+    assert.equal(content.querySelector('iframe').getAttribute('title'), 'Freeze Tag video');
+
+    window.GameDetails.displayGameDetails({
+        ...freezeTag,
+        videoLinks: ['https://youtu.be/abcdefghijk', 'https://www.youtube.com/watch?v=dQw4w9WgXcQ']
+    });
+    const titles = content.querySelectorAll('iframe').map(frame => frame.getAttribute('title'));
+    assert.deepEqual(titles, ['Freeze Tag video 1', 'Freeze Tag video 2']);
+});
+
+test('displayGameDetails skips sections a game does not have', async () => {
+    const { content } = await showGame('scattergories');
+
+    const sections = texts(content.querySelectorAll('.game-section h3'));
+    assert.deepEqual(sections, ['Game Information', 'How to Set Up', 'Rules']);
+    assert.equal(content.querySelectorAll('iframe').length, 0);
+});
@@ -0,0 +1,476 @@
+/**
+ * Minimal DOM for running the site's scripts under Node.
+ * Supports what the app code uses: element creation, innerHTML parsing and
+ * serialization, textContent, attributes, classList, events and simple selectors.
+ */
+
+const VOID_ELEMENTS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Properties that mirror an attribute of the same (or given) name
+const REFLECTED_PROPERTIES = {
+    id: 'id',
+    className: 'class',
+    href: 'href',
+    src: 'src',
+    type: 'type',
+    title: 'title',
+    htmlFor: 'for',
+    name: 'name',
+    rel: 'rel',
+    target: 'target',
+    alt: 'alt',
+    placeholder: 'placeholder',
+    role: 'role'
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©' };
+
+/**
+ * Decode HTML character references
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] || match;
+    });
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+class FakeNode {
+    constructor(ownerDocument) {
+        this.ownerDocument = ownerDocument;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    get parentElement() {
+        return this.parentNode;
+    }
+
+    appendChild(node) {
+        if (node.nodeType === 11) {
+            [...node.childNodes].forEach(child => this.appendChild(child));
+            return node;
+        }
+        if (node.parentNode) node.parentNode.removeChild(node);
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(
+            typeof node === 'string' ? this.ownerDocument.createTextNode(node) : node
+        ));
+    }
+
+    insertBefore(node, reference) {
+        if (!reference) return this.appendChild(node);
+        if (node.parentNode) node.parentNode.removeChild(node);
+        node.parentNode = this;
+        this.childNodes.splice(this.childNodes.indexOf(reference), 0, node);
+        return node;
+    }
+
+    removeChild(node) {
+        const index = this.childNodes.indexOf(node);
+        if (index !== -1) this.childNodes.splice(index, 1);
+        node.parentNode = null;
+        return node;
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.textContent).join('');
+    }
+
+    set textContent(text) {
+        this.childNodes.forEach(child => { child.parentNode = null; });
+        this.childNodes = [];
+        if (text !== '' && text !== null && text !== undefined) {
+            this.appendChild(this.ownerDocument.createTextNode(String(text)));
+        }
+    }
+}
+
+class FakeText extends FakeNode {
+    constructor(ownerDocument, text) {
+        super(ownerDocument);
+        this.nodeType = 3;
+        this.data = text;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(text) {
+        this.data = String(text);
+    }
+
+    get outerHTML() {
+        return escapeText(this.data);
+    }
+}
+
+class FakeClassList {
+    constructor(element) {
+        this.element = element;
+    }
+
+    get values() {
+        return (this.element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    }
+
+    contains(name) {
+        return this.values.includes(name);
+    }
+
+    add(...names) {
+        this.element.setAttribute('class', [...new Set([...this.values, ...names])].join(' '));
+    }
+
+    remove(...names) {
+        this.element.setAttribute('class', this.values.filter(value => !names.includes(value)).join(' '));
+    }
+
+    toggle(name, force) {
+        const add = force === undefined ? !this.contains(name) : force;
+        if (add) this.add(name); else this.remove(name);
+        return add;
+    }
+}
+
+class FakeElement extends FakeNode {
+    constructor(ownerDocument, tagName) {
+        super(ownerDocument);
+        this.nodeType = 1;
+        this.tagName = tagName.toUpperCase();
+        this.attributes = new Map();
+        this.listeners = {};
+        this.style = {};
+        this.dataset = {};
+        this.classList = new FakeClassList(this);
+        this.value = '';
+        this.checked = false;
+        this.disabled = false;
+    }
+
+    get localName() {
+        return this.tagName.toLowerCase();
+    }
+
+    get children() {
+        return this.childNodes.filter(child => child.nodeType === 1);
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name.toLowerCase(), String(value));
+        if (name.startsWith('data-')) {
+            const key = name.slice(5).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+            this.dataset[key] = String(value);
+        }
+    }
+
+    getAttribute(name) {
+        const value = this.attributes.get(name.toLowerCase());
+        return value === undefined ? null : value;
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name.toLowerCase());
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name.toLowerCase());
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(existing => existing !== listener);
+    }
+
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        let node = this;
+        while (node && !event.propagationStopped) {
+            event.currentTarget = node;
+            (node.listeners[event.type] || []).forEach(listener => listener.call(node, event));
+            if (typeof node[`on${event.type}`] === 'function') node[`on${event.type}`](event);
+            node = node.parentNode;
+        }
+        return !event.defaultPrevented;
+    }
+
+    click() {
+        this.dispatchEvent(createEvent('click'));
+    }
+
+    focus() {
+        this.ownerDocument.activeElement = this;
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(child => child.outerHTML).join('');
+    }
+
+    set innerHTML(html) {
+        this.textContent = '';
+        parseHtml(this.ownerDocument, String(html)).forEach(node => this.appendChild(node));
+    }
+
+    get outerHTML() {
+        const attributes = [...this.attributes]
+            .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+            .join('');
+        const open = `<${this.localName}${attributes}>`;
+        return VOID_ELEMENTS.has(this.localName) ? open : `${open}${this.innerHTML}</${this.localName}>`;
+    }
+
+    matches(selector) {
+        return selector.split(',').some(part => matchesComplexSelector(this, part.trim()));
+    }
+
+    closest(selector) {
+        let node = this;
+        while (node && node.nodeType === 1) {
+            if (node.matches(selector)) return node;
+            node = node.parentNode;
+        }
+        return null;
+    }
+
+    querySelectorAll(selector) {
+        const results = [];
+        const visit = (node) => {
+            node.children.forEach(child => {
+                if (child.matches(selector)) results.push(child);
+                visit(child);
+            });
+        };
+        visit(this);
+        return results;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+// Reflect common properties onto attributes so they serialize and match selectors
+Object.entries(REFLECTED_PROPERTIES).forEach(([property, attribute]) => {
+    Object.defineProperty(FakeElement.prototype, property, {
+        get() {
+            return this.getAttribute(attribute) || '';
+        },
+        set(value) {
+            this.setAttribute(attribute, value);
+        }
+    });
+});
+
+class FakeFragment extends FakeNode {
+    constructor(ownerDocument) {
+        super(ownerDocument);
+        this.nodeType = 11;
+    }
+}
+
+/**
+ * Check one compound selector such as "a.btn[target=_blank]"
+ */
+function matchesCompoundSelector(element, selector) {
+    const pattern = /([#.]?)([\w-]+)|\[([\w-]+)(?:([~^$*]?=)"?([^"\]]*)"?)?\]|(\*)/g;
+    let match;
+    let consumed = 0;
+    while ((match = pattern.exec(selector)) !== null) {
+        consumed += match[0].length;
+        const [, prefix, name, attribute, operator, value] = match;
+        if (match[6]) continue;
+        if (attribute) {
+            const actual = element.getAttribute(attribute);
+            if (actual === null) return false;
+            if (operator === '=' && actual !== value) return false;
+            if (operator === '~=' && !actual.split(/\s+/).includes(value)) return false;
+            if (operator === '^=' && !actual.startsWith(value)) return false;
+            if (operator === '$=' && !actual.endsWith(value)) return false;
+            if (operator === '*=' && !actual.includes(value)) return false;
+        } else if (prefix === '#') {
+            if (element.id !== name) return false;
+        } else if (prefix === '.') {
+            if (!element.classList.contains(name)) return false;
+        } else if (element.localName !== name.toLowerCase()) {
+            return false;
+        }
+    }
+    if (consumed !== selector.length) {
+        throw new Error(`Unsupported selector: ${selector}`);
+    }
+    return true;
+}
+
+/**
+ * Check a selector with descendant (" ") and child (">") combinators
+ */
+function matchesComplexSelector(element, selector) {
+    const parts = selector.replace(/\s*>\s*/g, ' > ').split(/\s+/);
+    const matchFrom = (node, index) => {
+        if (!matchesCompoundSelector(node, parts[index])) return false;
+        if (index === 0) return true;
+
+        if (parts[index - 1] === '>') {
+            const parent = node.parentNode;
+            return Boolean(parent && parent.nodeType === 1 && matchFrom(parent, index - 2));
+        }
+        let ancestor = node.parentNode;
+        while (ancestor && ancestor.nodeType === 1) {
+            if (matchFrom(ancestor, index - 1)) return true;
+            ancestor = ancestor.parentNode;
+        }
+        return false;
+    };
+    return matchFrom(element, parts.length - 1);
+}
+
+/**
+ * Parse an HTML fragment into nodes (enough for the markup the app generates)
+ */
+function parseHtml(ownerDocument, html) {
+    const root = new FakeFragment(ownerDocument);
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const tokens = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|[^<]+|</g;
+    const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+    let match;
+    while ((match = tokens.exec(html)) !== null) {
+        const [token, closing, tagName, attributeText, selfClosing] = match;
+
+        if (token.startsWith('<!--')) continue;
+
+        if (!tagName) {
+            current().appendChild(ownerDocument.createTextNode(decodeEntities(token)));
+            continue;
+        }
+
+        const name = tagName.toLowerCase();
+        if (closing) {
+            const index = stack.map(node => node.localName).lastIndexOf(name);
+            if (index > 0) stack.length = index;
+            continue;
+        }
+
+        const element = ownerDocument.createElement(name);
+        let attribute;
+        attributePattern.lastIndex = 0;
+        while ((attribute = attributePattern.exec(attributeText)) !== null) {
+            const value = attribute[2] ?? attribute[3] ?? attribute[4] ?? '';
+            element.setAttribute(attribute[1], decodeEntities(value));
+        }
+        current().appendChild(element);
+        if (!selfClosing && !VOID_ELEMENTS.has(name)) {
+            stack.push(element);
+        }
+    }
+
+    return [...root.childNodes];
+}
+
+/**
+ * Create an event object
+ */
+function createEvent(type, init = {}) {
+    return {
+        type,
+        ...init,
+        defaultPrevented: false,
+        propagationStopped: false,
+        preventDefault() { this.defaultPrevented = true; },
+        stopPropagation() { this.propagationStopped = true; }
+    };
+}
+
+class FakeDocument {
+    constructor() {
+        this.listeners = {};
+        this.activeElement = null;
+        this.documentElement = this.createElement('html');
+        this.head = this.createElement('head');
+        this.body = this.createElement('body');
+        this.documentElement.appendChild(this.head);
+        this.documentElement.appendChild(this.body);
+        this.title = '';
+    }
+
+    createElement(tagName) {
+        return new FakeElement(this, tagName);
+    }
+
+    createTextNode(text) {
+        return new FakeText(this, String(text));
+    }
+
+    createDocumentFragment() {
+        return new FakeFragment(this);
+    }
+
+    getElementById(id) {
+        return this.documentElement.querySelector(`#${id}`);
+    }
+
+    querySelector(selector) {
+        return this.documentElement.querySelector(selector);
+    }
+
+    querySelectorAll(selector) {
+        return this.documentElement.querySelectorAll(selector);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(existing => existing !== listener);
+    }
+
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        (this.listeners[event.type] || []).forEach(listener => listener.call(this, event));
+        return !event.defaultPrevented;
+    }
+}
+
+/**
+ * Create a document, optionally with some body markup
+ */
+function createDocument(bodyHtml = '') {
+    const document = new FakeDocument();
+    document.body.innerHTML = bodyHtml;
+    return document;
+}
+
+module.exports = {
+    createDocument,
+    createEvent
+};
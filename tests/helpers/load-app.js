@@ -0,0 +1,127 @@
+/**
+ * Loads the site's browser scripts into a Node sandbox for testing.
+ * The scripts share one global scope, as they do on a page; fetch, document,
+ * storage and location can be injected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createDocument } = require('./fake-dom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURE_DATA = path.join(__dirname, '..', 'fixtures', 'mutgames.json');
+
+/**
+ * In-memory localStorage / sessionStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * Create a fetch that serves files from the repository, with the game
+ * database replaced by a fixture
+ */
+function createFileFetch(dataFile = FIXTURE_DATA) {
+    return async (url) => {
+        const relative = String(url).split(/[?#]/)[0].replace(/^\.?\//, '');
+        const file = relative === 'data/mutgames.json' ? dataFile : path.join(ROOT, relative);
+
+        if (!fs.existsSync(file)) {
+            return { ok: false, status: 404, json: async () => null, text: async () => '' };
+        }
+        const body = fs.readFileSync(file, 'utf8');
+        return {
+            ok: true,
+            status: 200,
+            json: async () => JSON.parse(body),
+            text: async () => body
+        };
+    };
+}
+
+/**
+ * Load scripts (paths relative to the repository root) and return their window
+ */
+function loadApp(scripts, options = {}) {
+    const url = new URL(options.url || 'http://localhost/index.html');
+    const context = {
+        // Keep progress logging ("Loaded 6 games...") out of the test output
+        console: options.console || { ...console, log() {} },
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        URL,
+        URLSearchParams,
+        fetch: options.fetch || createFileFetch(options.dataFile),
+        document: options.document || createDocument(options.html),
+        localStorage: options.localStorage || new MemoryStorage(),
+        sessionStorage: options.sessionStorage || new MemoryStorage(),
+        navigator: { onLine: true },
+        location: {
+            href: url.href,
+            protocol: 'file:',
+            pathname: url.pathname,
+            search: url.search,
+            hash: url.hash
+        },
+        history: {
+            pushState() {},
+            replaceState() {}
+        },
+        addEventListener() {},
+        alert() {},
+        confirm: () => true,
+        prompt: () => null
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    scripts.forEach(script => {
+        const source = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        vm.runInContext(source, context, { filename: script });
+    });
+
+    return context;
+}
+
+/**
+ * Load data.js (and its search index) with the fixture database already loaded
+ */
+async function loadGameData(extraScripts = [], options = {}) {
+    const window = loadApp(['js/search-index.js', 'js/data.js', ...extraScripts], options);
+    const loaded = await window.GameData.loadGamesData();
+    if (!loaded) {
+        throw new Error('Fixture game data failed to load');
+    }
+    return window;
+}
+
+module.exports = {
+    ROOT,
+    FIXTURE_DATA,
+    MemoryStorage,
+    createFileFetch,
+    loadApp,
+    loadGameData
+};
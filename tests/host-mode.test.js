@@ -0,0 +1,138 @@
+/**
+ * Tests for js/host-mode.js: host screens, timer and navigation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGameData } = require('./helpers/load-app');
+const { createEvent } = require('./helpers/fake-dom');
+
+const loadHostMode = () => loadGameData(['js/render.js', 'js/host-mode.js']);
+
+test('buildHostSlides orders setup, suggestions, rules and tips by role', async () => {
+    const { GameData, HostMode } = await loadHostMode();
+
+    const slides = HostMode.buildHostSlides(GameData.getGameById('party_quirks'));
+
+    assert.deepEqual([...slides].map(slide => slide.title), [
+        'Setup', 'Ask the audience for', 'Rules', 'Tips for Host', 'Tips for Guests'
+    ]);
+    assert.deepEqual([...slides[1].items], ['A quirk for each guest']);
+});
+
+test('buildHostSlides skips screens a game has no content for', async () => {
+    const { GameData, HostMode } = await loadHostMode();
+
+    const slides = HostMode.buildHostSlides(GameData.getGameById('scattergories'));
+
+    assert.deepEqual([...slides].map(slide => slide.title), ['Setup', 'Rules']);
+});
+
+test('the timer starts from the top of the duration range', async () => {
+    const { GameData, HostMode } = await loadHostMode();
+
+    assert.equal(HostMode.getHostTimerSeconds(GameData.getGameById('freeze_tag')), 8 * 60);
+    assert.equal(HostMode.getHostTimerSeconds({ name: 'No duration' }), 5 * 60);
+    assert.equal(HostMode.formatTimer(480), '8:00');
+    assert.equal(HostMode.formatTimer(75), '1:15');
+    assert.equal(HostMode.formatTimer(9), '0:09');
+});
+
+test('the countdown warns once near the end and then finishes', async () => {
+    const { HostMode } = await loadHostMode();
+    let clock = 0;
+    const events = [];
+
+    const countdown = HostMode.createCountdown(90, {
+        now: () => clock,
+        onWarning: (remaining) => events.push(`warning ${remaining}`),
+        onEnd: () => events.push('end')
+    });
+    countdown.start();
+
+    clock = 20 * 1000;
+    countdown.tick();
+    assert.equal(countdown.remaining, 70);
+
+    clock = 31 * 1000;
+    countdown.tick();
+    clock = 40 * 1000;
+    countdown.tick();
+
+    clock = 90 * 1000;
+    countdown.tick();
+
+    assert.deepEqual(events, ['warning 59', 'end']);
+    assert.equal(countdown.running, false);
+});
+
+test('host mode pages through screens with the keyboard and closes on Escape', async () => {
+    const window = await loadHostMode();
+    const { document, GameData, HostMode } = window;
+
+    HostMode.openHostMode(GameData.getGameById('party_quirks'));
+    const overlay = document.getElementById('hostMode');
+    const title = () => overlay.querySelector('.host-slide-title').textContent;
+
+    assert.equal(title(), 'Setup');
+    assert.equal(overlay.querySelector('.host-timer-display').textContent, '10:00');
+
+    document.dispatchEvent(createEvent('keydown', { key: 'ArrowRight' }));
+    assert.equal(title(), 'Ask the audience for');
+    assert.equal(overlay.querySelector('.host-progress').textContent, '2 / 5');
+
+    overlay.querySelector('[data-host-action="next"]').click();
+    assert.equal(title(), 'Rules');
+
+    document.dispatchEvent(createEvent('keydown', { key: 'ArrowLeft' }));
+    assert.equal(title(), 'Ask the audience for');
+
+    document.dispatchEvent(createEvent('keydown', { key: 'Escape' }));
+    assert.equal(document.getElementById('hostMode'), null);
+});
+
+test('space on a focused host mode button presses it; arrows still change screens', async () => {
+    const window = await loadHostMode();
+    const { document, GameData, HostMode } = window;
+
+    HostMode.openHostMode(GameData.getGameById('party_quirks'));
+    const overlay = document.getElementById('hostMode');
+    const title = () => overlay.querySelector('.host-slide-title').textContent;
+    const startButton = overlay.querySelector('[data-host-action="toggle-timer"]');
+
+    const press = (key, target) => {
+        const event = createEvent('keydown', { key, target });
+        document.dispatchEvent(event);
+        return event;
+    };
+
+    assert.equal(press(' ', startButton).defaultPrevented, false);
+    assert.equal(title(), 'Setup');
+
+    // A button that was just clicked keeps focus; the arrows must still work
+    assert.equal(press('ArrowRight', startButton).defaultPrevented, true);
+    assert.equal(title(), 'Ask the audience for');
+
+    // Elsewhere, space still moves to the next screen
+    assert.equal(press(' ', overlay).defaultPrevented, true);
+    assert.equal(title(), 'Rules');
+    HostMode.closeHostMode();
+});
+
+test('host mode escapes game text', async () => {
+    const window = await loadHostMode();
+    const { document, HostMode } = window;
+
+    HostMode.openHostMode({
+        name: '<img src=x onerror=alert(1)>',
+        durationMinutes: { min: 5, max: 5 },
+        setup: { description: '<script>alert(2)</script>' },
+        rules: [],
+        tips: []
+    });
+
+    const overlay = document.getElementById('hostMode');
+    assert.equal(overlay.querySelectorAll('img, script').length, 0);
+    assert.equal(overlay.querySelector('.host-slide-text').textContent, '<script>alert(2)</script>');
+    HostMode.closeHostMode();
+});
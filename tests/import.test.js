@@ -0,0 +1,198 @@
+/**
+ * Tests for js/import.js: reading other troupes' game lists and merging them into the database
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, createFileFetch, loadGameData } = require('./helpers/load-app');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'mutgames.json');
+const SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'mutgames.schema.json'), 'utf8'));
+
+const loadImport = (options = {}) => loadGameData([
+    'js/render.js', 'js/files.js', 'js/export.js', 'js/validation.js', 'js/editor.js', 'js/import.js'
+], options);
+const readRawDatabase = () => JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+
+test('CSV columns map onto the game schema, including our own export', async () => {
+    const { GameImport, GameExport, GameData } = await loadImport();
+    const readDatabase = () => GameData.migrateDatabase(readRawDatabase());
+
+    const [game] = GameImport.parseCsvGames([
+        'Game,Players,Length,Level,Tags,Tips',
+        '"Yes, And",3-6,5 mins,easy,"Family Friendly, jam, loud","Listen first.\nCaller: Keep it short."'
+    ].join('\n'));
+    const { game: normalized, warnings } = GameImport.normalizeImportedGame(game, readDatabase().metadata.tags);
+    assert.equal(normalized.name, 'Yes, And');
+    assert.deepEqual({ ...normalized.playerCount }, { min: 3, max: 6, optimal: 4 });
+    assert.deepEqual({ ...normalized.durationMinutes }, { min: 5, max: 5 });
+    assert.equal(normalized.difficulty, 'beginner');
+    assert.deepEqual([...normalized.tags], ['family_friendly', 'jam_friendly']);
+    assert.equal(normalized.tips[0], 'Listen first.');
+    assert.deepEqual(JSON.parse(JSON.stringify(normalized.tips[1])), { role: 'Caller', tips: ['Keep it short.'] });
+    assert.match(warnings[0], /"loud"/);
+
+    // Role tips and player counts survive a round trip through our CSV export
+    const csv = GameExport.serializeGames([GameData.getGameById('party_quirks')], 'csv');
+    const [record] = GameImport.parseImportFile(csv, GameImport.detectImportFormat('games.csv', csv));
+    const roundTrip = GameImport.normalizeImportedGame(record).game;
+    assert.deepEqual({ ...roundTrip.playerCount }, { min: 4, max: 5, optimal: 4 });
+    assert.deepEqual({ ...roundTrip.durationMinutes }, { ...GameData.getGameById('party_quirks').durationMinutes });
+    assert.deepEqual(JSON.parse(JSON.stringify(roundTrip.tips)), GameData.getGameById('party_quirks').tips);
+});
+
+test('Markdown lists read a game per heading with sections and labelled lines', async () => {
+    const { GameImport, GameExport, GameData } = await loadImport();
+    const readDatabase = () => GameData.migrateDatabase(readRawDatabase());
+
+    const records = GameImport.parseMarkdownGames([
+        '# Our Games',
+        '',
+        '## Word at a Time',
+        'Players: 2-4',
+        'Tags: family, physical',
+        'Players build a story one word each.',
+        '',
+        '### Rules',
+        '1. One word per turn.',
+        '2. No pauses.',
+        '',
+        '### Warmup Ideas',
+        '- Not a field we import',
+        '',
+        '## Slideshow'
+    ].join('\n'));
+    assert.deepEqual([...records.map(record => record.name)], ['Word at a Time', 'Slideshow']);
+    assert.equal(records[0].players, '2-4');
+    assert.deepEqual([...records[0].tags], ['family', 'physical']);
+    assert.equal(records[0].setup, 'Players build a story one word each.');
+    assert.deepEqual([...records[0].rules], ['One word per turn.', 'No pauses.']);
+
+    // Our own Markdown export reads back with its role tips and videos
+    const markdown = GameExport.toMarkdown([GameData.getGameById('freeze_tag')]);
+    assert.equal(GameImport.detectImportFormat('notes.txt', markdown), 'markdown');
+    const [record] = GameImport.parseImportFile(markdown, 'markdown');
+    const { game } = GameImport.normalizeImportedGame(record, readDatabase().metadata.tags);
+    const original = GameData.getGameById('freeze_tag');
+    assert.equal(game.name, 'Freeze Tag');
+    assert.deepEqual({ ...game.durationMinutes }, { ...original.durationMinutes });
+    assert.deepEqual({ ...game.playerCount }, { ...original.playerCount });
+    assert.deepEqual(JSON.parse(JSON.stringify(game.tips)), original.tips);
+    assert.deepEqual([...game.rules], original.rules);
+    assert.deepEqual([...game.videoLinks], original.videoLinks);
+});
+
+test('duplicates are found by name, by alias and by a close name', async () => {
+    const { GameImport, GameData } = await loadImport();
+    const existing = GameData.migrateDatabase(readRawDatabase()).categories.flatMap((category, categoryIndex) =>
+        category.games.map((game, gameIndex) => ({ game, categoryIndex, gameIndex })));
+    const match = (name, aliases) => GameImport.findMatchingGame({ name, aliases }, existing);
+
+    assert.equal(match('the freeze tag!').by, 'name');
+    assert.equal(match('Zip Zap Zop').game.id, 'bippity_bop');
+    assert.equal(match('Zip Zap Zop').by, 'alias');
+    assert.equal(match('Statues', ['Freeze']).game.id, 'freeze_tag');
+    assert.equal(match('Party Quirk').by, 'fuzzy');
+    assert.equal(match('Party Quirk').game.id, 'party_quirks');
+    assert.equal(match('Story Spine'), null);
+});
+
+test('the merge preview sorts imported games into new, changed, conflicting and unchanged', async () => {
+    const { GameImport, GameData } = await loadImport();
+    const database = GameData.migrateDatabase(readRawDatabase());
+
+    const preview = GameImport.buildMergePreview(database, GameImport.parseJsonGames(JSON.stringify([
+        { name: 'Story Spine', players: '2-6', rules: ['Once upon a time...'] },
+        { name: 'Zip Zap Zop', tips: ['Say it loud.'] },
+        { name: 'Freeze Tag', duration: '3 minutes', tips: ['Justify the physical position.'] },
+        { name: 'Scattergories', rules: database.categories[2].games[2].rules },
+        { name: 'Party Quirk' },
+        { name: 'story spine' }
+    ])));
+
+    assert.deepEqual([...preview.map(entry => entry.status)], ['new', 'changed', 'conflict', 'unchanged', 'conflict', 'duplicate']);
+    assert.deepEqual([...preview[1].changes.map(change => change.field)], ['tips']);
+    assert.deepEqual(JSON.parse(JSON.stringify(preview[2].conflicts)), [
+        { field: 'durationMinutes', current: { min: 5, max: 8 }, value: { min: 3, max: 3 } }
+    ]);
+    assert.equal(preview[4].match.by, 'fuzzy');
+    assert.deepEqual({ ...GameImport.summarizeMergePreview(preview) }, {
+        new: 1, changed: 1, conflict: 2, unchanged: 1, duplicate: 1
+    });
+    assert.deepEqual([...GameImport.getMergeActions(preview[2])], ['merge', 'incoming', 'add', 'skip']);
+});
+
+test('merging applies the chosen actions and produces a valid database', async () => {
+    const { GameImport, GameEditor, GameData, Validation } = await loadImport();
+    const database = GameData.migrateDatabase(readRawDatabase());
+    const preview = GameImport.buildMergePreview(database, [
+        { name: 'Story Spine', category: 'Scene Games', players: '2-6', rules: 'Once upon a time...' },
+        { name: 'Hot Spot', tags: 'singing', rules: 'Sing a song.', audienceCount: '1-2 song titles' },
+        { id: 'freeze_tag', name: 'Freeze Tag', duration: '3 minutes', tips: 'Tag in on strong shapes.' },
+        { name: 'Party Quirk', duration: '8 minutes' }
+    ]);
+
+    const merged = GameImport.mergeImport(database, preview, { 2: 'incoming', 3: 'add' });
+    const games = merged.categories.flatMap(category => category.games);
+    const byId = id => games.find(game => game.id === id);
+
+    assert.equal(database.categories.length, 3, 'the original database is left as it was');
+    assert.equal(merged.categories[1].games.at(-1).id, 'story_spine');
+    assert.deepEqual({ ...byId('story_spine').playerCount }, { min: 2, max: 6, optimal: 4 });
+    assert.equal(merged.categories.at(-1).id, GameImport.IMPORTED_CATEGORY.id);
+    assert.deepEqual([...merged.categories.at(-1).games.map(game => game.id)], ['hot_spot', 'party_quirk']);
+    assert.deepEqual({ ...byId('freeze_tag').durationMinutes }, { min: 3, max: 3 });
+    assert.equal(byId('freeze_tag').tips.at(-1), 'Tag in on strong shapes.');
+    assert.deepEqual(byId('party_quirks').durationMinutes, database.categories[2].games[0].durationMinutes);
+    assert.deepEqual({ ...byId('hot_spot').durationMinutes }, { min: 5, max: 10 });
+    assert.deepEqual({ ...byId('hot_spot').audienceVolunteers }, { min: 1, max: 2, description: '1-2 song titles' });
+
+    assert.deepEqual([...Validation.validateDatabase(GameEditor.buildDatabaseForExport(merged), SCHEMA)], []);
+});
+
+test('the preview lists each game with its changes and a choice where they disagree', async () => {
+    const { GameImport, GameData, document } = await loadImport();
+    const container = document.createElement('div');
+    const preview = GameImport.buildMergePreview(GameData.migrateDatabase(readRawDatabase()), [
+        { name: 'Freeze Tag', duration: '3 minutes' },
+        { name: 'Story Spine' }
+    ]);
+
+    GameImport.renderMergePreview(container, preview);
+    assert.match(container.querySelector('.import-summary').textContent, /2 games in the file: 1 new, 1 conflicting/);
+    const entries = container.querySelectorAll('.import-entry');
+    assert.match(entries[0].querySelector('.import-conflict').textContent, /ours: 5-8 minutes\s+· theirs: 3 minutes/);
+    assert.match(entries[1].querySelector('.import-entry-warnings').textContent, /No player count/);
+
+    entries[0].querySelector('.import-action').value = 'incoming';
+    entries[1].querySelector('.import-action').value = 'skip';
+    assert.deepEqual({ ...GameImport.readMergeActions(container) }, { 0: 'incoming', 1: 'skip' });
+});
+
+test('the whole database exported as CSV or Markdown imports back unchanged', async () => {
+    const realData = path.join(ROOT, 'data', 'mutgames.json');
+    const { GameImport, GameExport, GameData } = await loadImport({ fetch: createFileFetch(realData) });
+    const database = GameData.migrateDatabase(JSON.parse(fs.readFileSync(realData, 'utf8')));
+
+    // Text that starts with a dash or a formula character comes back as it was
+    const awkward = { ...GameData.allGames[0], name: '- Dash Game', aliases: ['-SUM Points', '=Equals', '+Plus'] };
+    const [record] = GameImport.parseImportFile(GameExport.toCsv([awkward]), 'csv');
+    assert.equal(record.name, '- Dash Game');
+    assert.deepEqual([...GameImport.normalizeImportedGame(record).game.aliases], ['-SUM Points', '=Equals', '+Plus']);
+
+    for (const format of ['csv', 'markdown']) {
+        const text = format === 'csv' ? GameExport.toCsv(GameData.allGames) : GameExport.toMarkdown(GameData.allGames);
+        const preview = GameImport.buildMergePreview(database, GameImport.parseImportFile(text, format));
+
+        // Games that share a name with one in another category ("4 Square") read as repeats in the file
+        const differing = preview
+            .filter(entry => entry.status !== 'unchanged' &&
+                !(entry.status === 'duplicate' && preview[entry.duplicateOf].incoming.name === entry.incoming.name))
+            .map(entry => `${entry.incoming.name}: ${entry.status} ${[...entry.changes, ...entry.conflicts].map(change => change.field)}`);
+
+        assert.equal(preview.length, GameData.allGames.length);
+        assert.deepEqual([...differing], [], `${format} round trip`);
+    }
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for js/performances.js: the show log, per-game stats, sorting and filtering by them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGameData } = require('./helpers/load-app');
+
+const SHOWS = [
+    {
+        id: 'p1',
+        date: '2026-03-14',
+        venue: 'The Basement',
+        cast: ['Sam', 'Alex'],
+        games: [{ gameId: 'freeze_tag', rating: 4 }, { gameId: 'party_quirks', rating: 2, notes: 'Quirks too vague' }]
+    },
+    {
+        id: 'p2',
+        date: '2026-09-20',
+        venue: 'Jam night',
+        games: [{ gameId: 'freeze_tag', rating: 5, notes: 'Great energy' }, { gameId: 'interrogation' }]
+    }
+];
+
+const loadPerformances = async (scripts = []) => {
+    const window = await loadGameData(['js/render.js', 'js/performances.js', ...scripts]);
+    await window.Performances.loadPerformances();
+    for (const show of SHOWS) {
+        await window.Performances.savePerformance(show);
+    }
+    return window;
+};
+
+const ids = (games) => [...games].map(game => game.id);
+
+test('performances are saved, normalized and kept when IndexedDB is unavailable', async () => {
+    const { Performances, localStorage } = await loadPerformances();
+
+    assert.deepEqual([...Performances.getPerformances()].map(show => show.id), ['p2', 'p1']);
+    const latest = Performances.getPerformances()[0];
+    assert.deepEqual([...latest.cast], []);
+    assert.equal(latest.games[1].rating, null);
+    assert.equal(latest.games[1].notes, '');
+
+    // Out-of-range ratings are dropped, blank cast names trimmed away
+    const saved = await Performances.savePerformance({
+        date: '2026-10-01', cast: [' Kim ', ''], games: [{ gameId: 'scattergories', rating: 9 }]
+    });
+    assert.match(saved.id, /^p/);
+    assert.deepEqual([...saved.cast], ['Kim']);
+    assert.equal(saved.games[0].rating, null);
+
+    await assert.rejects(Performances.savePerformance({ date: 'last week', games: [] }), /date/);
+
+    // Reloading reads the stored copy back
+    assert.equal(JSON.parse(localStorage.getItem('performances')).length, 3);
+    assert.equal((await Performances.loadPerformances()).length, 3);
+
+    await Performances.deletePerformance(saved.id);
+    assert.equal(Performances.getPerformances().length, 2);
+});
+
+test('game stats count plays, the latest date and the average rating', async () => {
+    const { Performances } = await loadPerformances();
+
+    const stats = Performances.getGameStats('freeze_tag');
+    assert.equal(stats.timesPlayed, 2);
+    assert.equal(stats.lastPlayed, '2026-09-20');
+    assert.equal(stats.averageRating, 4.5);
+    assert.equal(stats.plays[0].notes, 'Great energy');
+
+    assert.equal(Performances.getGameStats('interrogation').averageRating, null);
+    assert.deepEqual({ ...Performances.getGameStats('bippity_bop'), plays: [] }, {
+        timesPlayed: 0, lastPlayed: null, averageRating: null, plays: []
+    });
+});
+
+test('games can be filtered by how long since we played them', async () => {
+    const { GameData, Performances } = await loadPerformances();
+    const now = new Date(2026, 9, 19);
+
+    // Three months before 2026-10-19 is 2026-07-21: only party_quirks was last played before that
+    assert.deepEqual(ids(Performances.filterByLastPlayed(GameData.allGames, '90', now)),
+        ['bippity_bop', 'party_quirks', 'scattergories', 'sit_stand_lie']);
+    assert.deepEqual(ids(Performances.filterByLastPlayed(GameData.allGames, 'never', now)),
+        ['bippity_bop', 'scattergories', 'sit_stand_lie']);
+    assert.equal(Performances.filterByLastPlayed(GameData.allGames, '', now).length, GameData.allGames.length);
+});
+
+test('games can be sorted by their stats, keeping ties in order', async () => {
+    const { GameData, Performances } = await loadPerformances();
+    const games = GameData.allGames;
+
+    assert.deepEqual(ids(Performances.sortGamesByStats(games, 'most-played')).slice(0, 3),
+        ['freeze_tag', 'interrogation', 'party_quirks']);
+    assert.deepEqual(ids(Performances.sortGamesByStats(games, 'recently-played')).slice(0, 3),
+        ['freeze_tag', 'interrogation', 'party_quirks']);
+    assert.deepEqual(ids(Performances.sortGamesByStats(games, 'longest-ago')).slice(-3),
+        ['party_quirks', 'freeze_tag', 'interrogation']);
+    assert.deepEqual(ids(Performances.sortGamesByStats(games, 'top-rated')).slice(0, 2), ['freeze_tag', 'party_quirks']);
+    assert.deepEqual(ids(Performances.sortGamesByStats(games, '')), ids(games));
+});
+
+test('the log exports to JSON and imports without duplicating shows', async () => {
+    const { Performances } = await loadPerformances();
+    const exported = Performances.exportPerformances();
+    const other = await loadPerformances();
+
+    assert.equal(await other.Performances.importPerformances(exported), 0);
+
+    const data = JSON.parse(exported);
+    data.performances.push({ id: 'p3', date: '2026-10-10', games: [{ gameId: 'bippity_bop', rating: 3 }] });
+    assert.equal(await other.Performances.importPerformances(JSON.stringify(data)), 1);
+    assert.equal(other.Performances.getGameStats('bippity_bop').timesPlayed, 1);
+
+    await assert.rejects(other.Performances.importPerformances('{"collections": []}'), /does not contain any performances/);
+    await assert.rejects(other.Performances.importPerformances('{"performances": [{"date": "soon", "games": []}]}'), /date/);
+    assert.equal(other.Performances.getPerformances().length, 3);
+});
+
+test('game cards show when we last played a game', async () => {
+    const window = await loadPerformances(['js/virtual-grid.js', 'js/search.js']);
+    const container = window.document.createElement('div');
+
+    window.GameSearch.renderGames(window.GameData.allGames, container);
+
+    const stats = container.querySelectorAll('.game-stats').map(line => line.textContent);
+    assert.equal(stats.length, 3);
+    assert.match(stats[0], /^Played 2× · last /);
+});
+
+test('the game list can be filtered and sorted from the search controls', async () => {
+    const window = await loadGameData(['js/render.js', 'js/query-parser.js', 'js/performances.js', 'js/virtual-grid.js', 'js/search.js'], {
+        html: `
+            <input id="searchInput">
+            <select id="lastPlayedFilter"></select>
+            <select id="sortOrder"></select>
+            <p id="resultsInfo"></p>
+            <div id="gamesContainer"></div>
+        `
+    });
+    await window.Performances.loadPerformances();
+    for (const show of SHOWS) {
+        await window.Performances.savePerformance(show);
+    }
+    window.GameSearch.initSearch();
+
+    window.document.getElementById('lastPlayedFilter').value = 'never';
+    window.document.getElementById('sortOrder').value = 'most-played';
+    window.GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    assert.deepEqual(ids(window.GameData.filteredGames), ['bippity_bop', 'scattergories', 'sit_stand_lie']);
+    assert.equal(window.GameSearch.serializeSearchState(window.GameSearch.getSearchState()), 'played=never&sort=most-played');
+
+    window.document.getElementById('lastPlayedFilter').value = '';
+    window.GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    assert.equal(window.GameData.filteredGames[0].id, 'freeze_tag');
+
+    const state = window.GameSearch.parseSearchState('?played=90&sort=top-rated');
+    assert.equal(state.played, '90');
+    assert.equal(state.sort, 'top-rated');
+});
+
+test('the game page shows our history with the game', async () => {
+    const window = await loadPerformances(['js/game-details.js']);
+    window.document.body.innerHTML = '<div id="gameContent"></div>';
+
+    window.GameDetails.displayGameDetails(window.GameData.getGameById('freeze_tag'));
+    const section = window.document.querySelector('.performance-history');
+    assert.match(section.textContent, /Played 2 times/);
+    assert.match(section.textContent, /average rating/);
+    assert.equal(section.querySelectorAll('.performance-plays li').length, 2);
+    assert.match(section.textContent, /Jam night/);
+
+    window.GameDetails.displayGameDetails(window.GameData.getGameById('bippity_bop'));
+    assert.match(window.document.querySelector('.performance-history').textContent, /haven't logged this game/);
+});
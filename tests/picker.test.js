@@ -0,0 +1,126 @@
+/**
+ * Tests for js/picker.js: weighted draws, constraints, session no-repeat and the wheel
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGameData } = require('./helpers/load-app');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PICKER_HTML = `
+    <button id="surpriseMe"></button>
+    <button id="spinWheel"></button>
+    <input id="pickerCast">
+    <input type="checkbox" id="pickerJamOnly">
+    <div id="pickerResult"></div>
+`;
+
+const loadPicker = async () => {
+    const window = await loadGameData(['js/render.js', 'js/picker.js'], { html: PICKER_HTML });
+    window.GameData.filteredGames = window.GameData.allGames;
+    window.GameSearch = { getCurrentFilters: () => ({ players: null }) };
+    return window;
+};
+
+const ids = (games) => [...games].map(game => game.id);
+
+test('recent picks weigh less until two weeks have passed', async () => {
+    const { GamePicker } = await loadPicker();
+    const now = 100 * DAY_MS;
+    const history = [
+        { gameId: 'freeze_tag', pickedAt: now - 7 * DAY_MS },
+        { gameId: 'bippity_bop', pickedAt: now - 30 * DAY_MS },
+        { gameId: 'bippity_bop', pickedAt: now - 60 * 60 * 1000 }
+    ];
+
+    assert.equal(GamePicker.getPickWeight('scattergories', history, now), 1);
+    assert.equal(GamePicker.getPickWeight('freeze_tag', history, now), 0.5);
+    assert.equal(GamePicker.getPickWeight('bippity_bop', history, now), 0.1);
+});
+
+test('weighted draws favour games not picked recently', async () => {
+    const { GameData, GamePicker, localStorage } = await loadPicker();
+    const games = [GameData.getGameById('freeze_tag'), GameData.getGameById('interrogation')];
+    localStorage.setItem('pickerHistory', JSON.stringify([{ gameId: 'freeze_tag', pickedAt: Date.now() }]));
+
+    // freeze_tag weighs 0.1 and interrogation 1, so freeze_tag covers the first 1/11 of the range
+    assert.equal(GamePicker.pickWeightedGame(games, { random: () => 0.05 }).id, 'freeze_tag');
+    assert.equal(GamePicker.pickWeightedGame(games, { random: () => 0.1 }).id, 'interrogation');
+    assert.equal(GamePicker.pickWeightedGame([], { random: () => 0.5 }), null);
+});
+
+test('candidates respect cast size and jam-friendly', async () => {
+    const { GameData, GamePicker } = await loadPicker();
+
+    assert.deepEqual(ids(GamePicker.getPickerCandidates(GameData.allGames, { jamOnly: true })), ['bippity_bop', 'freeze_tag']);
+    assert.deepEqual(ids(GamePicker.getPickerCandidates(GameData.allGames, { castSize: 3, jamOnly: true })), []);
+    assert.ok(ids(GamePicker.getPickerCandidates(GameData.allGames, { castSize: 3 })).includes('sit_stand_lie'));
+});
+
+test('a game is drawn at most once per session', async () => {
+    const { GameData, GamePicker } = await loadPicker();
+    const drawn = [];
+
+    for (let i = 0; i < GameData.allGames.length; i++) {
+        drawn.push(GamePicker.drawGame({}, Math.random).id);
+    }
+    assert.equal(new Set(drawn).size, GameData.allGames.length);
+    assert.equal(GamePicker.drawGame({}), null);
+    assert.equal(GamePicker.getPickerHistory().length, GameData.allGames.length);
+
+    GamePicker.resetPickerSession();
+    assert.ok(GamePicker.drawGame({}));
+});
+
+test('re-rolling can keep the category of the last pick', async () => {
+    const window = await loadPicker();
+    window.GamePicker.initPicker();
+    const result = window.document.getElementById('pickerResult');
+
+    window.GameData.filteredGames = window.GameData.allGames.filter(game => game.category === 'Guessing Games' || game.id === 'freeze_tag');
+    window.GamePicker.recordPick('freeze_tag');
+    window.document.getElementById('surpriseMe').click();
+    const first = result.querySelector('.picker-pick-name').textContent;
+    const firstGame = window.GameData.allGames.find(game => game.name === first);
+    assert.equal(firstGame.category, 'Guessing Games');
+
+    result.querySelector('[data-picker-action="reroll-category"]').click();
+    result.querySelector('[data-picker-action="reroll-category"]').click();
+    assert.equal(new Set(window.GamePicker.getDrawnGameIds()).size, 4);
+
+    // The category is used up
+    result.querySelector('[data-picker-action="reroll-category"]').click();
+    assert.match(result.textContent, /No games left to draw in Guessing Games/);
+
+    result.querySelector('[data-picker-action="reset"]').click();
+    assert.deepEqual([...window.GamePicker.getDrawnGameIds()], []);
+});
+
+test('the wheel lands the pick under the pointer', async () => {
+    const { GameData, GamePicker } = await loadPicker();
+    const game = GameData.getGameById('party_quirks');
+
+    const segments = GamePicker.buildWheelSegments(game, GameData.allGames, () => 0.3);
+    assert.equal(segments.length, GameData.allGames.length);
+    assert.ok(segments.includes(game));
+
+    // With 6 segments of 60deg, segment 2 is centred at 150deg
+    assert.equal(GamePicker.getWheelRotation(6, 2, 5) % 360, 360 - 150);
+    assert.equal(GamePicker.getWheelRotation(4, 0, 1), 315);
+});
+
+test('spinning the wheel shows an overlay with every segment', async () => {
+    const window = await loadPicker();
+    window.GamePicker.initPicker();
+
+    window.document.getElementById('spinWheel').click();
+
+    const overlay = window.document.querySelector('.picker-wheel-overlay');
+    assert.ok(overlay);
+    assert.equal(overlay.querySelectorAll('.picker-wheel-label').length, window.GameData.allGames.length);
+    assert.match(overlay.querySelector('.picker-wheel').style.background, /^conic-gradient\(/);
+
+    overlay.querySelector('[data-wheel-action="close"]').click();
+    assert.equal(window.document.querySelector('.picker-wheel-overlay'), null);
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for js/qr.js and js/print.js: QR codes for video links and printable cheat sheets
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, loadGameData } = require('./helpers/load-app');
+
+const loadPrint = (scripts = [], options = {}) =>
+    loadGameData(['js/render.js', 'js/qr.js', 'js/print.js', ...scripts], options);
+
+/**
+ * Read the format information next to the top-left finder: [error correction bits, mask]
+ */
+function readFormat(modules) {
+    const cells = [
+        ...[0, 1, 2, 3, 4, 5, 7, 8].map(y => modules[y][8]),
+        ...[7, 5, 4, 3, 2, 1, 0].map(x => modules[8][x])
+    ];
+    const bits = cells.reduce((value, dark, i) => value | ((dark ? 1 : 0) << i), 0) ^ 0x5412;
+    return [bits >>> 13, (bits >>> 10) & 7];
+}
+
+const isFinder = (modules, left, top) => {
+    for (let y = 0; y < 7; y++) {
+        for (let x = 0; x < 7; x++) {
+            const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+            if (modules[top + y][left + x] !== (ring !== 2)) return false;
+        }
+    }
+    return true;
+};
+
+test('QR codes grow with the text and carry finders and format information', () => {
+    const { QRCode } = loadApp(['js/render.js', 'js/qr.js']);
+
+    const short = QRCode.encodeQr('MUT');
+    assert.equal(short.length, 21);
+    const link = QRCode.encodeQr('https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.equal(link.length, 33);
+    assert.equal(QRCode.encodeQr('x'.repeat(213)).length, 57);
+    assert.throws(() => QRCode.encodeQr('x'.repeat(214)), /too long/);
+
+    [short, link].forEach(modules => {
+        const size = modules.length;
+        assert.ok(isFinder(modules, 0, 0));
+        assert.ok(isFinder(modules, size - 7, 0));
+        assert.ok(isFinder(modules, 0, size - 7));
+        assert.equal(modules[size - 8][8], true);
+    });
+
+    // Level M (00) with whichever mask was asked for
+    assert.deepEqual(readFormat(QRCode.encodeQr('MUT', 5)), [0, 5]);
+    assert.equal(readFormat(link)[0], 0);
+});
+
+test('QR codes render as SVG with a quiet zone', () => {
+    const { QRCode, Render, document } = loadApp(['js/render.js', 'js/qr.js']);
+    const container = document.createElement('div');
+
+    Render.setHtml(container, QRCode.createQrSvg('https://youtu.be/abcdefghijk', 'Video'));
+    const svg = container.querySelector('svg');
+    assert.equal(svg.getAttribute('viewBox'), '0 0 37 37');
+    assert.equal(svg.getAttribute('aria-label'), 'Video');
+    assert.match(svg.querySelector('path').getAttribute('d'), /^M4 4h1v1h-1z/);
+});
+
+test('print links carry the games, layout and title', async () => {
+    const { PrintSheets } = await loadPrint();
+
+    const url = PrintSheets.getPrintUrl(['freeze_tag', 'bippity_bop'], { layout: 'page', title: 'Friday & Saturday' });
+    assert.equal(url, 'print.html?ids=freeze_tag%2Cbippity_bop&layout=page&title=Friday+%26+Saturday');
+
+    const params = PrintSheets.parsePrintParams(url.slice(url.indexOf('?')));
+    assert.deepEqual([...params.games].map(game => game.id), ['freeze_tag', 'bippity_bop']);
+    assert.equal(params.layout, 'page');
+    assert.equal(params.title, 'Friday & Saturday');
+
+    const fallback = PrintSheets.parsePrintParams('?ids=nope,party_quirks&layout=poster');
+    assert.deepEqual([...fallback.games].map(game => game.id), ['party_quirks']);
+    assert.equal(fallback.layout, 'cards');
+});
+
+test('key tips put general tips before the first tip for each role', async () => {
+    const { PrintSheets, GameData } = await loadPrint();
+
+    assert.deepEqual([...PrintSheets.getKeyTips(GameData.getGameById('freeze_tag'))], [
+        'Justify the physical position.',
+        'Players on the backline: Freeze early rather than late.'
+    ]);
+    assert.deepEqual([...PrintSheets.getKeyTips(GameData.getGameById('party_quirks'), 1)], [
+        'Host: Interact with every guest.'
+    ]);
+});
+
+test('cheat sheets lay out each game as a card with QR codes for its videos', async () => {
+    const window = await loadPrint();
+    const { PrintSheets, GameData, document } = window;
+    const container = document.createElement('div');
+    const games = [GameData.getGameById('freeze_tag'), GameData.getGameById('party_quirks')];
+
+    PrintSheets.renderPrintSheets(container, games, { layout: 'page' });
+    assert.equal(container.className, 'print-sheets print-layout-page');
+    const cards = container.querySelectorAll('.print-card');
+    assert.equal(cards.length, 2);
+    assert.equal(cards[0].querySelector('.print-card-title').textContent, 'Freeze Tag');
+    assert.match(cards[0].querySelector('.print-card-meta').textContent, /4-10 players.*Scene Games/);
+    assert.equal(cards[0].querySelectorAll('.print-card-rules li').length, 2);
+    assert.equal(cards[0].querySelectorAll('.print-qr svg').length, 1);
+    assert.equal(cards[0].querySelector('.print-qr figcaption').textContent, 'https://youtu.be/abcdefghijk?t=42');
+    assert.equal(cards[0].querySelector('iframe'), null);
+    assert.equal(cards[1].querySelector('.print-qr'), null);
+
+    PrintSheets.renderPrintSheets(container, games, { layout: 'cards', includeTips: false });
+    assert.equal(container.className, 'print-sheets print-layout-cards');
+    assert.equal(container.querySelectorAll('.print-card-tips').length, 0);
+
+    PrintSheets.renderPrintSheets(container, []);
+    assert.match(container.textContent, /No games to print/);
+});
+
+test('the game page prints QR codes in place of its videos and links to its cheat sheet', async () => {
+    const window = await loadPrint(['js/game-details.js'], { html: '<div id="gameContent"></div>' });
+
+    window.GameDetails.displayGameDetails(window.GameData.getGameById('bippity_bop'));
+    const content = window.document.getElementById('gameContent');
+    assert.equal(content.querySelectorAll('.video-qr-codes.print-only svg').length, 1);
+    assert.equal(content.querySelector('.print-sheet-button').getAttribute('href'), 'print.html?ids=bippity_bop&layout=page');
+});
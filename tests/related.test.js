@@ -0,0 +1,93 @@
+/**
+ * Tests for js/related.js: declared variants and prerequisites, similarity and the "Related Games" section
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGameData } = require('./helpers/load-app');
+
+const loadRelated = (scripts = [], options = {}) =>
+    loadGameData(['js/render.js', 'js/related.js', ...scripts], options);
+
+const makeGame = (id, description, overrides = {}) => ({
+    id,
+    name: id,
+    category: 'Scene Games',
+    tags: [],
+    playerCount: { min: 2, max: 4, optimal: 3 },
+    setup: { description },
+    rules: [],
+    ...overrides
+});
+
+const summarize = (related) => [...related].map(({ game, relation }) => `${game.id}:${relation}`);
+
+test('declared relations show up on both games', async () => {
+    const { RelatedGames, GameData } = await loadRelated();
+
+    // sit_stand_lie declares freeze_tag as its prerequisite; interrogation declares party_quirks a variant
+    assert.deepEqual(summarize(RelatedGames.getDeclaredRelations(GameData.getGameById('sit_stand_lie'))),
+        ['freeze_tag:prerequisite']);
+    assert.deepEqual(summarize(RelatedGames.getDeclaredRelations(GameData.getGameById('freeze_tag'))),
+        ['sit_stand_lie:builds_on']);
+    assert.deepEqual(summarize(RelatedGames.getDeclaredRelations(GameData.getGameById('party_quirks'))),
+        ['interrogation:variant']);
+    assert.equal(RelatedGames.getDeclaredRelations(GameData.getGameById('bippity_bop')).length, 0);
+});
+
+test('player ranges count by how much they overlap', async () => {
+    const { RelatedGames } = await loadRelated();
+
+    assert.equal(RelatedGames.getPlayerOverlap({ min: 2, max: 4 }, { min: 2, max: 4 }), 1);
+    assert.equal(RelatedGames.getPlayerOverlap({ min: 2, max: 4 }, { min: 3, max: 6 }), 0.4);
+    assert.equal(RelatedGames.getPlayerOverlap({ min: 2, max: 3 }, { min: 5, max: 8 }), 0);
+});
+
+test('games with similar setups and rules rank first', async () => {
+    const { RelatedGames } = await loadRelated();
+    const machine = makeGame('machine', 'Players build a machine out of sounds and movements.', {
+        rules: ['Each player adds a moving part to the machine']
+    });
+    const games = [
+        machine,
+        makeGame('factory', 'Players build a factory machine with sounds, one moving part at a time.'),
+        makeGame('parking', 'Two players argue about a parking ticket.'),
+        makeGame('jam', 'Anyone can join in.', { category: 'Opening Games', playerCount: { min: 8, max: 12, optimal: 10 } })
+    ];
+
+    const factory = RelatedGames.scoreSimilarity(machine, games[1], games);
+    const parking = RelatedGames.scoreSimilarity(machine, games[2], games);
+    assert.ok(factory.score > parking.score);
+    assert.deepEqual([...factory.reasons], ['Also in Scene Games', 'Same player count', 'Similar setup and rules']);
+    assert.deepEqual([...parking.reasons], ['Also in Scene Games', 'Same player count']);
+
+    // Nothing in common: below the cut-off
+    assert.equal(RelatedGames.scoreSimilarity(machine, games[3], games).score, 0);
+    assert.deepEqual(summarize(RelatedGames.findRelatedGames(machine, games)), ['factory:null', 'parking:null']);
+    assert.deepEqual(summarize(RelatedGames.findRelatedGames(machine, games, 1)), ['factory:null']);
+});
+
+test('declared relations come before games that are only similar', async () => {
+    const { RelatedGames, GameData } = await loadRelated();
+
+    assert.deepEqual(summarize(RelatedGames.findRelatedGames(GameData.getGameById('party_quirks'))),
+        ['interrogation:variant', 'scattergories:null']);
+    assert.equal(RelatedGames.findRelatedGames(GameData.getGameById('bippity_bop')).length, 0);
+});
+
+test('the game page links to related games and keeps the way back to the search', async () => {
+    const window = await loadRelated(['js/game-details.js'], { html: '<div id="gameContent"></div>' });
+    window.sessionStorage.setItem('lastSearch', 'q=quirks&category=Guessing+Games');
+
+    window.GameDetails.displayGameDetails(window.GameData.getGameById('party_quirks'));
+    const section = window.document.querySelector('.related-games');
+    const links = section.querySelectorAll('.related-game');
+    assert.deepEqual(links.map(link => link.getAttribute('href')),
+        ['index.html#/game/interrogation', 'index.html#/game/scattergories']);
+    assert.equal(links[0].querySelector('.related-relation').textContent, 'Variant');
+    assert.equal(links[1].querySelector('.related-relation'), null);
+    assert.equal(window.sessionStorage.getItem('lastSearch'), 'q=quirks&category=Guessing+Games');
+
+    window.GameDetails.displayGameDetails(window.GameData.getGameById('bippity_bop'));
+    assert.match(window.document.querySelector('.related-games').textContent, /No similar games yet/);
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for js/render.js and for rendering hostile game data safely
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, loadGameData } = require('./helpers/load-app');
+
+const HOSTILE_TEXT = '"><img src=x onerror="alert(1)"><script>alert(2)</script>\'`';
+const HOSTILE_LINKS = [
+    'javascript:alert(3)',
+    ' JavaScript:alert(4)',
+    'data:text/html,<script>alert(5)</script>',
+    'https://youtu.be/"onload=alert(6)//',
+    'https://www.youtube.com/watch?v=<svg/onload>'
+];
+
+/**
+ * A game with a hostile string in every text field
+ */
+function createHostileGame() {
+    return {
+        id: HOSTILE_TEXT,
+        name: HOSTILE_TEXT,
+        aliases: [HOSTILE_TEXT],
+        tags: [HOSTILE_TEXT],
+        playerCount: { min: 2, max: 4, optimal: 3 },
+        audienceParticipation: true,
+        audienceVolunteers: { min: 1, max: 2, description: HOSTILE_TEXT },
+        durationMinutes: { min: 5, max: 10 },
+        difficulty: HOSTILE_TEXT,
+        setup: { description: HOSTILE_TEXT, suggestions: [HOSTILE_TEXT] },
+        rules: [HOSTILE_TEXT],
+        tips: [HOSTILE_TEXT, { role: HOSTILE_TEXT, tips: [HOSTILE_TEXT] }],
+        examples: [HOSTILE_TEXT],
+        videoLinks: [...HOSTILE_LINKS, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'],
+        notes: [HOSTILE_TEXT],
+        category: HOSTILE_TEXT
+    };
+}
+
+/**
+ * Assert that rendered markup contains no injected elements, handlers or unsafe links
+ */
+function assertNoInjection(root) {
+    const elements = root.querySelectorAll('*');
+    assert.equal(root.querySelectorAll('script').length, 0, 'no <script> elements');
+    assert.equal(root.querySelectorAll('img').length, 0, 'no injected <img> elements');
+
+    elements.forEach(element => {
+        [...element.attributes.keys()].forEach(name => {
+            assert.ok(!name.startsWith('on'), `no ${name} handler on <${element.localName}>`);
+        });
+    });
+
+    root.querySelectorAll('a').forEach(link => {
+        assert.doesNotMatch(link.href, /^\s*(javascript|data|vbscript):/i, `link ${link.href} is not a script URL`);
+    });
+
+    root.querySelectorAll('a[target="_blank"]').forEach(link => {
+        assert.match(link.href, /^https?:\/\//, `external link ${link.href} is http(s)`);
+        assert.equal(link.rel, 'noopener noreferrer');
+    });
+
+    root.querySelectorAll('iframe').forEach(frame => {
+        assert.match(frame.src, /^https:\/\/www\.youtube\.com\/embed\/[A-Za-z0-9_-]{11}$/);
+    });
+}
+
+test('html escapes interpolated values but keeps nested templates', () => {
+    const { Render } = loadApp(['js/render.js']);
+    const item = Render.html`<li>${'<b>bold</b>'}</li>`;
+
+    assert.equal(String(Render.html`<ul>${[item, item]}</ul>`), '<ul><li>&lt;b&gt;bold&lt;/b&gt;</li><li>&lt;b&gt;bold&lt;/b&gt;</li></ul>');
+    assert.equal(String(Render.html`<a title="${'" onclick="x'}">`), '<a title="&quot; onclick=&quot;x">');
+    assert.equal(String(Render.html`${null}${undefined}${false}${0}`), '0');
+});
+
+test('setHtml only accepts markup built with html', () => {
+    const { Render, document } = loadApp(['js/render.js']);
+    const element = document.createElement('div');
+
+    assert.throws(() => Render.setHtml(element, '<b>raw</b>'), /Render\.html/);
+    Render.setHtml(element, Render.html`<b>${'<i>'}</b>`);
+    assert.equal(element.querySelector('b').textContent, '<i>');
+});
+
+test('safeUrl allows only absolute http(s) links', () => {
+    const { Render } = loadApp(['js/render.js']);
+
+    assert.equal(Render.safeUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ'), 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+    assert.equal(Render.safeUrl('http://example.com/'), 'http://example.com/');
+    HOSTILE_LINKS.slice(0, 3).forEach(link => assert.equal(Render.safeUrl(link), null, link));
+    assert.equal(Render.safeUrl('game.html?id=1'), null);
+    assert.equal(Render.safeUrl(undefined), null);
+});
+
+test('externalLink opens in a new tab without an opener, or falls back to text', () => {
+    const { Render, document } = loadApp(['js/render.js']);
+    const element = document.createElement('p');
+
+    Render.setHtml(element, Render.html`${Render.externalLink('https://example.com/a?b=1&c=2')} ${Render.externalLink('javascript:alert(1)')}`);
+
+    const links = element.querySelectorAll('a');
+    assert.equal(links.length, 1);
+    assert.equal(links[0].href, 'https://example.com/a?b=1&c=2');
+    assert.equal(links[0].target, '_blank');
+    assert.equal(links[0].rel, 'noopener noreferrer');
+    assert.match(element.textContent, /javascript:alert\(1\)/);
+});
+
+test('isYouTubeId accepts only 11-character video ids', () => {
+    const { Render } = loadApp(['js/render.js']);
+
+    assert.equal(Render.isYouTubeId('dQw4w9WgXcQ'), true);
+    assert.equal(Render.isYouTubeId('"onload=ale'), false);
+    assert.equal(Render.isYouTubeId('short'), false);
+    assert.equal(Render.isYouTubeId(null), false);
+});
+
+test('game details render hostile strings in every field as text', async () => {
+    const window = await loadGameData(['js/render.js', 'js/game-details.js'], {
+        html: '<span id="gameTitle"></span><span id="breadcrumbGame"></span><div id="gameContent"></div>'
+    });
+    const content = window.document.getElementById('gameContent');
+
+    window.GameDetails.displayGameDetails(createHostileGame());
+
+    assertNoInjection(content);
+    assert.equal(content.querySelector('.game-title-large').textContent, HOSTILE_TEXT);
+    assert.equal(content.querySelectorAll('iframe').length, 1);
+
+    // Non-http(s) links are not linked; odd but valid https URLs are linked percent-encoded
+    const hrefs = content.querySelectorAll('a').map(link => link.href);
+    assert.deepEqual(hrefs, [
+        'https://youtu.be/%22onload=alert(6)//',
+        'https://www.youtube.com/watch?v=%3Csvg/onload%3E',
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+    ]);
+
+    // Every field's text still shows up, escaped
+    const text = content.textContent;
+    const occurrences = text.split(HOSTILE_TEXT).length - 1;
+    assert.ok(occurrences >= 12, `hostile text shown as text in every field (found ${occurrences})`);
+    HOSTILE_LINKS.forEach(link => assert.ok(text.includes(link), `${link} shown as text`));
+});
+
+test('game details show a hostile error message as text', async () => {
+    const window = await loadGameData(['js/render.js', 'js/game-details.js'], {
+        html: '<div id="gameContent"></div>'
+    });
+    window.sessionStorage.setItem('lastSearch', '"><script>alert(1)</script>');
+    const content = window.document.getElementById('gameContent');
+
+    window.GameDetails.showGameError(HOSTILE_TEXT);
+
+    assertNoInjection(content);
+    assert.match(content.querySelector('.alert').textContent, /alert\(2\)/);
+});
+
+test('game cards render hostile strings as text', async () => {
+    const window = await loadGameData(['js/render.js', 'js/virtual-grid.js', 'js/search.js']);
+    const container = window.document.createElement('div');
+
+    window.GameSearch.renderGames([createHostileGame()], container);
+
+    assertNoInjection(container);
+    const card = container.querySelector('.game-card');
+    assert.equal(card.querySelector('.game-title').textContent, HOSTILE_TEXT);
+    assert.match(card.querySelector('.game-meta').textContent, /<script>alert\(2\)<\/script>/);
+    assert.equal(card.querySelector('.game-description').textContent, HOSTILE_TEXT);
+});
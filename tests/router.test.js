@@ -0,0 +1,238 @@
+/**
+ * Tests for js/router.js: showing games in place of the list on index.html
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFileFetch, loadApp } = require('./helpers/load-app');
+const { createEvent } = require('./helpers/fake-dom');
+
+const PAGE_HTML = `
+    <a href="#mainContent" id="skipLink">Skip to main content</a>
+    <main id="mainContent" tabindex="-1">
+    <div id="listView">
+        <div class="row" id="gamesContainer">
+            <div class="card game-card" data-game-id="freeze_tag">
+                <h5><a class="game-card-link" href="index.html#/game/freeze_tag">Freeze Tag</a></h5>
+            </div>
+        </div>
+        <a href="index.html#/game/party_quirks" id="partyLink">Party Quirks</a>
+        <a href="lineup.html" id="lineupLink">Lineup Builder</a>
+    </div>
+    <div id="gameView" hidden>
+        <a href="#/" data-back-to-games id="backLink">Back to Games</a>
+        <span id="breadcrumbGame"></span>
+        <div id="gameContent"></div>
+    </div>
+    </main>
+`;
+
+/**
+ * Load the router on a list page at a URL, counting database downloads.
+ * History and scrolling are recorded, as a browser would do them.
+ */
+function loadRouter(url = 'http://localhost/index.html', scripts = []) {
+    const fileFetch = createFileFetch();
+    const downloads = [];
+    const window = loadApp(['js/search-index.js', 'js/data.js', 'js/render.js', ...scripts, 'js/game-details.js', 'js/router.js'], {
+        url,
+        html: PAGE_HTML,
+        fetch: async (resource) => {
+            if (String(resource).includes('mutgames.json')) downloads.push(resource);
+            return fileFetch(resource);
+        }
+    });
+
+    const pushed = [];
+    window.history = {
+        length: 1,
+        pushState(state, title, href) {
+            pushed.push(href);
+            this.length++;
+            window.location.hash = href.includes('#') ? href.slice(href.indexOf('#')) : '';
+        },
+        replaceState() {},
+        back() {
+            pushed.pop();
+            const previous = pushed.at(-1) || '';
+            window.location.hash = previous.includes('#') ? previous.slice(previous.indexOf('#')) : '';
+            window.Router.handleRouteChange();
+        }
+    };
+    window.scrollY = 0;
+    window.scrollTo = (x, y) => {
+        window.scrollY = y;
+    };
+    window.document.title = 'MUT Improv Games';
+
+    const { document } = window;
+    window.Router.initRouter();
+    return {
+        window,
+        downloads,
+        pushed,
+        listView: document.getElementById('listView'),
+        gameView: document.getElementById('gameView'),
+        content: document.getElementById('gameContent')
+    };
+}
+
+test('parseRoute and getLinkRoute read game routes and links to them', () => {
+    const { Router } = loadApp(['js/router.js']);
+
+    assert.deepEqual({ ...Router.parseRoute('#/game/freeze_tag') }, { view: 'game', gameId: 'freeze_tag' });
+    assert.deepEqual({ ...Router.parseRoute('#/game/caf%C3%A9') }, { view: 'game', gameId: 'café' });
+    assert.deepEqual({ ...Router.parseRoute('#/') }, { view: 'list' });
+    assert.deepEqual({ ...Router.parseRoute('#about') }, { view: 'list' });
+    assert.deepEqual({ ...Router.parseRoute('') }, { view: 'list' });
+
+    assert.equal(Router.getLinkRoute('index.html#/game/freeze_tag'), '#/game/freeze_tag');
+    assert.equal(Router.getLinkRoute('#/'), '#/');
+    assert.equal(Router.getLinkRoute('./#/game/x'), '#/game/x');
+    assert.equal(Router.getLinkRoute('lineup.html'), null);
+    assert.equal(Router.getLinkRoute('#about'), null);
+});
+
+test('opening a game URL shows the game, and the database is downloaded once', async () => {
+    const { window, downloads, listView, gameView, content } = loadRouter('http://localhost/index.html#/game/freeze_tag');
+    const { Router, document } = window;
+
+    // The game view shows while the data loads
+    assert.equal(listView.hidden, true);
+    assert.equal(gameView.hidden, false);
+
+    await Router.handleRouteChange();
+    assert.equal(content.querySelector('.game-title-large').textContent, 'Freeze Tag');
+    assert.equal(document.title, 'Freeze Tag - MUT Improv Games');
+    assert.equal(document.getElementById('breadcrumbGame').textContent, 'Freeze Tag');
+
+    await Router.navigate('#/');
+    assert.equal(listView.hidden, false);
+    assert.equal(gameView.hidden, true);
+    assert.equal(document.title, 'MUT Improv Games');
+
+    await Router.openGame('party_quirks');
+    assert.equal(content.querySelector('.game-title-large').textContent, 'Party Quirks');
+    assert.equal(downloads.length, 1);
+});
+
+test('an unknown game shows an error with a way back', async () => {
+    const { window, content } = loadRouter('http://localhost/index.html#/game/no_such_game');
+
+    await window.Router.handleRouteChange();
+    assert.match(content.textContent, /Game not found/);
+    assert.ok(content.querySelector('[data-back-to-games]'));
+});
+
+test('the list keeps its scroll position while a game is open', async () => {
+    const { window } = loadRouter();
+    const { Router } = window;
+    await Router.handleRouteChange();
+
+    window.scrollY = 1800;
+    await Router.openGame('freeze_tag');
+    assert.equal(window.scrollY, 0);
+
+    // Scrolling the game and following a related game doesn't lose the list's place
+    window.scrollY = 400;
+    await Router.openGame('party_quirks');
+    assert.equal(window.scrollY, 0);
+
+    await Router.navigate('#/');
+    assert.equal(window.scrollY, 1800);
+});
+
+test('links to routes open in place; other links and modified clicks are left alone', async () => {
+    const { window, pushed, listView } = loadRouter();
+    const { document, Router } = window;
+    await Router.handleRouteChange();
+
+    const click = (element, init = {}) => {
+        const event = createEvent('click', init);
+        element.dispatchEvent(event);
+        return event;
+    };
+
+    assert.equal(click(document.getElementById('lineupLink')).defaultPrevented, false);
+    assert.equal(click(document.getElementById('partyLink'), { ctrlKey: true }).defaultPrevented, false);
+    assert.deepEqual(pushed, []);
+
+    assert.equal(click(document.getElementById('partyLink')).defaultPrevented, true);
+    assert.deepEqual(pushed, ['/index.html#/game/party_quirks']);
+    await window.GameData.ensureGamesData();
+    assert.equal(listView.hidden, true);
+
+    // "Back to Games" goes back through history to the list the game came from
+    assert.equal(click(document.getElementById('backLink')).defaultPrevented, true);
+    assert.deepEqual(pushed, []);
+    assert.equal(listView.hidden, false);
+});
+
+test('hovering a game prepares its page, and opening it uses the prepared page', async () => {
+    const { window, content } = loadRouter();
+    const { document, GameData, GameDetails, Router } = window;
+    await GameData.ensureGamesData();
+    await Router.handleRouteChange();
+
+    const prepared = [];
+    const prepareGameDetails = GameDetails.prepareGameDetails;
+    GameDetails.prepareGameDetails = (game) => {
+        const element = prepareGameDetails(game);
+        prepared.push({ id: game.id, header: element.querySelector('.game-header') });
+        return element;
+    };
+
+    const title = document.querySelector('[data-game-id="freeze_tag"] h5');
+    title.dispatchEvent(createEvent('mouseover'));
+    title.dispatchEvent(createEvent('mouseover'));
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.deepEqual(prepared.map(entry => entry.id), ['freeze_tag']);
+
+    await Router.openGame('freeze_tag');
+    assert.equal(content.querySelector('.game-header'), prepared[0].header);
+    assert.equal(prepared.length, 1);
+});
+
+test('focus moves to the game heading, and back to its card on the list', async () => {
+    const { window } = loadRouter();
+    const { document, Router } = window;
+    await Router.handleRouteChange();
+
+    await Router.openGame('freeze_tag');
+    const heading = document.querySelector('#gameView h1');
+    assert.equal(document.activeElement, heading);
+    assert.equal(heading.getAttribute('tabindex'), '-1');
+
+    await Router.navigate('#/');
+    assert.equal(document.activeElement, document.querySelector('[data-game-id="freeze_tag"] .game-card-link'));
+});
+
+test('a skip link to the main content leaves the open game showing', async () => {
+    const { window, listView, gameView } = loadRouter('http://localhost/index.html#/game/freeze_tag');
+    const { Router } = window;
+    await Router.handleRouteChange();
+
+    window.location.hash = '#mainContent';
+    await Router.handleRouteChange();
+    assert.equal(gameView.hidden, false);
+
+    // An anchor inside the list, such as the About section's, still shows the list
+    window.location.hash = '#gamesContainer';
+    await Router.handleRouteChange();
+    assert.equal(listView.hidden, false);
+});
+
+test('preparing a game does not use up tonight\'s suggestion prompts', async () => {
+    const { window, content } = loadRouter('http://localhost/index.html', ['js/suggestions.js']);
+    const { GameData, Router, localStorage } = window;
+    await GameData.ensureGamesData();
+    await Router.handleRouteChange();
+
+    Router.prefetchGame('party_quirks');
+    assert.equal(localStorage.getItem('suggestionHistory'), null);
+
+    // The prompts are drawn when the game is shown
+    await Router.openGame('party_quirks');
+    assert.equal(content.querySelectorAll('.suggestion-panel').length, 1);
+    assert.ok(JSON.parse(localStorage.getItem('suggestionHistory')).used.quirks.length > 0);
+});
@@ -0,0 +1,111 @@
+/**
+ * Benchmark for typing into the search box with a synthetic 5,000-game database.
+ * Timings are reported as test diagnostics (node --test tests/search-benchmark.test.js);
+ * the assertions catch the regressions that matter on slow phones: rendering
+ * every card, or rebuilding cards a keystroke could have reused.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { FIXTURE_DATA, loadGameData } = require('./helpers/load-app');
+
+const GAME_COUNT = 5000;
+const WORDS = ['freeze', 'party', 'story', 'family', 'tag', 'song', 'mirror', 'zip', 'space', 'ghost', 'pirate', 'opera'];
+
+// Generous limits, far above a healthy run, so only real regressions fail
+const KEYSTROKE_BUDGET_MS = 1000;
+const LOAD_BUDGET_MS = 10000;
+
+/**
+ * Build a database of GAME_COUNT games from the fixture games, with varied names
+ */
+function createSyntheticDatabase() {
+    const fixture = JSON.parse(fs.readFileSync(FIXTURE_DATA, 'utf8'));
+    const templates = fixture.categories.flatMap(category =>
+        category.games.map(({ related, ...game }) => ({ category, game })));
+
+    const categories = fixture.categories.map(category => ({ ...category, games: [] }));
+    for (let i = 0; i < GAME_COUNT; i++) {
+        const { category, game } = templates[i % templates.length];
+        const words = [WORDS[i % WORDS.length], WORDS[Math.floor(i / WORDS.length) % WORDS.length]];
+        categories[fixture.categories.indexOf(category)].games.push({
+            ...game,
+            id: `${game.id}_${i}`,
+            name: `${game.name} ${words.join(' ')} ${i}`,
+            aliases: []
+        });
+    }
+    return { metadata: { ...fixture.metadata, totalGames: GAME_COUNT }, categories };
+}
+
+/**
+ * Time a callback in milliseconds
+ */
+function time(callback) {
+    const start = process.hrtime.bigint();
+    callback();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+test(`typing a query over ${GAME_COUNT} games stays fast and renders a window of cards`, async (t) => {
+    const database = createSyntheticDatabase();
+    const loadStart = process.hrtime.bigint();
+    const window = await loadGameData(['js/render.js', 'js/query-parser.js', 'js/virtual-grid.js', 'js/search.js'], {
+        fetch: async () => ({ ok: true, status: 200, json: async () => JSON.parse(JSON.stringify(database)) }),
+        html: `
+            <input id="searchInput">
+            <p id="resultsInfo"></p>
+            <div class="row" id="gamesContainer"></div>
+        `
+    });
+    const loadMs = Number(process.hrtime.bigint() - loadStart) / 1e6;
+    const { document, GameData, GameSearch, VirtualGrid } = window;
+    const searchInput = document.getElementById('searchInput');
+    const container = document.getElementById('gamesContainer');
+    GameSearch.initSearch();
+    assert.equal(GameData.allGames.length, GAME_COUNT);
+
+    const initialMs = time(() => GameSearch.applyFiltersAndSearch({ updateHistory: false }));
+    assert.equal(container.querySelectorAll('.game-card').length, VirtualGrid.VIRTUAL_GRID_MIN_ITEMS);
+
+    // Type "freeze tag" a key at a time, then delete it again
+    const query = 'freeze tag';
+    const keystrokes = [];
+    for (let i = 1; i <= query.length; i++) keystrokes.push(query.slice(0, i));
+    for (let i = query.length - 1; i >= 0; i--) keystrokes.push(query.slice(0, i));
+
+    const seenCards = new Set(container.querySelectorAll('.game-card'));
+    let newCards = 0;
+    const timings = keystrokes.map(value => {
+        searchInput.value = value;
+        const ms = time(() => GameSearch.applyFiltersAndSearch({ updateHistory: false }));
+
+        const cards = container.querySelectorAll('.game-card');
+        assert.ok(cards.length <= VirtualGrid.VIRTUAL_GRID_MIN_ITEMS, `"${value}" rendered ${cards.length} cards`);
+        cards.forEach(card => {
+            if (!seenCards.has(card)) newCards++;
+            seenCards.add(card);
+        });
+        return ms;
+    });
+
+    // Retyping the query builds no new cards: every one it shows was kept
+    const cardsBefore = seenCards.size;
+    keystrokes.forEach(value => {
+        searchInput.value = value;
+        GameSearch.applyFiltersAndSearch({ updateHistory: false });
+        container.querySelectorAll('.game-card').forEach(card => seenCards.add(card));
+    });
+    assert.equal(seenCards.size, cardsBefore);
+
+    const sorted = [...timings].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    const slowest = sorted[sorted.length - 1];
+    t.diagnostic(`load ${loadMs.toFixed(0)} ms, first render ${initialMs.toFixed(1)} ms`);
+    t.diagnostic(`${keystrokes.length} keystrokes: median ${median.toFixed(1)} ms, slowest ${slowest.toFixed(1)} ms`);
+    t.diagnostic(`${newCards} cards built while typing, ${seenCards.size} in total`);
+
+    assert.ok(loadMs < LOAD_BUDGET_MS, `loading took ${loadMs.toFixed(0)} ms`);
+    assert.ok(slowest < KEYSTROKE_BUDGET_MS, `slowest keystroke took ${slowest.toFixed(0)} ms`);
+});
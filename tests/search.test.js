@@ -0,0 +1,262 @@
+/**
+ * Tests for js/search.js: rendering game cards, filters and sorting
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGameData } = require('./helpers/load-app');
+const { createEvent } = require('./helpers/fake-dom');
+
+async function loadSearch() {
+    const window = await loadGameData(['js/render.js', 'js/virtual-grid.js', 'js/search.js']);
+    const container = window.document.createElement('div');
+    return { window, container };
+}
+
+test('renderGames renders one card per game', async () => {
+    const { window, container } = await loadSearch();
+    const games = window.GameData.filterGames(window.GameData.allGames, { category: 'Scene Games' });
+
+    window.GameSearch.renderGames(games, container);
+
+    const titles = container.querySelectorAll('.game-card .game-title').map(title => title.textContent);
+    assert.deepEqual(titles, ['Freeze Tag', 'Sit Stand Lie']);
+});
+
+test('renderGames shows category, difficulty, players, tags and description', async () => {
+    const { window, container } = await loadSearch();
+    const game = window.GameData.getGameById('bippity_bop');
+
+    window.GameSearch.renderGames([game], container);
+
+    const card = container.querySelector('.game-card');
+    const meta = card.querySelector('.game-meta').textContent.replace(/\s+/g, ' ').trim();
+    assert.equal(meta, 'Opening Games • Beginner • 4-12 players (optimal: 8)');
+    assert.deepEqual(card.querySelectorAll('.tag-badge').map(tag => tag.textContent), ['Family Friendly', 'Jam Friendly']);
+    assert.equal(card.querySelector('.game-description').textContent, game.setup.description);
+});
+
+test('renderGames shows a message when nothing matches', async () => {
+    const { window, container } = await loadSearch();
+
+    window.GameSearch.renderGames([], container);
+
+    assert.equal(container.querySelectorAll('.game-card').length, 0);
+    assert.match(container.textContent, /No games found/);
+});
+
+test('each card is titled by a link to the game page', async () => {
+    const { window, container } = await loadSearch();
+
+    window.GameSearch.renderGames([window.GameData.getGameById('party_quirks')], container);
+    const card = container.querySelector('.game-card');
+    const link = card.querySelector('.game-title a.game-card-link');
+
+    assert.equal(link.getAttribute('href'), 'index.html#/game/party_quirks');
+    assert.equal(link.textContent, 'Party Quirks');
+    assert.equal(card.onclick, undefined);
+});
+
+test('the length filter and duration sort narrow and order the list', async () => {
+    const window = await loadGameData(['js/render.js', 'js/query-parser.js', 'js/virtual-grid.js', 'js/search.js'], {
+        html: `
+            <input id="searchInput">
+            <input id="minMinutesFilter">
+            <input id="maxMinutesFilter">
+            <select id="sortOrder"></select>
+            <p id="resultsInfo"></p>
+            <div id="gamesContainer"></div>
+        `
+    });
+    const { document, GameData, GameSearch } = window;
+    const ids = () => [...GameData.filteredGames].map(game => game.id);
+    GameSearch.initSearch();
+
+    document.getElementById('minMinutesFilter').value = '9';
+    document.getElementById('sortOrder').value = 'longest';
+    GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    assert.deepEqual(ids(), ['scattergories', 'sit_stand_lie', 'bippity_bop', 'interrogation', 'party_quirks']);
+
+    // A minutes: range typed into the search box works the same way
+    document.getElementById('minMinutesFilter').value = '';
+    document.getElementById('searchInput').value = 'minutes:-7';
+    document.getElementById('sortOrder').value = 'shortest';
+    GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    assert.deepEqual(ids(), ['freeze_tag', 'bippity_bop', 'interrogation', 'party_quirks']);
+
+    const state = GameSearch.parseSearchState(GameSearch.serializeSearchState({ minMinutes: 5, maxMinutes: null }));
+    assert.equal(state.minMinutes, 5);
+    assert.equal(state.maxMinutes, null);
+});
+
+test('typing a query reuses the cards and only refreshes their highlights', async () => {
+    const window = await loadGameData(['js/render.js', 'js/query-parser.js', 'js/virtual-grid.js', 'js/search.js'], {
+        html: `
+            <input id="searchInput">
+            <p id="resultsInfo"></p>
+            <div id="gamesContainer"></div>
+        `
+    });
+    const { document, GameSearch } = window;
+    const container = document.getElementById('gamesContainer');
+    const cardFor = (name) => container.querySelectorAll('.game-card')
+        .find(card => card.querySelector('.game-title').textContent === name);
+    GameSearch.initSearch();
+
+    GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    const freezeTag = cardFor('Freeze Tag');
+
+    document.getElementById('searchInput').value = 'freeze';
+    GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    assert.equal(container.querySelectorAll('.game-card').length, 1);
+    assert.equal(cardFor('Freeze Tag'), freezeTag);
+    assert.equal(freezeTag.querySelector('mark').textContent, 'Freeze');
+
+    document.getElementById('searchInput').value = '';
+    GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    assert.equal(container.querySelectorAll('.game-card').length, 6);
+    assert.equal(cardFor('Freeze Tag'), freezeTag);
+    assert.equal(freezeTag.querySelectorAll('mark').length, 0);
+});
+
+test('"/" focuses the search box unless typing elsewhere or the list is hidden', async () => {
+    const window = await loadGameData(['js/render.js', 'js/query-parser.js', 'js/virtual-grid.js', 'js/search.js'], {
+        html: `
+            <div id="listView">
+                <input id="searchInput">
+                <p id="resultsInfo"></p>
+                <div id="gamesContainer"></div>
+            </div>
+            <textarea id="notes"></textarea>
+        `
+    });
+    const { document, GameSearch } = window;
+    const searchInput = document.getElementById('searchInput');
+    const press = (target, init = {}) => {
+        const event = createEvent('keydown', { key: '/', target, ...init });
+        GameSearch.handleSearchShortcut(event);
+        return event;
+    };
+    GameSearch.initSearch();
+
+    assert.equal(press(document.body).defaultPrevented, true);
+    assert.equal(document.activeElement, searchInput);
+
+    document.activeElement = null;
+    assert.equal(press(document.getElementById('notes')).defaultPrevented, false);
+    assert.equal(press(document.body, { ctrlKey: true }).defaultPrevented, false);
+    document.getElementById('listView').hidden = true;
+    assert.equal(press(document.body).defaultPrevented, false);
+    assert.equal(document.activeElement, null);
+});
+
+test('arrow keys move focus between cards by position in the grid', async () => {
+    const { window, container } = await loadSearch();
+    window.GameSearch.renderGames(window.GameData.allGames, container);
+
+    // Lay the six cards out in rows of three
+    const cols = container.querySelectorAll('.game-card').map(card => card.parentNode);
+    cols.forEach((col, index) => {
+        col.offsetTop = Math.floor(index / 3) * 300;
+    });
+    const links = container.querySelectorAll('.game-card-link');
+    const press = (link, key) => {
+        link.focus();
+        const event = createEvent('keydown', { key });
+        link.dispatchEvent(event);
+        return event;
+    };
+
+    assert.equal(press(links[0], 'ArrowRight').defaultPrevented, true);
+    assert.equal(window.document.activeElement, links[1]);
+    press(links[1], 'ArrowDown');
+    assert.equal(window.document.activeElement, links[4]);
+    press(links[4], 'ArrowLeft');
+    assert.equal(window.document.activeElement, links[3]);
+    press(links[3], 'ArrowUp');
+    assert.equal(window.document.activeElement, links[0]);
+
+    // At the edge of the grid the key is left to the browser
+    assert.equal(press(links[0], 'ArrowUp').defaultPrevented, false);
+    assert.equal(window.document.activeElement, links[0]);
+});
+
+test('the result count is only rewritten when it changes, so it is announced once', async () => {
+    const window = await loadGameData(['js/render.js', 'js/query-parser.js', 'js/virtual-grid.js', 'js/search.js'], {
+        html: `
+            <input id="searchInput">
+            <p id="resultsInfo" role="status" aria-live="polite"></p>
+            <div id="gamesContainer"></div>
+        `
+    });
+    const { document, GameSearch } = window;
+    const resultsInfo = document.getElementById('resultsInfo');
+    GameSearch.initSearch();
+    GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    assert.equal(resultsInfo.textContent, 'Found 6 improv games ready to explore');
+
+    const text = resultsInfo.firstChild;
+
+    GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    assert.equal(resultsInfo.firstChild, text);
+
+    document.getElementById('searchInput').value = 'freeze';
+    GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    assert.notEqual(resultsInfo.firstChild, text);
+    assert.equal(resultsInfo.textContent, 'Found 1 of 6 games matching your search');
+});
+
+test('negated fields in the query exclude what they match', async () => {
+    const window = await loadGameData(['js/render.js', 'js/query-parser.js', 'js/virtual-grid.js', 'js/search.js'], {
+        html: `
+            <input id="searchInput">
+            <p id="resultsInfo"></p>
+            <div id="gamesContainer"></div>
+        `
+    });
+    const { document, GameData, GameSearch } = window;
+    const ids = () => [...GameData.filteredGames].map(game => game.id).sort();
+    const search = (query) => {
+        document.getElementById('searchInput').value = query;
+        GameSearch.applyFiltersAndSearch({ updateHistory: false });
+        return ids();
+    };
+    GameSearch.initSearch();
+
+    assert.deepEqual(search('-tag:jam_friendly'), ['interrogation', 'party_quirks', 'scattergories', 'sit_stand_lie']);
+    assert.deepEqual(search('-difficulty:advanced'), ['bippity_bop', 'freeze_tag', 'interrogation', 'party_quirks', 'scattergories']);
+    assert.deepEqual(search('-category:guessing -level:beginner'), ['freeze_tag', 'sit_stand_lie']);
+    assert.deepEqual(search('tag:physical -tag:jam-friendly'), ['sit_stand_lie']);
+
+    // Player counts and lengths have no opposite: negating them leaves the list alone
+    assert.equal(search('-players:4').length, 6);
+    assert.equal(search('-minutes:5-10 -optimal:6').length, 6);
+    const negatedRanges = window.QueryParser.parseQuery('-players:4 -minutes:5-10 -optimal:6');
+    assert.equal(negatedRanges.text, '');
+    assert.deepEqual([...negatedRanges.filters.exclude], []);
+    assert.equal(negatedRanges.filters.players, undefined);
+});
+
+test('clearing the filters also leaves the favorites view', async () => {
+    const window = await loadGameData(['js/render.js', 'js/query-parser.js', 'js/collections.js', 'js/virtual-grid.js', 'js/search.js'], {
+        html: `
+            <input id="searchInput">
+            <select id="difficultyFilter"></select>
+            <select id="collectionView"></select>
+            <p id="resultsInfo"></p>
+            <div id="gamesContainer"></div>
+        `
+    });
+    const { document, Collections, GameData, GameSearch } = window;
+    GameSearch.initSearch();
+    Collections.toggleFavorite('freeze_tag');
+
+    document.getElementById('collectionView').value = 'favorites';
+    document.getElementById('difficultyFilter').value = 'intermediate';
+    GameSearch.applyFiltersAndSearch({ updateHistory: false });
+    assert.deepEqual([...GameData.filteredGames].map(game => game.id), ['freeze_tag']);
+
+    GameSearch.clearFilters();
+    assert.equal(document.getElementById('collectionView').value, '');
+    assert.equal(GameData.filteredGames.length, 6);
+});
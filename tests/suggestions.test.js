@@ -0,0 +1,122 @@
+/**
+ * Tests for js/suggestions.js: prompt banks, game needs and tonight's history
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadGameData } = require('./helpers/load-app');
+
+const loadSuggestions = (scripts = []) => loadGameData(['js/render.js', 'js/suggestions.js', ...scripts]);
+
+const bankIds = (needs) => [...needs].map(need => need.bankId);
+
+test('needs come from a game\'s own suggestions, keeping their wording', async () => {
+    const { GameData, Suggestions } = await loadSuggestions();
+
+    const needs = Suggestions.getSuggestionNeeds(GameData.getGameById('interrogation'));
+
+    assert.deepEqual(bankIds(needs), ['problems', 'locations', 'objects']);
+    assert.deepEqual([...needs].map(need => need.label), ['A crime', 'A location', 'A weapon']);
+    assert.deepEqual(bankIds(Suggestions.getSuggestionNeeds(GameData.getGameById('party_quirks'))), ['quirks']);
+});
+
+test('without suggestions, needs are read from the name, setup and rules', async () => {
+    const { GameData, Suggestions } = await loadSuggestions();
+
+    assert.deepEqual(bankIds(Suggestions.getSuggestionNeeds(GameData.getGameById('scattergories'))), ['categories']);
+    assert.deepEqual(bankIds(Suggestions.getSuggestionNeeds(GameData.getGameById('bippity_bop'))), ['words']);
+
+    // Plain scene games get a location and a relationship
+    assert.deepEqual(bankIds(Suggestions.getSuggestionNeeds(GameData.getGameById('sit_stand_lie'))), ['locations', 'relationships']);
+
+    // Keywords only match whole words: "passing" is not "sing", "energy" is not "era"
+    const game = { name: 'Pass', tags: [], setup: { description: 'Passing energy around.' }, rules: [] };
+    assert.deepEqual(bankIds(Suggestions.getSuggestionNeeds(game)), ['locations', 'relationships']);
+});
+
+test('seasonal games also ask for a holiday', async () => {
+    const { Suggestions } = await loadSuggestions();
+    const game = { name: 'Song Swap', tags: ['seasonal'], setup: { description: 'Sing a song.' }, rules: [] };
+
+    assert.deepEqual(bankIds(Suggestions.getSuggestionNeeds(game)), ['holidays', 'musicStyles']);
+});
+
+test('family-friendly games never get mature prompts', async () => {
+    const { Suggestions } = await loadSuggestions();
+    const game = { name: 'Scene', tags: ['family_friendly'], setup: { description: 'Pick a location.' }, rules: [] };
+    const mature = new Set(Suggestions.PROMPT_BANKS.locations.mature);
+
+    assert.ok(Suggestions.getBankPrompts('locations').some(prompt => mature.has(prompt)));
+    assert.ok(!Suggestions.getBankPrompts('locations', true).some(prompt => mature.has(prompt)));
+
+    // Always pick the last prompt, where the mature ones would be
+    for (let i = 0; i < 10; i++) {
+        const [suggestion] = Suggestions.generateSuggestions(game, { random: () => 0.999 });
+        assert.ok(!mature.has(suggestion.prompt), `${suggestion.prompt} is family-friendly`);
+    }
+});
+
+test('prompts don\'t repeat tonight until the bank runs out', async () => {
+    const { Suggestions } = await loadSuggestions();
+    const letters = Suggestions.getBankPrompts('letters');
+    const picked = [];
+
+    for (let i = 0; i < letters.length; i++) {
+        picked.push(Suggestions.pickSuggestion('letters', { random: () => 0 }));
+    }
+    assert.deepEqual(picked, [...letters]);
+    assert.equal(Suggestions.getSuggestionHistory().letters.length, letters.length);
+
+    // Every letter used: the bank starts over
+    assert.equal(Suggestions.pickSuggestion('letters', { random: () => 0 }), letters[0]);
+    assert.equal(Suggestions.getSuggestionHistory().letters.length, 1);
+
+    Suggestions.clearSuggestionHistory();
+    assert.deepEqual({ ...Suggestions.getSuggestionHistory() }, {});
+});
+
+test('the history belongs to one show night', async () => {
+    const { Suggestions, localStorage } = await loadSuggestions();
+
+    assert.equal(Suggestions.getShowNight(new Date(2026, 9, 19, 23, 30)), '2026-10-19');
+    assert.equal(Suggestions.getShowNight(new Date(2026, 9, 20, 1, 15)), '2026-10-19');
+    assert.equal(Suggestions.getShowNight(new Date(2026, 9, 20, 9, 0)), '2026-10-20');
+
+    localStorage.setItem('suggestionHistory', JSON.stringify({ night: '2020-01-01', used: { letters: ['A'] } }));
+    assert.deepEqual({ ...Suggestions.getSuggestionHistory() }, {});
+});
+
+test('the panel on the game page shows one prompt per need and refreshes them', async () => {
+    const window = await loadSuggestions(['js/game-details.js']);
+    window.document.body.innerHTML = '<div id="gameContent"></div>';
+
+    window.GameDetails.displayGameDetails(window.GameData.getGameById('interrogation'));
+
+    const panel = window.document.querySelector('.suggestion-panel');
+    const prompts = () => panel.querySelectorAll('.suggestion-prompt').map(prompt => prompt.textContent);
+    assert.equal(prompts().length, 3);
+    assert.match(panel.textContent, /A weapon:/);
+
+    const before = prompts();
+    panel.querySelector('[data-suggestion-index="0"]').click();
+    assert.notEqual(prompts()[0], before[0]);
+    assert.equal(prompts()[1], before[1]);
+
+    panel.querySelector('[data-suggestion-action="reset"]').click();
+    assert.deepEqual({ ...window.Suggestions.getSuggestionHistory() }, {});
+});
+
+test('host mode always has a suggestions screen with prompts', async () => {
+    const window = await loadSuggestions(['js/host-mode.js']);
+    const game = window.GameData.getGameById('scattergories');
+
+    assert.deepEqual([...window.HostMode.buildHostSlides(game)].map(slide => slide.title), ['Setup', 'Ask the audience for', 'Rules']);
+
+    window.HostMode.openHostMode(game);
+    window.document.querySelector('[data-host-action="next"]').click();
+
+    const panel = window.document.querySelector('.host-slide .suggestion-panel-host');
+    assert.ok(panel);
+    assert.match(panel.textContent, /A category:/);
+    window.HostMode.closeHostMode();
+});
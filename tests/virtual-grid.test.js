@@ -0,0 +1,114 @@
+/**
+ * Tests for js/virtual-grid.js: keyed card reuse and rendering only the rows near the viewport
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load-app');
+
+/**
+ * Load the grid with a container and a layout the test can scroll
+ */
+function loadGrid(count, layout = { columns: 3, rowHeight: 300, offset: 0, viewportHeight: 900 }) {
+    const window = loadApp(['js/virtual-grid.js']);
+    const container = window.document.createElement('div');
+    const created = [];
+    const updated = [];
+    const grid = window.VirtualGrid.createVirtualGrid(container, {
+        getKey: item => item.id,
+        createElement: item => {
+            const element = window.document.createElement('div');
+            element.textContent = item.id;
+            created.push(item.id);
+            return element;
+        },
+        updateElement: (element, item) => updated.push(item.id),
+        measure: () => layout
+    });
+    const items = Array.from({ length: count }, (_, index) => ({ id: `game_${index}` }));
+    const rendered = () => container.children.slice(1, -1).map(element => element.textContent);
+    const spacers = () => [container.children[0], container.children.at(-1)].map(spacer => spacer.style.height);
+    return { window, container, grid, items, layout, created, updated, rendered, spacers };
+}
+
+test('getVisibleRange renders the visible rows plus overscan, with spacers for the rest', () => {
+    const { VirtualGrid } = loadApp(['js/virtual-grid.js']);
+    const layout = { columns: 3, rowHeight: 300, offset: 0, viewportHeight: 900 };
+
+    assert.deepEqual({ ...VirtualGrid.getVisibleRange(100, layout) }, { start: 0, end: 27, before: 0, after: 7500 });
+    assert.deepEqual({ ...VirtualGrid.getVisibleRange(100, { ...layout, offset: 3000 }) },
+        { start: 21, end: 48, before: 2100, after: 5400 });
+
+    // Scrolled far past the end of a list that shrank: show its last rows
+    assert.deepEqual({ ...VirtualGrid.getVisibleRange(10, { ...layout, offset: 3000 }) },
+        { start: 0, end: 10, before: 0, after: 0 });
+});
+
+test('short lists render every card', () => {
+    const { grid, items, rendered, spacers } = loadGrid(12);
+
+    grid.render(items);
+    assert.equal(rendered().length, 12);
+    assert.deepEqual(spacers(), ['0px', '0px']);
+});
+
+test('long lists render the rows near the viewport and follow the scroll', () => {
+    const { grid, items, layout, rendered, spacers, created } = loadGrid(5000);
+
+    grid.render(items);
+    assert.deepEqual(rendered(), items.slice(0, 27).map(item => item.id));
+    assert.deepEqual(spacers(), ['0px', `${(1667 - 9) * 300}px`]);
+
+    layout.offset = 300 * 1000;
+    grid.update();
+    assert.deepEqual(rendered(), items.slice(2991, 3018).map(item => item.id));
+    assert.deepEqual(spacers(), [`${997 * 300}px`, `${(1667 - 1006) * 300}px`]);
+    assert.equal(created.length, 54);
+});
+
+test('cards are kept by key and reused in their new order', () => {
+    const { grid, items, container, created, updated, rendered } = loadGrid(20);
+
+    grid.render(items);
+    const first = container.children[1];
+    created.length = 0;
+
+    // Narrowing and reordering the list reuses the cards it shares with the last one
+    const narrowed = [items[5], items[0], items[19]];
+    grid.render(narrowed);
+    assert.deepEqual(rendered(), ['game_5', 'game_0', 'game_19']);
+    assert.equal(container.children[2], first);
+    assert.deepEqual(created, []);
+    assert.deepEqual(updated, ['game_5', 'game_0', 'game_19']);
+
+    // Cards dropped from the list come back without being rebuilt
+    grid.render(items);
+    assert.deepEqual(created, []);
+    assert.equal(rendered().length, 20);
+
+    // Reloaded data (a new object for the same key) gets a new card
+    grid.render([{ id: 'game_0' }]);
+    assert.deepEqual(created, ['game_0']);
+});
+
+test('scrolling does not update cards already brought up to date', () => {
+    const { grid, items, layout, updated } = loadGrid(500);
+
+    grid.render(items);
+    grid.render(items);
+    const updatesPerRender = updated.length;
+
+    layout.offset = 300;
+    grid.update();
+    assert.equal(updated.length, updatesPerRender);
+});
+
+test('the grid recovers when something else replaces the container content', () => {
+    const { grid, items, container, rendered } = loadGrid(5);
+
+    grid.render(items);
+    container.innerHTML = '<p>No games found</p>';
+    grid.render(items.slice(0, 2));
+    assert.deepEqual(rendered(), ['game_0', 'game_1']);
+    assert.equal(container.querySelectorAll('p').length, 0);
+});